@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+/**
+ * Benchmark of section segmentation on the bundled source: the single-pass
+ * segmenter (lib/segmenter.js) against the previous approach, which scanned
+ * the document for legacy anchors and then walked it again from each
+ * section's nav target to the next, testing every node with `matches()`.
+ *
+ * Both must gather the same elements for every section; the benchmark fails
+ * otherwise. It also times a whole conversion for scale.
+ *
+ * Usage: node bench/segmenter.js [source] [--runs <n>]
+ */
+
+import { readFileSync } from 'fs';
+import { performance } from 'perf_hooks';
+import { fileURLToPath } from 'url';
+import { JSDOM } from 'jsdom';
+import { convert } from '../convert-to-tei.js';
+import { getBundledProfile, detectProfile } from '../lib/profiles.js';
+import { legacyAnchor, navigationEntries, sectionSelector, segmentDocument } from '../lib/segmenter.js';
+
+const DEFAULT_SOURCE = new URL('../The Kitáb-i-Aqdas.xhtml', import.meta.url);
+
+/**
+ * The previous segmentation: a query for legacy anchors, then a walk per
+ * section from its nav target to the next (the notes section was walked
+ * twice, once to place note calls and once to extract the notes)
+ */
+function previousSegmentation(document, profile, entries) {
+  const matchAnchor = legacyAnchor(profile);
+  const seen = new Set();
+  const anchors = Array.from(document.querySelectorAll('a[name], *[id], *[name]')).filter(el => {
+    const name = (el.getAttribute('name') || el.getAttribute('id') || '').trim();
+    if (!name || seen.has(name) || !matchAnchor(name)) return false;
+    seen.add(name);
+    return true;
+  });
+
+  function nextNode(node) {
+    if (node.firstChild) return node.firstChild;
+    while (node) {
+      if (node.nextSibling) return node.nextSibling;
+      node = node.parentNode;
+    }
+    return null;
+  }
+  function collectElementsBetween(startId, endId, selector) {
+    const startAnchor = document.querySelector(`a[id="${startId}"]`);
+    if (!startAnchor) return [];
+    const endAnchor = endId ? document.querySelector(`a[id="${endId}"]`) : null;
+    const out = [];
+    let node = nextNode(startAnchor);
+    while (node && node !== endAnchor) {
+      if (node.nodeType === 1 && node.matches(selector)) out.push(node);
+      node = nextNode(node);
+    }
+    return out;
+  }
+
+  const ranges = entries.map((entry, i) => (entry.section
+    ? collectElementsBetween(entry.id, entries[i + 1]?.id, sectionSelector(entry.section))
+    : []));
+  entries.forEach((entry, i) => {
+    if (entry.section?.extract === 'notes') collectElementsBetween(entry.id, entries[i + 1]?.id, 'div.dd');
+  });
+  return { anchors, ranges };
+}
+
+/**
+ * The single-pass segmentation, as parseDocument() runs it
+ */
+function singlePassSegmentation(document, profile, entries) {
+  const { items, ranges } = segmentDocument(document, {
+    anchor: legacyAnchor(profile),
+    targets: entries.map(({ id, section }) => ({ id, select: section ? sectionSelector(section) : null }))
+  });
+  return { anchors: items, ranges: ranges.map(range => range.elements) };
+}
+
+/**
+ * Median duration of running a function, in milliseconds
+ */
+function time(fn, runs) {
+  const durations = [];
+  let result;
+  for (let i = 0; i < runs; i++) {
+    const start = performance.now();
+    result = fn();
+    durations.push(performance.now() - start);
+  }
+  durations.sort((a, b) => a - b);
+  return { ms: durations[Math.floor(runs / 2)], result };
+}
+
+function main(args) {
+  const runsAt = args.indexOf('--runs');
+  const runs = runsAt === -1 ? 5 : Number(args[runsAt + 1]);
+  if (!Number.isInteger(runs) || runs < 1) {
+    console.error('--runs must be a positive integer');
+    return 1;
+  }
+  const source = args.find((arg, i) => !arg.startsWith('-') && args[i - 1] !== '--runs') ?? DEFAULT_SOURCE;
+  const html = readFileSync(source, 'utf-8');
+
+  const heapBefore = process.memoryUsage().heapUsed;
+  const parse = time(() => new JSDOM(html, { includeNodeLocations: true }), 1);
+  const { document } = parse.result.window;
+  const heapDom = process.memoryUsage().heapUsed - heapBefore;
+  const profile = detectProfile(document) ?? getBundledProfile('kitab-i-aqdas');
+  const entries = navigationEntries(document.querySelector('nav.gc'), profile);
+
+  const previous = time(() => previousSegmentation(document, profile, entries), runs);
+  const single = time(() => singlePassSegmentation(document, profile, entries), runs);
+
+  const mismatched = entries.filter((entry, i) => {
+    const [a, b] = [previous.result.ranges[i], single.result.ranges[i]];
+    return a.length !== b.length || a.some((el, j) => el !== b[j]);
+  });
+  if (previous.result.anchors.length !== single.result.anchors.length) {
+    console.error(`Legacy anchors differ: ${previous.result.anchors.length} before, ${single.result.anchors.length} now`);
+    return 1;
+  }
+  if (mismatched.length) {
+    console.error(`Sections gathered differently: ${mismatched.map(entry => `#${entry.id}`).join(', ')}`);
+    return 1;
+  }
+
+  const conversion = time(() => convert(html, { date: '2000-01-01' }), Math.min(runs, 3));
+  const elements = single.result.ranges.reduce((total, range) => total + range.length, 0);
+
+  const row = (label, ms) => console.log(`${label.padEnd(28)}${ms.toFixed(1).padStart(9)} ms`);
+  console.log(`Source: ${source instanceof URL ? fileURLToPath(source) : source} (${(html.length / 1024).toFixed(0)} KB)`);
+  console.log(`Sections: ${entries.filter(entry => entry.section).length} of ${entries.length} nav entries, ${elements} elements gathered; median of ${runs} runs`);
+  console.log('');
+  row('Previous segmentation', previous.ms);
+  row('Single-pass segmentation', single.ms);
+  console.log(`${'Speed-up'.padEnd(28)}${(previous.ms / single.ms).toFixed(1).padStart(9)} ×`);
+  console.log('');
+  row('Parsing (JSDOM)', parse.ms);
+  row('Whole conversion', conversion.ms);
+  console.log(`${'DOM heap'.padEnd(28)}${(heapDom / 1024 / 1024).toFixed(1).padStart(9)} MB`);
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
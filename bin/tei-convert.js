@@ -0,0 +1,1131 @@
+#!/usr/bin/env node
+
+/**
+ * Command-line interface for the HTML/XHTML to TEI converter
+ */
+
+import { spawn } from 'child_process';
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { basename, dirname, extname, join, relative, resolve, sep } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import {
+  DEFAULT_STYLESHEET,
+  EXPORT_FORMATS,
+  OUTPUT_FORMATS,
+  align,
+  buildDate,
+  checkEpub,
+  checkWellFormed,
+  citationResolver,
+  compare,
+  convert,
+  diagnosticsToJSON,
+  diagnosticsToMarkdown,
+  exportTEI,
+  listProfiles,
+  loadPlugin,
+  loadProfile,
+  render,
+  serializeCorpus,
+  serializeSections,
+  validateTEI
+} from '../convert-to-tei.js';
+import { readBatch, runInWorkers, corpusIndex, corpusDate } from '../lib/batch.js';
+import { watchFiles, liveServer } from '../lib/watch.js';
+
+/**
+ * Process exit codes reported by the command-line interface
+ */
+const EXIT = {
+  OK: 0,
+  CONVERSION_ERROR: 1,
+  USAGE_ERROR: 2,
+  INPUT_ERROR: 3,
+  OUTPUT_ERROR: 4,
+  NO_CONTENT: 5,
+  MALFORMED_OUTPUT: 6,
+  INVALID_OUTPUT: 7,
+  WARNINGS: 8,
+  UNRESOLVED: 9,
+  DOCUMENTS_FAILED: 10
+};
+
+/**
+ * Output formats of the cite command
+ */
+const CITE_FORMATS = ['text', 'xml', 'json'];
+
+const USAGE = `Usage: tei-convert [options] [input]
+       tei-convert compare [options] <before> <after>
+       tei-convert cite [options] <tei> <citation>...
+       tei-convert align [options] <tei> <tei>...
+       tei-convert batch [options] <dir|manifest> -o <dir>
+       tei-convert render [options] <tei> -o <dir>
+       tei-convert export --format <format> [options] <tei> -o <file>
+
+Convert a Bahá'í Reference Library HTML/XHTML file (or a corpus of them)
+to TEI P5 XML (or the items of its sections to JSON, Markdown or plain
+text), compare two editions of one, look up passages of a converted
+text, link the paragraphs of converted editions in different languages,
+render a converted text as a static HTML site, or export it as an EPUB.
+
+Arguments:
+  input                   Source HTML/XHTML file; omit or use "-" to read stdin
+  before, after           Two editions of a source; "compare" writes their
+                          differences as a TEI apparatus and prints a report
+  tei, citation           A converted text, or "-" for stdin, and citations
+                          to look up in it: "K12", "Q&A 45", "note 67",
+                          "Intro ¶3", CTS URNs, xml:ids, or ranges of these
+                          such as "K12–15"
+  tei...                  Two or more converted editions in different
+                          languages; "align" links their items by number as
+                          a TEI <linkGrp type="translation">
+  dir, manifest           The sources of a corpus: every HTML/XHTML file of
+                          a directory, or a JSON manifest listing them;
+                          "batch" writes their TEI, a <teiCorpus> including
+                          them and an index.json to the output directory
+  tei                     A converted text, or "-" for stdin; "render" writes
+                          it to the output directory as HTML pages, one per
+                          section, with a table of contents and a search page;
+                          "export" writes it to the output file in another
+                          format
+
+Options:
+  -o, --output <file>     Write the output to <file>; omit or use "-" to write stdout
+                          (align: links point at the texts relative to it;
+                          batch, render: the directory to write to; export:
+                          the file to write to)
+  -p, --profile <profile> Document profile: a bundled profile name or the path
+                          of a .json/.js profile (default: detected from the
+                          source)
+      --list-profiles     List the bundled profiles and exit
+      --plugin <module>   Run the plugin a module exports, after the profile's
+                          (a path or package name; may be repeated)
+      --metadata <file>   JSON file of header metadata overriding the source's
+                          and the profile's (e.g. title, licence)
+      --date <date>       Date the conversion is recorded under (default:
+                          SOURCE_DATE_EPOCH, else the source's last-modified
+                          date)
+      --previous <file>   Previous output whose revision history is continued
+                          (default: the output file, if it exists)
+  -s, --stylesheet <href> Reference <href> in the <?xml-stylesheet?> PI
+                          (default: ${DEFAULT_STYLESHEET})
+      --no-stylesheet     Omit the <?xml-stylesheet?> processing instruction
+      --validate          Validate the TEI against the bundled RelaxNG schema
+      --watch             Convert again whenever the source, the converter, the
+                          profile, a plugin, the metadata or the stylesheet
+                          changes, until interrupted
+      --serve             With --watch: serve the output at a local address,
+                          reloading it after each conversion and showing
+                          failures and warnings over it
+      --port <n>          --serve: port to listen on (default: 8057)
+      --diagnostics <file> Write every warning and heuristic decision, with
+                          its source location, to <file> (Markdown if it ends
+                          in .md, else JSON)
+      --strict            Fail the run when validation reports errors or the
+                          conversion reports warnings
+      --report <file>     compare: write the report to <file> instead of
+                          printing it
+      --full              compare: include unchanged items in the apparatus
+  -j, --jobs <n>          batch: number of worker threads (default: one per
+                          CPU)
+      --format <format>   convert: write TEI (default), the items of every
+                          section as JSON records ("json") or a
+                          record per line ("ndjson"), the text as Markdown
+                          ("md") or citation-prefixed plain text ("txt");
+                          cite: print each passage's text (default), its TEI
+                          ("xml") or both, with its citations, as JSON ("json");
+                          export: the format to write (${EXPORT_FORMATS.join(', ')})
+  -q, --quiet             Suppress progress messages
+      --json-stats        Print conversion statistics as JSON
+  -h, --help              Show this help and exit
+  -v, --version           Show the version number and exit
+
+Exit codes:
+  ${EXIT.OK}  success
+  ${EXIT.CONVERSION_ERROR}  conversion failed (render, export: the text could not be
+     rendered or exported)
+  ${EXIT.USAGE_ERROR}  invalid command-line usage
+  ${EXIT.INPUT_ERROR}  input, profile, metadata or previous output could not be read
+  ${EXIT.OUTPUT_ERROR}  output could not be written
+  ${EXIT.NO_CONTENT}  no sections were recognised in the input
+  ${EXIT.MALFORMED_OUTPUT}  the written TEI is not well-formed XML, or an exported EPUB
+     fails its structural check
+  ${EXIT.INVALID_OUTPUT}  the TEI is not valid against the schema (with --strict)
+  ${EXIT.WARNINGS}  the conversion reported warnings, or align found items in
+     only one edition (with --strict)
+  ${EXIT.UNRESOLVED}  cite: a citation names no passage of the text
+  ${EXIT.DOCUMENTS_FAILED} batch: one or more documents failed to convert (with --strict,
+     also those with warnings or validation errors)
+`;
+
+/**
+ * Write TEI to a file (or stdout), check that what was written is
+ * well-formed and, if asked, validate it
+ * @param {string} xml
+ * @param {string|null} output Target path, or null to write stdout
+ * @param {object} options
+ * @param {boolean} options.validate Validate the TEI against the bundled schema
+ * @param {boolean} options.strict Treat validation errors as fatal
+ * @param {Function} options.log Progress logger
+ * @returns {Promise<number>} Process exit code
+ */
+async function writeTEI(xml, output, { validate, strict, log }) {
+  log('\nWriting output file...');
+  try {
+    writeFileSync(output ?? 1, xml, 'utf-8');
+  } catch (error) {
+    console.error(`Cannot write output ${output ?? 'stdout'}: ${error.message}`);
+    return EXIT.OUTPUT_ERROR;
+  }
+
+  // Check what actually ended up on disk; stdout can only be checked as sent
+  const written = output ? readFileSync(output, 'utf-8') : xml;
+  try {
+    checkWellFormed(written);
+  } catch (error) {
+    console.error(`${output ?? 'stdout'}: ${error.message}`);
+    return EXIT.MALFORMED_OUTPUT;
+  }
+
+  if (validate) {
+    log('\nValidating against the TEI schema...');
+    const { valid, errors } = await validateTEI(written);
+    if (valid) {
+      log('The TEI is valid');
+    } else {
+      console.error(`\n${errors.length} validation error(s):`);
+      for (const error of errors) console.error(`  - ${formatValidationError(error, output ?? 'stdout')}`);
+      if (strict) return EXIT.INVALID_OUTPUT;
+    }
+  }
+  return EXIT.OK;
+}
+
+/**
+ * Convert a file (or stdin) and write the TEI, or the sections in another
+ * format, to a file (or stdout)
+ * @param {object} options
+ * @param {string|null} options.input Source path, or null to read stdin
+ * @param {string|null} options.output Target path, or null to write stdout
+ * @param {string} options.format Output format (see OUTPUT_FORMATS)
+ * @param {string|null} options.profile Profile name or path, or null to detect it
+ * @param {string[]} options.plugins Plugin modules run after the profile's
+ * @param {string|null} options.metadata Path of a JSON file of header metadata overrides
+ * @param {string|null} options.date Conversion date, or null for the default
+ * @param {string|null} options.previous Previous output, or null to use the output file if it exists
+ * @param {string|null} options.stylesheet XSLT href, or null to omit the PI
+ * @param {boolean} options.validate Validate the TEI against the bundled schema
+ * @param {string|null} options.diagnostics Diagnostics report path, or null for none
+ * @param {boolean} options.strict Treat validation errors and conversion warnings as fatal
+ * @param {boolean} options.quiet Suppress progress messages
+ * @param {boolean} options.jsonStats Print statistics as JSON
+ * @returns {Promise<number>} Process exit code
+ */
+async function convertHTMLToTEI({
+  input,
+  output,
+  format,
+  profile: profileName,
+  plugins: pluginModules,
+  metadata: metadataFile,
+  date,
+  previous: previousFile,
+  stylesheet,
+  validate,
+  diagnostics: diagnosticsFile,
+  strict,
+  quiet,
+  jsonStats
+}) {
+  // Progress goes to stderr whenever stdout carries the output itself
+  const log = quiet ? () => {} : (output ? console.log : console.error);
+
+  try {
+    buildDate({ date });
+  } catch (error) {
+    console.error(error.message);
+    return EXIT.USAGE_ERROR;
+  }
+
+  let selectedProfile = null;
+  if (profileName) {
+    try {
+      selectedProfile = await loadProfile(profileName);
+    } catch (error) {
+      console.error(`Cannot load profile ${profileName}: ${error.message}`);
+      return EXIT.INPUT_ERROR;
+    }
+  }
+
+  const plugins = [];
+  for (const module of pluginModules) {
+    try {
+      plugins.push(await loadPlugin(module));
+    } catch (error) {
+      console.error(`Cannot load plugin ${module}: ${error.message}`);
+      return EXIT.INPUT_ERROR;
+    }
+  }
+
+  let metadata = {};
+  if (metadataFile) {
+    try {
+      metadata = JSON.parse(readFileSync(metadataFile, 'utf-8'));
+    } catch (error) {
+      console.error(`Cannot read metadata ${metadataFile}: ${error.message}`);
+      return EXIT.INPUT_ERROR;
+    }
+  }
+
+  log(input ? 'Reading HTML file...' : 'Reading HTML from stdin...');
+  let htmlContent;
+  try {
+    htmlContent = readFileSync(input ?? 0, 'utf-8');
+  } catch (error) {
+    console.error(`Cannot read input ${input ?? 'stdin'}: ${error.message}`);
+    return EXIT.INPUT_ERROR;
+  }
+
+  // Carry the revision history of the last conversion forward
+  const previousPath = format !== 'tei' ? null : previousFile ?? (output && existsSync(output) ? output : null);
+  let previous = null;
+  if (previousPath) {
+    try {
+      previous = readFileSync(previousPath, 'utf-8');
+    } catch (error) {
+      console.error(`Cannot read previous output ${previousPath}: ${error.message}`);
+      return EXIT.INPUT_ERROR;
+    }
+  }
+
+  log('Parsing HTML document and extracting sections...');
+  const sourceName = input ? basename(input) : 'stdin';
+  const { xml, sections, stats, warnings, diagnostics, profile, metadata: headerMetadata } = convert(htmlContent, {
+    sourceName,
+    stylesheet,
+    profile: selectedProfile,
+    plugins,
+    metadata,
+    date,
+    previous
+  });
+
+  log(`Profile: ${profile.id}`);
+  log('Sections found:');
+  for (const section of profile.sections) {
+    log(`  - ${section.label}: ${stats[section.key]} ${section.unit}`);
+  }
+
+  if (warnings.length && !quiet) {
+    console.error(`\n${warnings.length} warning(s):`);
+    for (const warning of warnings) console.error(`  - ${warning}`);
+  }
+  const decisions = diagnostics.length - warnings.length;
+  if (decisions) log(`${decisions} informational diagnostic(s)${diagnosticsFile ? '' : '; see --diagnostics'}`);
+
+  if (diagnosticsFile) {
+    const format = extname(diagnosticsFile).toLowerCase() === '.md' ? diagnosticsToMarkdown : diagnosticsToJSON;
+    try {
+      writeFileSync(diagnosticsFile, format(diagnostics, { source: sourceName, profile: profile.id }), 'utf-8');
+    } catch (error) {
+      console.error(`Cannot write diagnostics ${diagnosticsFile}: ${error.message}`);
+      return EXIT.OUTPUT_ERROR;
+    }
+    log(`Diagnostics saved to: ${diagnosticsFile}`);
+  }
+
+  if (Object.values(sections).every(items => items.length === 0)) {
+    console.error('No sections were recognised in the input');
+    return EXIT.NO_CONTENT;
+  }
+
+  let content = xml;
+  if (format === 'tei') {
+    const status = await writeTEI(xml, output, { validate, strict, log });
+    if (status !== EXIT.OK) return status;
+  } else {
+    content = serializeSections(sections, { format, profile, metadata: headerMetadata, sourceName });
+    log('\nWriting output file...');
+    try {
+      writeFileSync(output ?? 1, content, 'utf-8');
+    } catch (error) {
+      console.error(`Cannot write output ${output ?? 'stdout'}: ${error.message}`);
+      return EXIT.OUTPUT_ERROR;
+    }
+  }
+
+  log(`\nConversion complete! Output saved to: ${output ?? 'stdout'}`);
+  log(`Total file size: ${(content.length / 1024).toFixed(2)} KB`);
+
+  if (jsonStats) {
+    const json = JSON.stringify(stats, null, 2);
+    if (output) console.log(json);
+    else console.error(json);
+  }
+  if (strict && warnings.length) {
+    console.error(`\nFailing because of ${warnings.length} warning(s) (--strict)`);
+    return EXIT.WARNINGS;
+  }
+  return EXIT.OK;
+}
+
+/**
+ * Compare two editions of a source; write the apparatus to a file (or
+ * stdout) and the report to a file (or the console)
+ * @param {object} options
+ * @param {[string, string]} options.inputs Paths of the earlier and later editions
+ * @param {string|null} options.output Target path, or null to write stdout
+ * @param {string|null} options.report Report path, or null to print the report
+ * @param {string|null} options.profile Profile name or path, or null to detect it
+ * @param {string[]} options.plugins Plugin modules both editions are parsed with, after the profile's
+ * @param {string|null} options.metadata Path of a JSON file of header metadata overrides
+ * @param {boolean} options.full Include unchanged items in the apparatus
+ * @param {string|null} options.date Comparison date, or null for the default
+ * @param {boolean} options.validate Validate the TEI against the bundled schema
+ * @param {boolean} options.strict Treat validation errors and conversion warnings as fatal
+ * @param {boolean} options.quiet Suppress progress messages
+ * @returns {Promise<number>} Process exit code
+ */
+async function compareEditions({
+  inputs,
+  output,
+  report: reportFile,
+  profile: profileName,
+  plugins: pluginModules,
+  metadata: metadataFile,
+  full,
+  date,
+  validate,
+  strict,
+  quiet
+}) {
+  const log = quiet ? () => {} : (output ? console.log : console.error);
+
+  try {
+    buildDate({ date });
+  } catch (error) {
+    console.error(error.message);
+    return EXIT.USAGE_ERROR;
+  }
+
+  let selectedProfile = null;
+  if (profileName) {
+    try {
+      selectedProfile = await loadProfile(profileName);
+    } catch (error) {
+      console.error(`Cannot load profile ${profileName}: ${error.message}`);
+      return EXIT.INPUT_ERROR;
+    }
+  }
+
+  const plugins = [];
+  for (const module of pluginModules) {
+    try {
+      plugins.push(await loadPlugin(module));
+    } catch (error) {
+      console.error(`Cannot load plugin ${module}: ${error.message}`);
+      return EXIT.INPUT_ERROR;
+    }
+  }
+
+  let metadata = {};
+  if (metadataFile) {
+    try {
+      metadata = JSON.parse(readFileSync(metadataFile, 'utf-8'));
+    } catch (error) {
+      console.error(`Cannot read metadata ${metadataFile}: ${error.message}`);
+      return EXIT.INPUT_ERROR;
+    }
+  }
+
+  const sources = [];
+  for (const input of inputs) {
+    try {
+      sources.push(readFileSync(input, 'utf-8'));
+    } catch (error) {
+      console.error(`Cannot read input ${input}: ${error.message}`);
+      return EXIT.INPUT_ERROR;
+    }
+  }
+
+  log('Parsing both editions and comparing their sections...');
+  const { xml, summary, report, warnings } = compare(sources[0], sources[1], {
+    sourceNames: inputs.map(input => basename(input)),
+    profile: selectedProfile,
+    plugins,
+    metadata,
+    full,
+    date
+  });
+
+  if (warnings.length && !quiet) {
+    console.error(`\n${warnings.length} warning(s):`);
+    for (const warning of warnings) console.error(`  - ${warning}`);
+  }
+
+  const status = await writeTEI(xml, output, { validate, strict, log });
+  if (status !== EXIT.OK) return status;
+
+  if (reportFile) {
+    try {
+      writeFileSync(reportFile, report, 'utf-8');
+    } catch (error) {
+      console.error(`Cannot write report ${reportFile}: ${error.message}`);
+      return EXIT.OUTPUT_ERROR;
+    }
+    log(`\nReport saved to: ${reportFile}`);
+  } else {
+    // The report goes wherever the apparatus does not
+    (output ? console.log : console.error)(`\n${report}`);
+  }
+
+  log(`Comparison complete! ${summary.altered} altered, ${summary.added} added, ${summary.removed} removed`);
+  log(`Apparatus saved to: ${output ?? 'stdout'}`);
+  if (strict && warnings.length) {
+    console.error(`\nFailing because of ${warnings.length} warning(s) (--strict)`);
+    return EXIT.WARNINGS;
+  }
+  return EXIT.OK;
+}
+
+/**
+ * Look up citations in a converted text and print the passages they name
+ * @param {object} options
+ * @param {string|null} options.input Path of the TEI, or null to read stdin
+ * @param {string[]} options.citations Citations to look up
+ * @param {string} options.format Output format: text, xml or json
+ * @returns {Promise<number>} Process exit code
+ */
+async function citePassages({ input, citations, format }) {
+  let resolver;
+  try {
+    resolver = citationResolver(readFileSync(input ?? 0, 'utf-8'));
+  } catch (error) {
+    console.error(`Cannot read TEI ${input ?? 'stdin'}: ${error.message}`);
+    return EXIT.INPUT_ERROR;
+  }
+
+  const passages = [];
+  let status = EXIT.OK;
+  for (const citation of citations) {
+    let passage;
+    try {
+      passage = resolver.resolve(citation);
+    } catch (error) {
+      console.error(error.message);
+    }
+    if (passage) {
+      passages.push(passage);
+    } else {
+      if (passage === null) console.error(`${citation}: no such passage`);
+      status = EXIT.UNRESOLVED;
+    }
+  }
+
+  if (format === 'json') {
+    console.log(JSON.stringify(passages, null, 2));
+  } else {
+    for (const passage of passages) {
+      const forms = [passage.citation, passage.ids.join(' '), passage.urn].filter(Boolean);
+      console.log(`${format === 'xml' ? `<!-- ${forms.join(' | ')} -->` : forms.join(' | ')}\n${passage[format]}\n`);
+    }
+  }
+  return status;
+}
+
+/**
+ * Link the items of converted editions in different languages and write the
+ * links to a file (or stdout)
+ * @param {object} options
+ * @param {string[]} options.inputs Paths of the converted editions
+ * @param {string|null} options.output Target path, or null to write stdout
+ * @param {string|null} options.date Alignment date, or null for the default
+ * @param {boolean} options.validate Validate the TEI against the bundled schema
+ * @param {boolean} options.strict Treat validation errors and unmatched items as fatal
+ * @param {boolean} options.quiet Suppress progress messages
+ * @returns {Promise<number>} Process exit code
+ */
+async function alignEditions({ inputs, output, date, validate, strict, quiet }) {
+  const log = quiet ? () => {} : (output ? console.log : console.error);
+
+  try {
+    buildDate({ date });
+  } catch (error) {
+    console.error(error.message);
+    return EXIT.USAGE_ERROR;
+  }
+
+  // Links refer to the editions relative to where they are written
+  const base = output ? dirname(resolve(output)) : process.cwd();
+  const editions = [];
+  for (const input of inputs) {
+    try {
+      const href = encodeURI(relative(base, resolve(input)).split(sep).join('/'));
+      editions.push({ xml: readFileSync(input, 'utf-8'), href });
+    } catch (error) {
+      console.error(`Cannot read TEI ${input}: ${error.message}`);
+      return EXIT.INPUT_ERROR;
+    }
+  }
+
+  log(`Linking the items of ${inputs.length} editions...`);
+  let result;
+  try {
+    result = align(editions, { date });
+  } catch (error) {
+    console.error(error.message);
+    return EXIT.INPUT_ERROR;
+  }
+  const { xml, links, warnings } = result;
+
+  if (warnings.length && !quiet) {
+    console.error(`\n${warnings.length} warning(s):`);
+    for (const warning of warnings) console.error(`  - ${warning}`);
+  }
+
+  const status = await writeTEI(xml, output, { validate, strict, log });
+  if (status !== EXIT.OK) return status;
+
+  log(`\nAlignment complete! ${links.length} links saved to: ${output ?? 'stdout'}`);
+  if (strict && warnings.length) {
+    console.error(`\nFailing because of ${warnings.length} warning(s) (--strict)`);
+    return EXIT.WARNINGS;
+  }
+  return EXIT.OK;
+}
+
+/**
+ * Convert the sources of a corpus in worker threads, writing each one's TEI,
+ * a <teiCorpus> including them and an index to a directory. Documents that
+ * fail are reported at the end; the others still make up the corpus.
+ * @param {object} options
+ * @param {string} options.input Directory of sources, or manifest
+ * @param {string} options.output Directory to write to
+ * @param {number|null} options.jobs Number of worker threads, or null for one per CPU
+ * @param {string|null} options.date Conversion date, or null for the default
+ * @param {string|null} options.stylesheet XSLT href, or null to omit the PI
+ * @param {boolean} options.validate Validate the TEI against the bundled schema
+ * @param {boolean} options.strict Fail documents with validation errors or conversion warnings
+ * @param {boolean} options.quiet Suppress progress messages
+ * @returns {Promise<number>} Process exit code
+ */
+async function convertCorpus({ input, output, jobs, date, stylesheet, validate, strict, quiet }) {
+  const log = quiet ? () => {} : console.log;
+
+  try {
+    buildDate({ date });
+  } catch (error) {
+    console.error(error.message);
+    return EXIT.USAGE_ERROR;
+  }
+
+  let batch;
+  try {
+    batch = readBatch(input);
+  } catch (error) {
+    console.error(`Cannot read batch ${input}: ${error.message}`);
+    return EXIT.INPUT_ERROR;
+  }
+
+  const tasks = batch.documents.map(document => ({
+    source: document.source,
+    output: join(output, document.output),
+    profile: document.profile,
+    metadata: document.metadata,
+    date,
+    stylesheet,
+    validate,
+    strict
+  }));
+  try {
+    for (const task of tasks) mkdirSync(dirname(task.output), { recursive: true });
+  } catch (error) {
+    console.error(`Cannot create output directory ${output}: ${error.message}`);
+    return EXIT.OUTPUT_ERROR;
+  }
+
+  log(`Converting ${tasks.length} document(s)...`);
+  const results = await runInWorkers(tasks, {
+    threads: jobs ?? undefined,
+    onResult: (result, i) => {
+      const name = basename(batch.documents[i].source);
+      if (result.error) {
+        log(`  - ${name}: failed (${result.error})`);
+        return;
+      }
+      const problems = [
+        result.warnings.length && `${result.warnings.length} warning(s)`,
+        result.validationErrors.length && `${result.validationErrors.length} validation error(s)`
+      ].filter(Boolean);
+      log(`  - ${name}: ${result.failures.length ? 'failed' : 'converted'}${problems.length ? ` (${problems.join(', ')})` : ''}`);
+    }
+  });
+
+  const converted = batch.documents
+    .map((document, i) => ({ document, result: results[i] }))
+    .filter(({ result }) => !result.error && !result.failures.length);
+  // Dated by its documents, as each document is by its source
+  const dated = corpusDate(converted.map(({ result }) => result)) ?? buildDate({ date });
+  if (converted.length) {
+    const xml = serializeCorpus(converted.map(({ document, result }) => ({
+      href: encodeURI(document.output.split(sep).join('/')),
+      metadata: result.metadata
+    })), { title: batch.title, publisher: batch.publisher, licence: batch.licence, date: dated });
+    const status = await writeTEI(xml, join(output, batch.corpus), { validate, strict, log });
+    if (status !== EXIT.OK) return status;
+  }
+
+  const index = corpusIndex(batch, results, { outputDir: output, date: dated });
+  try {
+    writeFileSync(join(output, 'index.json'), `${JSON.stringify(index, null, 2)}\n`, 'utf-8');
+  } catch (error) {
+    console.error(`Cannot write index ${join(output, 'index.json')}: ${error.message}`);
+    return EXIT.OUTPUT_ERROR;
+  }
+
+  log(`\nConverted ${index.converted} of ${tasks.length} document(s) to: ${output}`);
+  if (index.failed) {
+    console.error(`\n${index.failed} document(s) failed:`);
+    for (const document of index.documents.filter(({ status }) => status === 'failed')) {
+      console.error(`  - ${document.source}: ${document.error}`);
+    }
+    return EXIT.DOCUMENTS_FAILED;
+  }
+  return EXIT.OK;
+}
+
+/**
+ * Render a converted text as a static HTML site in a directory
+ * @param {object} options
+ * @param {string|null} options.input Path of the TEI, or null to read stdin
+ * @param {string} options.output Directory to write to
+ * @param {boolean} options.quiet Suppress progress messages
+ * @returns {Promise<number>} Process exit code
+ */
+async function renderTEI({ input, output, quiet }) {
+  const log = quiet ? () => {} : console.log;
+
+  let xml;
+  try {
+    xml = readFileSync(input ?? 0, 'utf-8');
+    checkWellFormed(xml);
+  } catch (error) {
+    console.error(`Cannot read TEI ${input ?? 'stdin'}: ${error.message}`);
+    return EXIT.INPUT_ERROR;
+  }
+
+  let site;
+  try {
+    site = render(xml);
+  } catch (error) {
+    console.error(`Cannot render ${input ?? 'stdin'}: ${error.message}`);
+    return EXIT.CONVERSION_ERROR;
+  }
+
+  log(`Writing ${site.files.length} files...`);
+  try {
+    mkdirSync(output, { recursive: true });
+    for (const { path, content } of site.files) writeFileSync(join(output, path), content, 'utf-8');
+  } catch (error) {
+    console.error(`Cannot write site ${output}: ${error.message}`);
+    return EXIT.OUTPUT_ERROR;
+  }
+  for (const page of site.pages) log(`  - ${page.path}: ${page.title}`);
+  log(`\nRendering complete! ${site.pages.length} section pages and ${site.documents} searchable items saved to: ${output}`);
+  return EXIT.OK;
+}
+
+/**
+ * Export a converted text to another format and check what was written
+ * @param {object} options
+ * @param {string|null} options.input Path of the TEI, or null to read stdin
+ * @param {string} options.output File to write
+ * @param {string} options.format Export format (see EXPORT_FORMATS)
+ * @param {boolean} options.quiet Suppress progress messages
+ * @returns {Promise<number>} Process exit code
+ */
+async function exportText({ input, output, format, quiet }) {
+  const log = quiet ? () => {} : console.log;
+
+  let xml;
+  try {
+    xml = readFileSync(input ?? 0, 'utf-8');
+    checkWellFormed(xml);
+  } catch (error) {
+    console.error(`Cannot read TEI ${input ?? 'stdin'}: ${error.message}`);
+    return EXIT.INPUT_ERROR;
+  }
+
+  let exported;
+  try {
+    exported = exportTEI(xml, { format });
+  } catch (error) {
+    console.error(`Cannot export ${input ?? 'stdin'}: ${error.message}`);
+    return EXIT.CONVERSION_ERROR;
+  }
+
+  log(`Writing ${format.toUpperCase()}...`);
+  try {
+    writeFileSync(output, exported.content);
+  } catch (error) {
+    console.error(`Cannot write output ${output}: ${error.message}`);
+    return EXIT.OUTPUT_ERROR;
+  }
+
+  // Check what actually ended up on disk
+  const { valid, errors } = checkEpub(readFileSync(output));
+  if (!valid) {
+    console.error(`\n${output}: ${errors.length} structural error(s):`);
+    for (const error of errors) console.error(`  - ${error}`);
+    return EXIT.MALFORMED_OUTPUT;
+  }
+  for (const chapter of exported.chapters) log(`  - ${chapter.path}: ${chapter.title}`);
+  log(`\nExport complete! ${exported.chapters.length} chapters and ${exported.footnotes} footnotes saved to: ${output}`);
+  log(`Total file size: ${(exported.content.length / 1024).toFixed(2)} KB`);
+  return EXIT.OK;
+}
+
+/**
+ * Arguments of a conversion run by --watch: the command line without the
+ * watch options, run quietly with its diagnostics written to a file
+ * @param {string[]} argv Arguments of the watching process
+ * @param {string} diagnosticsFile Where the conversion writes its diagnostics, as JSON
+ * @param {string|null} [previousFile] Previous output whose revision history the conversion continues
+ * @returns {string[]}
+ */
+function watchedArgs(argv, diagnosticsFile, previousFile = null) {
+  const args = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (['--watch', '--serve', '-q', '--quiet'].includes(arg) || /^--(?:port|diagnostics)=/.test(arg)) continue;
+    if (arg === '--port' || arg === '--diagnostics') {
+      i++;
+      continue;
+    }
+    args.push(arg);
+  }
+  return [...args, '--quiet', '--diagnostics', diagnosticsFile, ...(previousFile ? ['--previous', previousFile] : [])];
+}
+
+/**
+ * Convert, then convert again whenever the source, the converter, the
+ * profile, a plugin, the metadata or the stylesheet changes. Each
+ * conversion runs in a process of its own, so that changes to the converter
+ * take effect. With `serve`, the output is served with a page that reloads
+ * it after each conversion, and shows a failure or warnings over it.
+ *
+ * Every conversion continues the revision history the output had when
+ * watching began, so that what changed while watching is one entry rather
+ * than one per conversion. A conversion that fails removes the output.
+ * @param {object} options Options of the convert command
+ * @param {string[]} argv Arguments the conversion is run with
+ * @returns {Promise<number>} Process exit code, once interrupted or terminated
+ */
+async function watchConversion({ input, output, format, previous, profile, plugins, metadata, stylesheet, diagnostics, serve, port, quiet }, argv) {
+  const log = quiet ? () => {} : console.log;
+  const temporary = suffix => join(tmpdir(), `tei-convert-watch-${process.pid}${suffix}`);
+  // Conversions write JSON diagnostics; a Markdown report is made from them
+  const markdown = Boolean(diagnostics) && extname(diagnostics).toLowerCase() === '.md';
+  const diagnosticsFile = diagnostics && !markdown ? diagnostics : temporary('.json');
+  const previousFile = format === 'tei' && !previous ? temporary('-previous.xml') : null;
+  if (previousFile) {
+    try {
+      writeFileSync(previousFile, existsSync(output) ? readFileSync(output) : '');
+    } catch (error) {
+      console.error(`Cannot read previous output ${output}: ${error.message}`);
+      return EXIT.INPUT_ERROR;
+    }
+  }
+  const args = [fileURLToPath(import.meta.url), ...watchedArgs(argv, diagnosticsFile, previousFile)];
+  const root = dirname(resolve(output));
+  const stylesheetFile = stylesheet && !/^[a-z][a-z\d+.-]*:/i.test(stylesheet) ? resolve(root, stylesheet) : null;
+  const watched = [
+    input,
+    fileURLToPath(new URL('../convert-to-tei.js', import.meta.url)),
+    fileURLToPath(new URL('../lib/', import.meta.url)),
+    profile && existsSync(profile) ? profile : fileURLToPath(new URL('../profiles/', import.meta.url)),
+    fileURLToPath(new URL('../gazetteers/', import.meta.url)),
+    ...plugins,
+    metadata,
+    stylesheetFile
+  ].filter(path => path && existsSync(path));
+
+  let server = null;
+  if (serve) {
+    try {
+      server = await liveServer({ root, page: relative(root, resolve(output)).split(sep).join('/'), port });
+    } catch (error) {
+      console.error(`Cannot serve on port ${port}: ${error.message}`);
+      return EXIT.OUTPUT_ERROR;
+    }
+  }
+
+  // Run one conversion at a time, and another after it if anything changed meanwhile
+  let running = null;
+  let pending = false;
+  const run = () => new Promise(done => {
+    rmSync(diagnosticsFile, { force: true });
+    const child = spawn(process.execPath, args, { stdio: ['ignore', 'inherit', 'pipe'] });
+    let errors = '';
+    child.stderr.setEncoding('utf-8');
+    child.stderr.on('data', chunk => {
+      errors += chunk;
+      process.stderr.write(chunk);
+    });
+    child.on('close', code => {
+      let report = null;
+      try {
+        report = JSON.parse(readFileSync(diagnosticsFile, 'utf-8'));
+      } catch {
+        // A conversion that failed early writes no diagnostics
+      }
+      if (report && markdown) {
+        try {
+          writeFileSync(diagnostics, diagnosticsToMarkdown(report.diagnostics, { source: report.source, profile: report.profile }), 'utf-8');
+        } catch (error) {
+          console.error(`Cannot write diagnostics ${diagnostics}: ${error.message}`);
+        }
+      }
+      const warnings = report ? report.diagnostics.filter(entry => entry.level === 'warning') : [];
+      const time = new Date().toLocaleTimeString();
+      if (code === EXIT.OK) {
+        log(`[${time}] Converted to ${output}${warnings.length ? ` with ${warnings.length} warning(s)` : ''}`);
+      } else {
+        // No output of an earlier conversion is left to pass for this one's
+        console.error(`[${time}] Conversion failed (exit code ${code}); ${output} removed`);
+        try {
+          rmSync(output, { force: true });
+        } catch (error) {
+          console.error(`Cannot remove ${output}: ${error.message}`);
+        }
+      }
+      if (!quiet) for (const { message } of warnings) console.error(`  - ${message}`);
+      server?.update({ ok: code === EXIT.OK, code, errors, diagnostics: warnings });
+      done();
+    });
+  });
+  const convertAgain = async () => {
+    if (running) {
+      pending = true;
+      return;
+    }
+    do {
+      pending = false;
+      running = run();
+      await running;
+    } while (pending);
+    running = null;
+  };
+
+  const watcher = watchFiles(watched, path => {
+    log(`\nChanged: ${relative(process.cwd(), path)}`);
+    convertAgain();
+  });
+  log(`Watching ${watched.map(path => relative(process.cwd(), path) || '.').join(', ')}`);
+  if (server) log(`Serving ${output} at ${server.url} with live reload`);
+  log('Press Ctrl+C to stop\n');
+  const interrupted = new Promise(done => {
+    for (const signal of ['SIGINT', 'SIGTERM']) process.once(signal, done);
+  });
+  await convertAgain();
+
+  await interrupted;
+  watcher.close();
+  await server?.close();
+  await running;
+  if (diagnosticsFile !== diagnostics) rmSync(diagnosticsFile, { force: true });
+  if (previousFile) rmSync(previousFile, { force: true });
+  return EXIT.OK;
+}
+
+/**
+ * Describe a validation error with its location and the xml:id and @n of
+ * the item it occurs in
+ */
+function formatValidationError({ line, element, id, n, message }, fileName) {
+  const where = line ? `${fileName}:${line}` : fileName;
+  const context = [
+    element && `<${element}>`,
+    id && `xml:id="${id}"`,
+    n && `n="${n}"`
+  ].filter(Boolean).join(' ');
+  return `${where}: ${message}${context ? ` (${context})` : ''}`;
+}
+
+/**
+ * Parse command-line arguments into conversion options
+ * @param {string[]} argv Arguments without the node executable and script path
+ */
+function parseCLIArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o' },
+      profile: { type: 'string', short: 'p' },
+      plugin: { type: 'string', multiple: true },
+      'list-profiles': { type: 'boolean' },
+      metadata: { type: 'string' },
+      date: { type: 'string' },
+      previous: { type: 'string' },
+      report: { type: 'string' },
+      full: { type: 'boolean' },
+      jobs: { type: 'string', short: 'j' },
+      format: { type: 'string' },
+      stylesheet: { type: 'string', short: 's' },
+      'no-stylesheet': { type: 'boolean' },
+      validate: { type: 'boolean' },
+      watch: { type: 'boolean' },
+      serve: { type: 'boolean' },
+      port: { type: 'string' },
+      diagnostics: { type: 'string' },
+      strict: { type: 'boolean' },
+      quiet: { type: 'boolean', short: 'q' },
+      'json-stats': { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' },
+      version: { type: 'boolean', short: 'v' }
+    }
+  });
+  const command = ['compare', 'cite', 'align', 'batch', 'render', 'export'].includes(positionals[0]) ? positionals.shift() : 'convert';
+  if (command === 'compare' && positionals.length !== 2) {
+    throw new TypeError(`compare expects two input files, got ${positionals.length}`);
+  }
+  if (command === 'cite' && positionals.length < 2) {
+    throw new TypeError('cite expects a TEI file and at least one citation');
+  }
+  if (command === 'align' && positionals.length < 2) {
+    throw new TypeError(`align expects at least two TEI files, got ${positionals.length}`);
+  }
+  if (command === 'batch' && positionals.length !== 1) {
+    throw new TypeError(`batch expects one directory or manifest, got ${positionals.length}`);
+  }
+  if (command === 'render' && positionals.length !== 1) {
+    throw new TypeError(`render expects one TEI file, got ${positionals.length}`);
+  }
+  if (['batch', 'render'].includes(command) && (values.output === undefined || values.output === '-')) {
+    throw new TypeError(`${command} expects an output directory (-o <dir>)`);
+  }
+  if (command === 'export' && positionals.length !== 1) {
+    throw new TypeError(`export expects one TEI file, got ${positionals.length}`);
+  }
+  if (command === 'export' && (values.output === undefined || values.output === '-')) {
+    throw new TypeError('export expects an output file (-o <file>)');
+  }
+  if (command === 'export' && !EXPORT_FORMATS.includes(values.format)) {
+    throw new TypeError(`export expects --format ${EXPORT_FORMATS.join(', ')}`);
+  }
+  if (values.jobs !== undefined && !/^[1-9]\d*$/.test(values.jobs)) {
+    throw new TypeError('--jobs must be a positive whole number');
+  }
+  if (command === 'convert' && values.format !== undefined && !OUTPUT_FORMATS.includes(values.format)) {
+    throw new TypeError(`--format must be one of ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  if (!['convert', 'export'].includes(command) && values.format !== undefined && !CITE_FORMATS.includes(values.format)) {
+    throw new TypeError(`--format must be one of ${CITE_FORMATS.join(', ')}`);
+  }
+  if (command === 'convert' && values.format !== undefined && values.format !== 'tei') {
+    for (const option of ['validate', 'previous', 'stylesheet', 'no-stylesheet']) {
+      if (values[option] !== undefined) throw new TypeError(`--${option} applies only to TEI output`);
+    }
+  }
+  if (command === 'convert' && positionals.length > 1) {
+    throw new TypeError(`Expected at most one input file, got ${positionals.length}`);
+  }
+  if (values.watch && (command !== 'convert' || positionals.length !== 1 || positionals[0] === '-')) {
+    throw new TypeError('--watch expects a source file to convert');
+  }
+  if (values.watch && (values.output === undefined || values.output === '-')) {
+    throw new TypeError('--watch expects an output file (-o <file>)');
+  }
+  if (values.serve && !values.watch) {
+    throw new TypeError('--serve applies only with --watch');
+  }
+  if (values.port !== undefined && !values.serve) {
+    throw new TypeError('--port applies only with --serve');
+  }
+  if (values.port !== undefined && (!/^\d+$/.test(values.port) || Number(values.port) > 65535)) {
+    throw new TypeError('--port must be a port number');
+  }
+  if (values.stylesheet !== undefined && values['no-stylesheet']) {
+    throw new TypeError('--stylesheet and --no-stylesheet cannot be combined');
+  }
+  const stdio = value => (value === undefined || value === '-') ? null : value;
+  return {
+    command,
+    help: Boolean(values.help),
+    version: Boolean(values.version),
+    input: stdio(positionals[0]),
+    inputs: positionals,
+    citations: positionals.slice(1),
+    format: values.format ?? (command === 'convert' ? 'tei' : 'text'),
+    report: values.report ?? null,
+    full: Boolean(values.full),
+    jobs: values.jobs === undefined ? null : Number(values.jobs),
+    output: stdio(values.output),
+    profile: values.profile ?? null,
+    plugins: values.plugin ?? [],
+    listProfiles: Boolean(values['list-profiles']),
+    metadata: values.metadata ?? null,
+    date: values.date ?? null,
+    previous: values.previous ?? null,
+    stylesheet: values['no-stylesheet'] ? null : (values.stylesheet ?? DEFAULT_STYLESHEET),
+    validate: Boolean(values.validate),
+    watch: Boolean(values.watch),
+    serve: Boolean(values.serve),
+    port: values.port === undefined ? 8057 : Number(values.port),
+    diagnostics: values.diagnostics ?? null,
+    strict: Boolean(values.strict),
+    quiet: Boolean(values.quiet),
+    jsonStats: Boolean(values['json-stats'])
+  };
+}
+
+/**
+ * Command-line entry point
+ * @returns {Promise<number>} Process exit code
+ */
+async function main(argv) {
+  let options;
+  try {
+    options = parseCLIArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT.USAGE_ERROR;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT.OK;
+  }
+  if (options.version) {
+    const pkg = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf-8'));
+    console.log(pkg.version);
+    return EXIT.OK;
+  }
+  if (options.listProfiles) {
+    for (const name of listProfiles()) console.log(name);
+    return EXIT.OK;
+  }
+  if (options.command === 'compare') return compareEditions(options);
+  if (options.command === 'cite') return citePassages(options);
+  if (options.command === 'align') return alignEditions(options);
+  if (options.command === 'batch') return convertCorpus(options);
+  if (options.command === 'render') return renderTEI(options);
+  if (options.command === 'export') return exportText(options);
+  if (options.watch) return watchConversion(options, argv);
+  if (!options.input && process.stdin.isTTY) {
+    console.error(`No input file given and stdin is a terminal\n\n${USAGE}`);
+    return EXIT.USAGE_ERROR;
+  }
+  return convertHTMLToTEI(options);
+}
+
+// Run the conversion
+try {
+  process.exitCode = await main(process.argv.slice(2));
+} catch (error) {
+  console.error('Error during conversion:', error);
+  process.exitCode = EXIT.CONVERSION_ERROR;
+}
@@ -1,15 +1,90 @@
-#!/usr/bin/env node
-
 /**
  * HTML/XHTML to TEI XML Converter for The Kitáb-i-Aqdas
  * Converts the source HTML/XHTML file to TEI P5 XML format
+ *
+ * This module only exports the conversion API; importing it has no side
+ * effects. The command-line interface lives in `bin/tei-convert.js`.
  */
 
-import { readFileSync, writeFileSync } from 'fs';
 import { JSDOM } from 'jsdom';
+import {
+  TEI_NS,
+  XML_NS,
+  XI_NS,
+  createXMLDocument,
+  elementBuilder,
+  indentXML,
+  serializeXML,
+  checkWellFormed
+} from './lib/xml.js';
+import { validateTEI } from './lib/validate.js';
+import { editionUrn, extractMetadata, languageName, mergeMetadata } from './lib/metadata.js';
+import {
+  hashSource,
+  buildDate,
+  collectItems,
+  readPrevious,
+  diffItems,
+  formatIds,
+  describeChanges
+} from './lib/revisions.js';
+import { createDiagnostics, diagnosticsToJSON, diagnosticsToMarkdown } from './lib/diagnostics.js';
+import { RENDITIONS, renditionsOf, isBlockStyled, renditionPointers } from './lib/rendition.js';
+import { WORD, WORD_END, WORD_START, isDigraph, hasDiacritics, regularize } from './lib/transliteration.js';
+import { ENTITY_TYPES, getGazetteer, foldText, entityMatcher, withNoteTerms } from './lib/gazetteer.js';
+import { citationLevels, citationPatterns, readCitations } from './lib/citations.js';
+import { DIGITS, isRightToLeft, westernDigits, editionLanguage } from './lib/languages.js';
+import { readEdition, translationLinks } from './lib/alignment.js';
+import { renderSite } from './lib/site.js';
+import { exportEpub, checkEpub } from './lib/epub.js';
+import { sectionRecords, sectionsToMarkdown, recordsToText, recordsToJSON } from './lib/records.js';
+import { legacyAnchor, navigationEntries, sectionSelector, segmentDocument } from './lib/segmenter.js';
+import { STAGES, createPipeline, loadPlugin } from './lib/pipeline.js';
+import {
+  alignItems,
+  summarizeComparison,
+  formatComparisonReport,
+  apparatusContent
+} from './lib/compare.js';
+import {
+  DEFAULT_PROFILE,
+  normalizeProfile,
+  getBundledProfile,
+  fallbackProfile,
+  detectProfile,
+  listProfiles,
+  loadProfile
+} from './lib/profiles.js';
+
+const DEFAULT_STYLESHEET = 'tei-to-html.xsl';
+
+/**
+ * Phrase-level TEI elements, never put on lines of their own when pretty-printing
+ */
+const INLINE_ELEMENTS = new Set([
+  'hi', 'ref', 'ptr', 'lb', 'app', 'rdg', 'choice', 'orig', 'reg', 'seg', 'persName', 'placeName', 'term'
+]);
+
+/**
+ * Elements holding editorial additions rather than text of the source, left
+ * out when texts are compared across conversions and editions
+ */
+const EDITORIAL_ELEMENTS = new Set(['reg']);
+
+/**
+ * Formats exportTEI() writes
+ */
+const EXPORT_FORMATS = ['epub'];
+
+/**
+ * Formats convert writes: TEI, or the parsed sections as serializeSections() writes them
+ */
+const OUTPUT_FORMATS = ['tei', 'json', 'ndjson', 'md', 'txt'];
 
-const INPUT_FILE = './The Kitáb-i-Aqdas.xhtml';
-const OUTPUT_FILE = './kitab-i-aqdas.xml';
+/**
+ * <revisionDesc> entry of a first conversion
+ */
+const INITIAL_CHANGE = 'Initial conversion from HTML to TEI';
 
 /**
  * Clean and normalize text content
@@ -22,663 +97,2124 @@ function cleanText(text) {
     .trim();
 }
 
+/**
+ * Punctuation that may follow an item number: "1.", "1:", "1)", "1]" and the
+ * Arabic full stop of "۱۔"
+ */
+const NUMBER_PUNCTUATION = '(?:\\s*[.:)\\]\\u06D4])?';
+
+const LEADING_NUMBER = new RegExp(`^\\s*(?:[(\\[])?\\s*[${DIGITS}]{1,3}${NUMBER_PUNCTUATION}(?:\\s+|$)`, 'u');
+
 /**
  * Remove a leading numeric label like "1.", "(1)", "[1]", "1)" from the start of a string
  * Used to avoid duplicating numbers when we also render @n via XSL
  */
 function stripLeadingNumber(text) {
   if (!text) return '';
-  // Matches leading numeric labels such as: 1.  | 1  | (1)  | [1]  | 1)  | 1:  | 1]  with optional surrounding spaces
+  // Matches leading numeric labels such as: 1.  | 1  | (1)  | [1]  | 1)  | 1:  | 1]  | ۱۲۔  with optional surrounding spaces
   // Also consumes either following whitespace or end-of-string so bare markers like "10." are removed fully
-  return text.replace(/^\s*(?:[\(\[])?\s*\d{1,3}(?:\s*[\.:\)\]])?(?:\s+|$)/, '');
+  return text.replace(LEADING_NUMBER, '');
 }
 
 /**
- * Convert HTML entities and special characters
+ * Normalize text to Unicode NFC, so that a letter written precomposed (á) and
+ * one written with a combining mark (a followed by a combining acute) come out the same. Accented
+ * vowels escaped twice in the source (a literal "&aacute;") are decoded.
  */
 function normalizeText(text) {
   if (!text) return '';
   return text
-    .replace(/&aacute;/g, 'á')
-    .replace(/&iacute;/g, 'í')
-    .replace(/&uacute;/g, 'ú')
-    .replace(/&eacute;/g, 'é')
-    .replace(/&oacute;/g, 'ó')
-    .replace(/'/g, "'")
-    .replace(/'/g, "'")
-    .replace(/"/g, '"')
-    .replace(/"/g, '"')
-    .replace(/—/g, '—')
-    .replace(/–/g, '–');
+    .replace(/&([aeiouAEIOU])acute;/g, (_, vowel) => `${vowel}\u0301`)
+    .normalize('NFC');
 }
 
 /**
- * Extract text content with basic formatting
+ * Extract content with basic formatting as an array of strings and
+ * `{ name, attrs, children }` TEI element objects
  */
 function extractTextWithFormatting(node) {
-  if (!node) return '';
+  if (!node) return [];
+  return nodesContent(node.childNodes);
+}
 
-  let result = '';
+/**
+ * Content of a run of sibling or unrelated nodes, as extractTextWithFormatting()
+ * gives the content of an element: elements are mapped by the element rules
+ * of the conversion their document is being parsed by (see parseDocument()),
+ * or else of DEFAULT_PLUGINS
+ * @param {Iterable<Node>} nodes
+ */
+function nodesContent(nodes) {
+  const result = [];
 
-  for (const child of node.childNodes) {
+  for (const child of nodes) {
     if (child.nodeType === 3) { // Text node
-      result += normalizeText(child.textContent);
+      result.push(normalizeText(child.textContent));
     } else if (child.nodeType === 1) { // Element node
-      const tagName = child.tagName.toLowerCase();
-
-      if (tagName === 'i' || tagName === 'em') {
-        result += `<hi rend="italic">${extractTextWithFormatting(child)}</hi>`;
-      } else if (tagName === 'b' || tagName === 'strong') {
-        result += `<hi rend="bold">${extractTextWithFormatting(child)}</hi>`;
-      } else if (tagName === 'u') {
-        result += `<hi rend="underline">${extractTextWithFormatting(child)}</hi>`;
-      } else if (tagName === 'sup') {
-        result += `<hi rend="superscript">${extractTextWithFormatting(child)}</hi>`;
-      } else if (tagName === 'sub') {
-        result += `<hi rend="subscript">${extractTextWithFormatting(child)}</hi>`;
-      } else if (tagName === 'a') {
-        const href = child.getAttribute('href');
-        if (href && href.startsWith('http')) {
-          result += `<ref target="${href}">${extractTextWithFormatting(child)}</ref>`;
-        } else {
-          result += extractTextWithFormatting(child);
+      const { pipeline, context } = documentPipelines.get(child.ownerDocument) ?? defaultMapping();
+      result.push(...(pipeline.mapElement(child, context) ?? extractTextWithFormatting(child)));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Pipeline of each source document being parsed, with the context its
+ * element rules are called with
+ */
+const documentPipelines = new WeakMap();
+
+/**
+ * Element mapping of DEFAULT_PLUGINS, for content extracted outside a conversion
+ */
+let defaultPipeline = null;
+function defaultMapping() {
+  defaultPipeline ??= { pipeline: createPipeline(DEFAULT_PLUGINS), context: elementContext({}) };
+  return defaultPipeline;
+}
+
+/**
+ * Context element rules are called with
+ */
+function elementContext({ document = null, profile = null, diagnostics = createDiagnostics() }) {
+  return { document, profile, diagnostics, content: extractTextWithFormatting, text: normalizeText };
+}
+
+/**
+ * Element rule wrapping an element's content in a <hi>
+ */
+function hiRule(selector, rend) {
+  return { selector, map: (element, { content }) => ({ name: 'hi', attrs: { rend }, children: content(element) }) };
+}
+
+/**
+ * The converter's own processing, as the plugins every conversion runs
+ * first (see lib/pipeline.js): the source's formatting, and its links and
+ * note calls, mapped to TEI; the navigation list the sections are read by;
+ * ids, links, transliterations and names settled once the sections are
+ * parsed; the divisions and back matter of the TEI text; and its lists,
+ * tables, quotations and section breaks. A plugin of the same name replaces
+ * one of them.
+ */
+const DEFAULT_PLUGINS = [
+  {
+    name: 'formatting',
+    elements: [
+      hiRule('i, em', 'italic'),
+      hiRule('b, strong', 'bold'),
+      {
+        selector: 'u',
+        // Underlined letter pairs are transliteration digraphs (<u>Sh</u> for one letter), not emphasis
+        map: (element, { content, text }) => (isDigraph(element.textContent)
+          ? { name: 'seg', attrs: { type: 'digraph', rend: 'underline' }, children: [text(element.textContent)] }
+          : { name: 'hi', attrs: { rend: 'underline' }, children: content(element) })
+      },
+      hiRule('sup', 'superscript'),
+      hiRule('sub', 'subscript'),
+      { selector: 'br', map: () => ({ name: 'lb', attrs: {}, children: [] }) },
+      { selector: 'span', map: element => spanContent(element) }
+    ]
+  },
+  {
+    name: 'links',
+    elements: [
+      {
+        selector: 'a',
+        // External links, and in-document links to source anchors, resolved to xml:ids once all sections are parsed
+        map: (element, { content }) => {
+          const href = element.getAttribute('href');
+          if (href && (href.startsWith('http') || (href.length > 1 && href.startsWith('#')))) {
+            return { name: 'ref', attrs: { target: href }, children: content(element) };
+          }
+          return content(element);
+        }
+      },
+      {
+        selector: 'sup',
+        // A superscript consisting only of an in-document link is a note call
+        map: element => {
+          const link = element.querySelector('a[href^="#"]');
+          const label = link ? cleanText(link.textContent) : '';
+          if (!link || !label || label !== cleanText(element.textContent)) return null;
+          return { name: 'ptr', attrs: { type: 'noteAnchor', target: link.getAttribute('href'), n: label }, children: [] };
         }
-      } else if (tagName === 'br') {
-        result += '\n';
-      } else if (tagName === 'span') {
-        // pass-through spans
-        result += extractTextWithFormatting(child);
-      } else {
-        result += extractTextWithFormatting(child);
       }
+    ]
+  },
+  {
+    name: 'navigation',
+    // Each entry of the source's navigation list, with the profile section its label names
+    preprocess: (document, context) => {
+      const nav = document.querySelector('nav.gc');
+      context.navigation = { nav, entries: navigationEntries(nav, context.profile) };
     }
+  },
+  {
+    name: 'finalize',
+    sections: (sections, { document, diagnostics, profile }) => finalizeSections(document, sections, diagnostics, profile)
+  },
+  {
+    name: 'body',
+    tree: (text, { el, sections, profile }) => text.append(...generateTextContent(el, sections, profile))
+  },
+  {
+    name: 'blocks',
+    elements: [
+      { selector: 'ul, ol', map: element => blockContent(element) },
+      { selector: 'table', map: element => blockContent(element) }
+    ],
+    tree: (text, { el, sections, profile }) => markBlocks(text, el, sections, profile)
   }
+];
 
-  return result;
+/**
+ * Pipeline of a conversion: DEFAULT_PLUGINS, then the profile's plugins,
+ * then those given to the conversion
+ */
+function conversionPipeline(profile, plugins = []) {
+  return createPipeline([...DEFAULT_PLUGINS, ...(profile.plugins ?? []), ...plugins]);
 }
 
 /**
- * Parse sections from the HTML/XHTML document
- * Supports two structures:
- *  1. Legacy HTML with explicit anchor name/id patterns (pref#, intro#, description#, par#, q#, note#)
- *  2. New XHTML (Bahá’í Reference Library) where sections are delineated by navigation <nav> links to heading anchors
+ * Content of a source span. A span the source's styles display as a block,
+ * holding nothing but spans, is verse: a line group with a line per span.
+ * Other spans keep their text, in a <hi> for each inline rendition their
+ * classes give them.
+ */
+function spanContent(span) {
+  const lines = Array.from(span.children);
+  if (isBlockStyled(span) && lines.length && lines.every(line => line.tagName.toLowerCase() === 'span')) {
+    return [{
+      name: 'lg',
+      attrs: {},
+      children: lines.map(line => ({ name: 'l', attrs: {}, children: cleanContent(extractTextWithFormatting(line)) }))
+    }];
+  }
+  return renditionsOf(span, { inline: true }).reduceRight(
+    (children, rend) => [{ name: 'hi', attrs: { rend }, children }],
+    extractTextWithFormatting(span)
+  );
+}
+
+/**
+ * A source list or table as a TEI content object (the `blocks` default
+ * plugin's element rules). List items keep nested lists and tables, mapped
+ * by the same rules; table cells keep their alignment as @rendition.
+ */
+function blockContent(element) {
+  const tag = element.tagName.toLowerCase();
+  if (tag === 'table') {
+    return {
+      name: 'table',
+      attrs: {},
+      children: Array.from(element.rows, row => ({
+        name: 'row',
+        attrs: {},
+        children: Array.from(row.cells, cell => ({
+          name: 'cell',
+          attrs: { rendition: renditionPointers(renditionsOf(cell)) },
+          children: cleanContent(extractTextWithFormatting(cell))
+        }))
+      }))
+    };
+  }
+  const nested = ':scope > ul, :scope > ol, :scope > table';
+  return {
+    name: 'list',
+    attrs: { rend: tag === 'ol' ? 'numbered' : 'bulleted' },
+    children: Array.from(element.querySelectorAll(':scope > li'), li => {
+      const text = li.cloneNode(true);
+      text.querySelectorAll(nested).forEach(block => block.remove());
+      return {
+        name: 'item',
+        attrs: {},
+        children: [...cleanContent(extractTextWithFormatting(text)), ...nodesContent(li.querySelectorAll(nested))]
+      };
+    })
+  };
+}
+
+/**
+ * Plain text of extracted content, without editorial additions such as
+ * regularized spellings
  */
-function parseDocument(dom) {
-  const document = dom.window.document;
-
-  const sections = {
-    preface: [],
-    introduction: [],
-    description: [],
-    text: [],
-    questions: [],
-    supplementary: [],
-    synopsis: [],
-    notes: [],
-    glossary: [],
-    keyPassages: []
+function plainText(content) {
+  return content
+    .map(node => {
+      if (typeof node === 'string') return node;
+      return EDITORIAL_ELEMENTS.has(node.name) ? '' : plainText(node.children);
+    })
+    .join('');
+}
+
+/**
+ * Plain text of extracted content, with block-level elements (paragraphs of a
+ * note, lines of verse, table cells) set apart by spaces
+ */
+function spacedText(content) {
+  return content
+    .map(node => {
+      if (typeof node === 'string') return node;
+      if (EDITORIAL_ELEMENTS.has(node.name)) return '';
+      return INLINE_ELEMENTS.has(node.name) ? spacedText(node.children) : ` ${spacedText(node.children)} `;
+    })
+    .join('');
+}
+
+/**
+ * Clean extracted content the way cleanText() cleans a string: collapse
+ * whitespace runs (also across element boundaries), trim both ends and
+ * merge adjacent strings. Empty elements such as note calls count as content.
+ */
+function cleanContent(content) {
+  const texts = [];
+  const merge = nodes => {
+    const out = [];
+    for (const node of nodes) {
+      if (typeof node === 'string' && typeof out[out.length - 1] === 'string') out[out.length - 1] += node;
+      else out.push(typeof node === 'string' ? node : { ...node, children: merge(node.children) });
+    }
+    return out.map(node => (typeof node === 'string' ? node.replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ') : node));
   };
+  // Text runs in document order; null marks an empty element
+  const collect = nodes => nodes.forEach((node, i) => {
+    if (typeof node === 'string') texts.push([nodes, i]);
+    else if (node.children.length) collect(node.children);
+    else texts.push(null);
+  });
+  const prune = nodes => nodes
+    .filter(node => node !== '')
+    .map(node => (typeof node === 'string' ? node : { ...node, children: prune(node.children) }));
 
-  // ---------- Primary strategy: legacy explicit anchors ----------
-  const allAnchorEls = Array.from(document.querySelectorAll('a[name], *[id], *[name]'));
-  const anchorPattern = /^(pref\d+|intro\d+[a-c]?|description\d+|par\d+|q\d+|note\d+)$/i;
-  const anchors = [];
-  for (const el of allAnchorEls) {
-    const name = (el.getAttribute('name') || el.getAttribute('id') || '').trim();
-    if (name && anchorPattern.test(name)) {
-      anchors.push({ name, el });
-    }
-  }
-  const seen = new Set();
-  const orderedAnchors = anchors.filter(a => { if (seen.has(a.name)) return false; seen.add(a.name); return true; });
-  const anchorMap = new Map(orderedAnchors.map(a => [a.name, a.el]));
-
-  function nextNode(node) {
-    if (!node) return null;
-    if (node.firstChild) return node.firstChild;
-    while (node) {
-      if (node.nextSibling) return node.nextSibling;
-      node = node.parentNode;
-    }
-    return null;
-  }
-  function collectBetween(startEl, endEl) {
-    let text = '';
-    let node = nextNode(startEl);
-    while (node && node !== endEl) {
-      if (node.nodeType === 1) {
-        const n = (node.getAttribute && (node.getAttribute('name') || node.getAttribute('id'))) || '';
-        if (n && anchorPattern.test(n)) break;
-        text += extractTextWithFormatting(node);
-        node = node.nextSibling ? node.nextSibling : nextNode(node);
-      } else if (node.nodeType === 3) {
-        text += normalizeText(node.textContent);
-        node = nextNode(node);
+  const result = merge(content);
+  collect(result);
+  let afterSpace = true;
+  for (const run of texts) {
+    if (!run) {
+      afterSpace = false;
+      continue;
+    }
+    const [nodes, i] = run;
+    if (afterSpace) nodes[i] = nodes[i].replace(/^ /, '');
+    if (nodes[i]) afterSpace = nodes[i].endsWith(' ');
+  }
+  for (let k = texts.length - 1; k >= 0 && texts[k]; k--) {
+    const [nodes, i] = texts[k];
+    nodes[i] = nodes[i].replace(/ $/, '');
+    if (nodes[i]) break;
+  }
+  return prune(result);
+}
+
+/**
+ * Part of extracted content between two offsets into its plain text.
+ * Elements keep their markup around whatever text of theirs falls inside the
+ * range; empty elements are kept when they sit inside it.
+ */
+function sliceContent(content, start, end = Infinity) {
+  let pos = 0;
+  const slice = nodes => {
+    const out = [];
+    for (const node of nodes) {
+      if (typeof node === 'string') {
+        const text = node.slice(Math.max(start - pos, 0), Math.max(end - pos, 0));
+        if (text) out.push(text);
+        pos += node.length;
+      } else if (EDITORIAL_ELEMENTS.has(node.name)) {
+        // Editorial additions have no text of the source and go with the text before them
+        if (pos > start && pos <= end) out.push(node);
+      } else if (!plainText(node.children)) {
+        if (pos >= start && pos < end) out.push(node);
       } else {
-        node = nextNode(node);
+        const children = slice(node.children);
+        if (children.length) out.push({ ...node, children });
       }
     }
-    return cleanText(text);
-  }
-
-  // Fill sections if legacy anchors exist (heuristic: at least one par1 or intro1)
-  const legacyHasContent = anchorMap.has('par1') || anchorMap.has('intro1') || anchorMap.has('pref1');
-  if (legacyHasContent) {
-    // Preface
-    for (let i = 1; i <= 50; i++) {
-      const name = `pref${i}`;
-      const el = anchorMap.get(name);
-      if (!el) break;
-      const nextEl = anchorMap.get(`pref${i+1}`) || null;
-      const text = collectBetween(el, nextEl);
-      if (text) sections.preface.push({ n: i, text });
-    }
-    // Introduction
-    for (let i = 1; i <= 300; i++) {
-      for (const suf of ['', 'b', 'c']) {
-        const name = `intro${i}${suf}`;
-        const el = anchorMap.get(name);
-        if (el) {
-          // Determine next marker in same group
-          let nextName = null;
-          if (suf === '') nextName = anchorMap.has(`intro${i}b`) ? `intro${i}b` : `intro${i+1}`;
-          else if (suf === 'b') nextName = anchorMap.has(`intro${i}c`) ? `intro${i}c` : `intro${i+1}`;
-          else nextName = `intro${i+1}`;
-          const nextEl = anchorMap.get(nextName) || null;
-          const text = collectBetween(el, nextEl);
-          if (text) sections.introduction.push({ n: `${i}${suf}`, text });
-        }
-      }
+    return out;
+  };
+  return slice(content);
+}
+
+/**
+ * Mark the transliterated words of extracted content: each becomes a <choice>
+ * of its original spelling, markup and all, and a plain-ASCII <reg>. A word
+ * is transliterated if it has an underlined digraph or a transliteration
+ * diacritic; words broken up by other markup are left alone.
+ * @param {Array} content
+ * @param {object} [around] Whether the text before and after the content
+ *   continues a word at its edges, as for the children of an element
+ */
+function transliterateContent(content, { joinsBefore = false, joinsAfter = false } = {}) {
+  const isDigraphSeg = node => typeof node !== 'string' && node.name === 'seg' && node.attrs.type === 'digraph';
+  const endsWord = i => (i < 0 ? joinsBefore : WORD_END.test(plainText([content[i]])));
+  const startsWord = i => (i >= content.length ? joinsAfter : WORD_START.test(plainText([content[i]])));
+  const out = [];
+  // Text and digraphs not yet looked at, which words may run across, and where they start
+  let run = [];
+  let start = 0;
+  const flush = end => {
+    const text = plainText(run);
+    let pos = 0;
+    for (const match of text.matchAll(WORD)) {
+      const wordEnd = match.index + match[0].length;
+      const orig = sliceContent(run, match.index, wordEnd);
+      if (!hasDiacritics(match[0]) && !orig.some(isDigraphSeg)) continue;
+      // Part of a word split by other markup
+      if ((match.index === 0 && endsWord(start - 1)) || (wordEnd === text.length && startsWord(end))) continue;
+      out.push(...sliceContent(run, pos, match.index), {
+        name: 'choice',
+        attrs: {},
+        children: [
+          { name: 'orig', attrs: {}, children: orig },
+          { name: 'reg', attrs: {}, children: [regularize(match[0])] }
+        ]
+      });
+      pos = wordEnd;
+    }
+    out.push(...sliceContent(run, pos));
+    run = [];
+  };
+  content.forEach((node, i) => {
+    if (typeof node === 'string' || isDigraphSeg(node)) {
+      if (!run.length) start = i;
+      run.push(node);
+    } else {
+      flush(i);
+      out.push(node.name === 'choice'
+        ? node
+        : { ...node, children: transliterateContent(node.children, { joinsBefore: endsWord(i - 1), joinsAfter: startsWord(i + 1) }) });
     }
-    // Description
-    for (let i = 1; i <= 100; i++) {
-      const name = `description${i}`;
-      const el = anchorMap.get(name);
-      if (!el) break;
-      const nextEl = anchorMap.get(`description${i+1}`) || null;
-      const text = collectBetween(el, nextEl);
-      if (text) sections.description.push({ n: i, text });
-    }
-    // Main Text paragraphs
-    for (let i = 1; i <= 1000; i++) {
-      const name = `par${i}`;
-      const el = anchorMap.get(name);
-      if (!el) break;
-      const nextEl = anchorMap.get(`par${i+1}`) || null;
-      let text = collectBetween(el, nextEl);
-      // Avoid duplicated numbering in content for main text
-      if (text) text = stripLeadingNumber(text);
-      if (text) sections.text.push({ n: i, text });
-    }
-    // Questions
-    for (let i = 1; i <= 500; i++) {
-      const name = `q${i}`;
-      const el = anchorMap.get(name);
-      if (!el) break;
-      const nextEl = anchorMap.get(`q${i+1}`) || null;
-      let text = collectBetween(el, nextEl);
-      // Avoid duplicated numbering in content for Q&A
-      if (text) text = stripLeadingNumber(text);
-      if (text) sections.questions.push({ n: i, text });
-    }
-    // Notes
-    for (let i = 1; i <= 1000; i++) {
-      const name = `note${i}`;
-      const el = anchorMap.get(name);
-      if (!el) break;
-      const nextEl = anchorMap.get(`note${i+1}`) || null;
-      const text = collectBetween(el, nextEl);
-      if (text) sections.notes.push({ n: i, text });
-    }
-    return sections;
-  }
-
-  // ---------- Fallback strategy: navigation-based XHTML segmentation ----------
-  const nav = document.querySelector('nav.gc');
-  if (!nav) return sections; // nothing found
-
-  const sectionOrder = [];
-  // Build from nav list items
-  nav.querySelectorAll('a[href^="#"]').forEach(a => {
-    const target = a.getAttribute('href').slice(1);
-    const label = a.textContent.trim();
-    sectionOrder.push({ id: target, label });
   });
+  flush(content.length);
+  return out;
+}
 
-  // Map labels to our internal types
-  function mapLabel(label) {
-    const l = label.toLowerCase();
-    if (l.startsWith('preface')) return { type: 'preface', head: label };
-    if (l.startsWith('introduction')) return { type: 'introduction', head: label };
-    if (l.startsWith('a description')) return { type: 'description', head: label };
-    if (l === 'the kitáb-i-aqdas') return { type: 'text', head: label };
-    if (l.startsWith('some supplementary')) return { type: 'supplementary', head: label };
-    if (l.startsWith('questions and answers')) return { type: 'questions', head: label };
-    if (l.startsWith('a synopsis')) return { type: 'synopsis', head: label };
-    if (l === 'notes') return { type: 'notes', head: label };
-    if (l.startsWith('key to passages')) return { type: 'keyPassages', head: label };
-    return null;
-  }
-
-  const mapped = sectionOrder.map(s => ({ ...s, map: mapLabel(s.label) })).filter(s => s.map);
-
-  // Helper to get all sibling nodes between two heading anchors
-  function collectSectionNodes(startId, endId) {
-    const startAnchor = document.querySelector(`a[id="${startId}"]`);
-    if (!startAnchor) return [];
-
-    // Find the container div that holds the section content
-    // The heading is typically inside a div.ic or similar, and content follows in sibling divs
-    let container = startAnchor.closest('div');
-    if (!container) return [];
-
-    // Collect the container itself and all following sibling elements until we hit the next section heading
-    const nodes = [];
-    let current = container;
-
-    while (current) {
-      if (current.nodeType === 1) {
-        // Check if this element or any descendant contains the next heading anchor
-        if (endId) {
-          const nextAnchor = current.querySelector(`a[id="${endId}"]`);
-          if (nextAnchor) break;
-        }
-        nodes.push(current);
+/**
+ * Tag the occurrences of gazetteer entries in extracted content as
+ * <persName>, <placeName> or <term> pointing at the entry. Names are found
+ * in runs of text and transliterated words, and never split a word's
+ * <choice>; names broken up by other markup are not found.
+ * @param {Array<string|object>} content
+ * @param {Function} match Matcher from entityMatcher()
+ * @returns {Array<string|object>}
+ */
+function tagEntities(content, match) {
+  const isWord = node => typeof node !== 'string' && node.name === 'choice';
+  const out = [];
+  let run = [];
+  const flush = () => {
+    // Offsets inside a transliterated word, where no name may start or end
+    const inside = [];
+    let offset = 0;
+    for (const node of run) {
+      const length = plainText([node]).length;
+      if (isWord(node)) inside.push([offset, offset + length]);
+      offset += length;
+    }
+    const splits = at => inside.some(([start, end]) => at > start && at < end);
+    let pos = 0;
+    for (const { start, end, entry } of match(plainText(run))) {
+      if (splits(start) || splits(end)) continue;
+      out.push(...sliceContent(run, pos, start), {
+        name: ENTITY_TYPES[entry.type].element,
+        attrs: { ref: `#${entry.id}` },
+        children: sliceContent(run, start, end)
+      });
+      pos = end;
+    }
+    out.push(...sliceContent(run, pos));
+    run = [];
+  };
+  const tagged = new Set(Object.values(ENTITY_TYPES).map(type => type.element));
+  for (const node of content) {
+    if (typeof node === 'string' || isWord(node)) {
+      run.push(node);
+    } else {
+      flush();
+      out.push(tagged.has(node.name) ? node : { ...node, children: tagEntities(node.children, match) });
+    }
+  }
+  flush();
+  return out;
+}
+
+/**
+ * Remove whatever a string function strips from the start of the content's
+ * plain text (e.g. stripLeadingNumber), keeping the markup of the rest
+ */
+function stripLeadingText(content, strip) {
+  const text = plainText(content);
+  return cleanContent(sliceContent(content, text.length - strip(text).length));
+}
+
+/**
+ * Patterns for the numbers and "Question:"/"Answer:" labels of Q&A items,
+ * in the language of an edition (see editionLanguage())
+ */
+function qaPatterns({ labels }) {
+  const alternatives = list => list.map(label => label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+  const [question, answer] = [alternatives(labels.question), alternatives(labels.answer)];
+  const number = `[${DIGITS}]{1,3}${NUMBER_PUNCTUATION}`;
+  const colon = '\\s*[:\\u2014\\-]';
+  return {
+    numberOnly: new RegExp(`^\\s*([${DIGITS}]{1,3})${NUMBER_PUNCTUATION}\\s*$`, 'u'),
+    numberAtStart: new RegExp(`^\\s*([${DIGITS}]{1,3})${NUMBER_PUNCTUATION}`, 'u'),
+    question: new RegExp(`^\\s*(?:${number}\\s*)?(?:${question})${colon}`, 'iu'),
+    answer: new RegExp(`^\\s*(?:${number}\\s*)?(?:${answer})${colon}`, 'iu'),
+    answerWithin: new RegExp(`(?<![\\p{L}\\p{M}])(?:${answer})${colon}`, 'iu'),
+    label: new RegExp(`^\\s*(?:${question}|${answer})${colon}\\s*`, 'iu')
+  };
+}
+
+const ENGLISH_QA = qaPatterns(editionLanguage('en'));
+
+/**
+ * A note title: its number and the phrase it annotates, e.g. "12. the Qiblih"
+ */
+const NOTE_TITLE = new RegExp(`^([${DIGITS}]+)[.\\u06D4]?\\s*(.*)$`, 'su');
+
+/**
+ * The leading label of a paragraph numbered in the source, e.g. "12" of "(12) Say: …"
+ */
+const SOURCE_NUMBER = new RegExp(`^\\s*[(\\[]?\\s*([${DIGITS}]{1,3})(?![\\p{L}\\p{N}_])`, 'u');
+
+/**
+ * Remove a leading "Question:"/"Answer:" label, which the TEI encodes as the part's type
+ */
+function stripQALabel(text, qa = ENGLISH_QA) {
+  return text.replace(qa.label, '');
+}
+
+/**
+ * Split flattened "Question: ... Answer: ..." content into Q&A parts
+ */
+function splitQuestionAnswer(content, qa = ENGLISH_QA) {
+  const text = plainText(content);
+  const strip = text => stripQALabel(text, qa);
+  const match = text.match(qa.answerWithin);
+  if (!match || match.index === 0) {
+    const type = qa.question.test(text) ? 'question' : (match ? 'answer' : null);
+    return [{ type, paragraphs: [stripLeadingText(content, strip)] }];
+  }
+  const parts = [];
+  const question = stripLeadingText(cleanContent(sliceContent(content, 0, match.index)), strip);
+  const answer = stripLeadingText(cleanContent(sliceContent(content, match.index)), strip);
+  if (question.length) parts.push({ type: 'question', paragraphs: [question] });
+  if (answer.length) parts.push({ type: 'answer', paragraphs: [answer] });
+  return parts;
+}
+
+/**
+ * Reduce text to lowercase letters, digits and single spaces for fuzzy comparison
+ */
+function phraseKey(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Check whether a note's quotation (possibly elided with "…") occurs in a passage
+ */
+function matchesQuotation(passage, quotation) {
+  const haystack = phraseKey(passage);
+  let pos = 0;
+  for (const piece of quotation.split('…').map(phraseKey).filter(Boolean)) {
+    const i = haystack.indexOf(piece, pos);
+    if (i < 0) return false;
+    pos = i + piece.length;
+  }
+  return true;
+}
+
+/**
+ * Share of a passage's words that also occur in a quotation (0..1)
+ */
+function quotationOverlap(passage, quotation) {
+  const words = phraseKey(passage).split(' ').filter(Boolean);
+  if (!words.length) return 0;
+  const quoted = new Set(phraseKey(quotation).split(' '));
+  return words.filter(w => quoted.has(w)).length / words.length;
+}
+
+/**
+ * Text of an element without its superscript note calls
+ */
+function textWithoutCalls(el) {
+  let text = '';
+  for (const child of el.childNodes) {
+    if (child.nodeType === 3) text += child.textContent;
+    else if (child.nodeType === 1 && child.tagName.toLowerCase() !== 'sup') text += textWithoutCalls(child);
+  }
+  return text;
+}
+
+/**
+ * Collect the source anchor ids carried by an element and its descendants
+ */
+function anchorIds(el) {
+  const ids = [];
+  for (const node of [el, ...el.querySelectorAll('[id], a[name]')]) {
+    const id = node.getAttribute('id') || node.getAttribute('name');
+    if (id) ids.push(id);
+  }
+  return ids;
+}
+
+/**
+ * The notes and footnotes of parsed sections
+ */
+function notesOf(sections, profile) {
+  return profile.sections.flatMap(section => {
+    if (section.extract === 'notes') return sections[section.key] || [];
+    if (section.extract === 'footnotes') return (sections[section.key] || []).flatMap(group => group.items);
+    return [];
+  });
+}
+
+/**
+ * The people, places and terms of a document: the entries of its profile's
+ * gazetteer, with the notes that explain them, and the further terms its
+ * notes explain (see withNoteTerms()). None without a gazetteer.
+ * @param {object} sections Parsed sections, with xml:ids assigned
+ * @param {object} profile Normalized profile
+ * @returns {object[]} Entries
+ */
+function documentEntities(sections, profile) {
+  if (!profile.gazetteer) return [];
+  const notes = notesOf(sections, profile).map(note => ({ id: note.id, n: note.n, lemma: note.lemma }));
+  return withNoteTerms(getGazetteer(profile.gazetteer).entries, notes);
+}
+
+/**
+ * Give every item a unique xml:id and point in-document links at those ids.
+ * Source anchors are only needed for resolution and are removed afterwards.
+ * Items with `targets` (source anchors of the passages they annotate) get a
+ * resolved `target`, and every note is checked for at least one call site.
+ * Transliterated words are marked last, once links no longer change, and
+ * then the names of the profile's gazetteer.
+ */
+function finalizeSections(document, sections, diagnostics, profile) {
+  const used = new Set();
+  const anchorMap = new Map();
+  const all = [];
+  // Source element of each item, for locating diagnostics
+  const sourceOf = new Map();
+  const sourceNode = anchor => document.getElementById(anchor) || document.getElementsByName(anchor)[0] || null;
+  const at = item => ({ node: sourceOf.get(item.id), item: item.id });
+
+  const assign = (items, prefix) => {
+    for (const item of items) {
+      const base = `${prefix}-${String(item.n).replace(/[^\p{L}\p{N}.-]+/gu, '_')}`;
+      let id = base;
+      for (let i = 2; used.has(id); i++) id = `${base}-${i}`;
+      used.add(id);
+      item.id = id;
+      sourceOf.set(id, item.anchors && item.anchors.length ? sourceNode(item.anchors[0]) : null);
+      if (id !== base) diagnostics.warn('duplicate-number', `Duplicate number ${item.n} in ${prefix}; using xml:id "${id}"`, at(item));
+      for (const anchor of item.anchors || []) {
+        if (!anchorMap.has(anchor)) anchorMap.set(anchor, id);
       }
-      current = current.nextSibling;
+      delete item.anchors;
+      all.push(item);
+      if (item.items) assign(item.items, id);
     }
+  };
+  for (const section of profile.sections) assign(sections[section.key], section.idPrefix);
 
-    return nodes;
+  // Items numbered in the source should run without gaps
+  for (const section of profile.sections) {
+    const items = sections[section.key];
+    for (let i = 1; i < items.length; i++) {
+      const [previous, next] = [items[i - 1], items[i]].map(item => String(item.n));
+      if (!/^\d+$/.test(previous) || !/^\d+$/.test(next)) continue;
+      const gap = Number(next) - Number(previous);
+      if (gap > 1) {
+        const missing = gap === 2 ? `${Number(previous) + 1}` : `${Number(previous) + 1}–${Number(next) - 1}`;
+        diagnostics.warn('numbering-gap', `${section.label}: number(s) ${missing} missing between ${previous} and ${next}`, at(items[i]));
+      } else if (gap < 0) {
+        diagnostics.warn('numbering-out-of-order', `${section.label}: ${next} follows ${previous}`, at(items[i]));
+      }
+    }
   }
 
-  // Generic DOM-order collector between two anchors for elements matching a selector
-  function collectElementsBetween(startId, endId, selector) {
-    const startAnchor = document.querySelector(`a[id="${startId}"]`);
-    if (!startAnchor) return [];
-    const endAnchor = endId ? document.querySelector(`a[id="${endId}"]`) : null;
+  const lookup = target => (used.has(target) ? target : anchorMap.get(target));
+  const called = new Set();
 
-    function nextNode(node) {
-      if (!node) return null;
-      if (node.firstChild) return node.firstChild;
-      while (node) {
-        if (node.nextSibling) return node.nextSibling;
-        node = node.parentNode;
+  // Unresolvable links keep their content but lose the dangling <ref>; unresolvable note calls are dropped
+  const resolve = (content, item) => content.flatMap(node => {
+    if (typeof node === 'string') return [node];
+    const children = resolve(node.children, item);
+    const { target } = node.attrs;
+    if (node.name === 'ref' && target && target.startsWith('#')) {
+      const id = lookup(target.slice(1));
+      if (id) return [{ ...node, attrs: { ...node.attrs, target: `#${id}` }, children }];
+      diagnostics.warn('unresolved-link', `Unresolved link to ${target} in ${item.id}`, at(item));
+      return children;
+    }
+    if (node.name === 'ptr' && node.attrs.type === 'noteAnchor') {
+      const id = lookup(target.slice(1));
+      if (id) {
+        called.add(id);
+        return [{ ...node, attrs: { ...node.attrs, target: `#${id}` }, children }];
+      }
+      diagnostics.warn('unresolved-note-call', `Unresolved note call to ${target} in ${item.id}`, at(item));
+      return [];
+    }
+    return [{ ...node, children }];
+  });
+  const match = entityMatcher(documentEntities(sections, profile));
+  const finish = (content, item) => tagEntities(transliterateContent(resolve(content, item)), match);
+  for (const item of all) {
+    if (item.content) item.content = finish(item.content, item);
+    if (item.label) item.label = finish(item.label, item);
+    for (const part of item.parts || []) part.paragraphs = part.paragraphs.map(content => finish(content, item));
+    if (item.targets) {
+      const ids = [];
+      for (const target of item.targets) {
+        const id = lookup(target);
+        if (id) ids.push(`#${id}`);
+        else diagnostics.warn('unresolved-target', `Unresolved target #${target} of ${item.id}`, at(item));
       }
-      return null;
+      if (ids.length) item.target = ids.join(' ');
+      delete item.targets;
     }
+  }
 
-    const out = [];
-    let node = nextNode(startAnchor);
-    while (node && node !== endAnchor) {
-      if (node.nodeType === 1) {
-        const el = node;
-        try {
-          if (el.matches && el.matches(selector)) out.push(el);
-        } catch (_) {
-          // ignore invalid selectors or elements without matches
+  for (const note of notesOf(sections, profile)) {
+    if (!called.has(note.id)) diagnostics.warn('unreferenced-note', `Note ${note.id} is not referenced from the text`, at(note));
+  }
+}
+
+/**
+ * The profile to convert a document with: the given one, else the bundled
+ * profile matching the document, else the fallback profile
+ */
+function selectProfile(document, profile, diagnostics) {
+  if (profile) return typeof profile === 'string' ? getBundledProfile(profile) : normalizeProfile(profile);
+  const detected = detectProfile(document);
+  if (detected) return detected;
+  diagnostics.warn('profile-fallback', `No bundled profile matches this document; using the sections of "${DEFAULT_PROFILE}" without its metadata`);
+  return fallbackProfile();
+}
+
+/**
+ * Fill sections from legacy HTML, where each item starts at a named anchor
+ * matching a section's `anchor` pattern (e.g. pref1, intro2b, par3) and runs
+ * to the next such anchor.
+ * @param {object[]} anchors Legacy anchors as segmentDocument() finds them with legacyAnchor()
+ * @returns {boolean} Whether the document has such anchors
+ */
+function parseLegacySections(anchors, sections, diagnostics, qa = ENGLISH_QA) {
+  if (!anchors.length) return false;
+  for (const { name, el, section, n, nodes } of anchors) {
+    let content = cleanContent(nodesContent(nodes));
+    // Avoid duplicated numbering in content
+    if (section.stripLeadingNumber) content = stripLeadingText(content, stripLeadingNumber);
+    if (!content.length) {
+      diagnostics.info('empty-item-skipped', `${section.label}: anchor "${name}" is followed by no text; skipped`, { node: el });
+      continue;
+    }
+    if (section.extract === 'questions') {
+      sections[section.key].push({ n, parts: splitQuestionAnswer(content, qa), anchors: [name] });
+    } else {
+      sections[section.key].push({ n, content, anchors: [name] });
+    }
+  }
+  return true;
+}
+
+/**
+ * Fill sections from Bahá’í Reference Library XHTML, where sections are
+ * delineated by navigation <nav> links to heading anchors. Each nav label is
+ * matched against the sections' `nav` patterns; a section runs to the next
+ * nav target.
+ * @param {object} navigation The nav, its entries from navigationEntries() and
+ *   the ranges segmentDocument() gathered for them
+ */
+function parseNavSections(document, profile, { nav, entries, ranges }, sections, diagnostics, qa = ENGLISH_QA) {
+  if (!nav) diagnostics.warn('no-navigation', 'The source has neither anchors matching the profile nor a navigation list (nav.gc)');
+
+  // Keep each entry's position in the nav so a section ends at the next nav target,
+  // even when that target is not one of our mapped sections (e.g. trailing footnotes)
+  const mapped = entries
+    .map((entry, index) => ({ ...entry, index }))
+    .filter(entry => entry.section);
+
+  entries.forEach(entry => {
+    if (entry.section) return;
+    if (entry.label) {
+      diagnostics.warn('unmapped-nav-label', `Navigation entry "${entry.label}" (#${entry.id}) matches no section of the profile; its content is skipped`, { node: entry.link });
+    } else {
+      diagnostics.info('unlabelled-nav-entry', `Unlabelled navigation entry #${entry.id} skipped`, { node: entry.link });
+    }
+  });
+  for (const section of profile.sections) {
+    if (section.nav && !mapped.some(m => m.section === section)) {
+      diagnostics.info('section-not-found', `${section.label}: no navigation entry matches ${section.nav}`, { node: nav });
+    }
+  }
+  for (const entry of mapped) {
+    if (!ranges[entry.index].start) {
+      diagnostics.warn('missing-anchor', `Navigation target #${entry.id} does not exist in the source`, { node: nav });
+    }
+  }
+
+  // The elements of a mapped entry's section, in document order
+  const elementsOf = ({ index }) => ranges[index].elements;
+
+  // Strip a leading outline label (e.g. "IV", "a", "12") rendered as <a class="td">
+  function contentWithoutLabel(p) {
+    let content = cleanContent(extractTextWithFormatting(p));
+    const label = p.querySelector(':scope > a.td');
+    const labelText = label ? cleanText(label.textContent) : '';
+    if (labelText && plainText(content).startsWith(labelText)) {
+      content = stripLeadingText(content, text => text.slice(labelText.length));
+    }
+    return { label: westernDigits(labelText), content };
+  }
+
+  // Recursively turn a nested <ol> outline into { n, content, items } entries
+  function parseOutline(ol) {
+    const items = [];
+    for (const li of ol.querySelectorAll(':scope > li')) {
+      const p = li.querySelector(':scope > p');
+      const { label, content } = p ? contentWithoutLabel(p) : { label: '', content: [] };
+      const nested = li.querySelector(':scope > ol');
+      // Tables and bulleted lists continue the entry's text
+      const blocks = Array.from(li.querySelectorAll(':scope > table, :scope > ul'));
+      items.push({
+        n: label || String(items.length + 1),
+        content: [...content, ...nodesContent(blocks)],
+        anchors: [...(p ? anchorIds(p) : []), ...blocks.flatMap(anchorIds)],
+        items: nested ? parseOutline(nested) : []
+      });
+    }
+    return items;
+  }
+
+  // Each note opens with the phrase it annotates and a "¶N" link to that paragraph,
+  // where the phrase is marked up as an unclassed <span>. Insert a note call
+  // (a superscript link, like the source's own footnote calls) right after it.
+  function markNoteCall(div) {
+    const titleSpan = div.querySelector('span.jb');
+    const noteAnchor = div.querySelector('a[id]');
+    const match = titleSpan && cleanText(titleSpan.textContent).match(NOTE_TITLE);
+    // Notes without a numbered title are reported when the notes are extracted
+    if (!match) return;
+    if (!noteAnchor) {
+      diagnostics.warn('note-without-anchor', `Note ${match[1]} has no anchor to link its call to; no call placed`, { node: div });
+      return;
+    }
+    const [num, quotation] = [westernDigits(match[1]), match[2]];
+    for (const link of titleSpan.parentElement.querySelectorAll('a[href^="#"]')) {
+      const target = document.getElementById(link.getAttribute('href').slice(1));
+      const passage = target && target.closest('p, li, div');
+      if (!passage) {
+        diagnostics.warn('note-passage-not-found', `Note ${num}: cannot find the passage ${link.getAttribute('href')} it annotates`, { node: link });
+        continue;
+      }
+      const spans = Array.from(passage.querySelectorAll('span')).filter(span => !span.getAttribute('class'));
+      const texts = spans.map(textWithoutCalls);
+      let at = spans.find((span, i) => matchesQuotation(texts[i], quotation));
+      // The quotation may run across consecutive phrases
+      for (let i = 0; !at && i < spans.length; i++) {
+        for (let j = i + 1; !at && j < spans.length; j++) {
+          if (matchesQuotation(texts.slice(i, j + 1).join(' '), quotation)) at = spans[j];
         }
       }
-      node = nextNode(node);
+      // Otherwise accept the phrase that best agrees with the quotation's wording
+      if (!at) {
+        let best = 0.75;
+        spans.forEach((span, i) => {
+          const overlap = quotationOverlap(texts[i], quotation);
+          if (overlap >= best) {
+            best = overlap;
+            at = span;
+          }
+        });
+        if (at) {
+          diagnostics.info('note-call-by-overlap', `Note ${num}: quoted phrase matched by wording (${Math.round(best * 100)}% overlap) in ${link.textContent.trim()}`, { node: at });
+        }
+      }
+      const call = document.createElement('sup');
+      const callLink = document.createElement('a');
+      callLink.setAttribute('href', `#${noteAnchor.getAttribute('id')}`);
+      callLink.textContent = num;
+      call.appendChild(callLink);
+      if (at) {
+        at.after(call);
+      } else {
+        diagnostics.warn('note-call-at-end', `Note ${num}: quoted phrase not found in ${link.textContent.trim()}; call placed at the end of the paragraph`, { node: passage });
+        passage.appendChild(call);
+      }
     }
-    return out;
   }
 
-  for (let i = 0; i < mapped.length; i++) {
-    const { id, map } = mapped[i];
-    const nextId = (i + 1 < mapped.length) ? mapped[i+1].id : null;
-    if (map.type === 'notes') {
-      const noteDivs = collectElementsBetween(id, nextId, 'div.dd');
+  for (const entry of mapped) {
+    if (entry.section.extract !== 'notes') continue;
+    for (const div of elementsOf(entry)) markNoteCall(div);
+  }
+
+  // Footnotes follow the last section, grouped under a heading per section;
+  // each links back to its call site with an empty <a class="jc">
+  for (const section of profile.sections) {
+    if (section.extract !== 'footnotes' || !section.selector) continue;
+    document.querySelectorAll(section.selector).forEach((groupLi, g) => {
+      const heading = groupLi.querySelector(':scope > h3');
+      const items = [];
+      for (const li of groupLi.querySelectorAll(':scope > ul > li')) {
+        const label = li.querySelector('a.td');
+        const p = li.querySelector('p');
+        if (!p) {
+          diagnostics.warn('footnote-without-text', `Footnote ${label ? cleanText(label.textContent) : items.length + 1} in group ${g + 1} has no paragraph; skipped`, { node: li });
+          continue;
+        }
+        const backLinks = Array.from(p.querySelectorAll('a.jc[href^="#"]'), a => a.getAttribute('href').slice(1));
+        const body = p.cloneNode(true);
+        body.querySelectorAll('a.jc').forEach(a => a.remove());
+        items.push({
+          n: label ? westernDigits(cleanText(label.textContent)) : String(items.length + 1),
+          content: cleanContent(extractTextWithFormatting(body)),
+          anchors: anchorIds(p),
+          targets: backLinks
+        });
+      }
+      sections[section.key].push({
+        n: g + 1,
+        content: heading ? cleanContent([heading.textContent]) : [],
+        anchors: heading ? anchorIds(heading) : [],
+        items
+      });
+    });
+  }
+
+  for (const entry of mapped) {
+    const { section } = entry;
+    const items = sections[section.key];
+    if (section.extract === 'outlines') {
+      // Each top-level <ol> is an outline titled by the paragraph preceding it
+      const outlines = elementsOf(entry)
+        .filter(ol => !ol.parentElement.closest('ol'));
+      outlines.forEach((ol, i) => {
+        const titleEl = ol.previousElementSibling && ol.previousElementSibling.matches('p')
+          ? ol.previousElementSibling
+          : null;
+        if (!titleEl) diagnostics.info('outline-without-title', `${section.label}: outline ${i + 1} has no title paragraph`, { node: ol });
+        items.push({
+          n: i + 1,
+          content: titleEl ? cleanContent(extractTextWithFormatting(titleEl)) : [],
+          anchors: titleEl ? anchorIds(titleEl) : [],
+          items: parseOutline(ol)
+        });
+      });
+      continue;
+    }
+    if (section.extract === 'keyTables' || section.extract === 'glossary') {
+      // Sub-headings are paragraphs; entries are two-column table rows (or dt/dd pairs),
+      // the first column being the entry's label
+      let counter = 1;
+      for (const el of elementsOf(entry)) {
+        const tag = el.tagName.toLowerCase();
+        if (tag === 'p') {
+          if (el.closest('td, th, dd')) continue;
+          const content = cleanContent(extractTextWithFormatting(el));
+          if (content.length && section.extract === 'keyTables') items.push({ n: counter++, content, anchors: anchorIds(el) });
+          continue;
+        }
+        if (tag === 'dt') {
+          items.push({ n: counter++, label: cleanContent(extractTextWithFormatting(el)), content: [], anchors: anchorIds(el) });
+          continue;
+        }
+        if (tag === 'dd') {
+          const last = items[items.length - 1];
+          if (!last || last.label === undefined) {
+            diagnostics.warn('orphan-definition', `${section.label}: definition without a term; skipped`, { node: el });
+            continue;
+          }
+          last.content = cleanContent([...last.content, ' ', ...extractTextWithFormatting(el)]);
+          last.anchors.push(...anchorIds(el));
+          continue;
+        }
+        const cells = Array.from(el.querySelectorAll(':scope > td, :scope > th'));
+        if (!cells.length) {
+          diagnostics.info('empty-row-skipped', `${section.label}: table row without cells skipped`, { node: el });
+          continue;
+        }
+        const label = cleanContent(extractTextWithFormatting(cells[0]));
+        const content = cleanContent(cells.slice(1).flatMap(c => [' ', ...extractTextWithFormatting(c)]));
+        items.push({ n: counter++, label, content, anchors: anchorIds(el) });
+      }
+      continue;
+    }
+    if (section.extract === 'notes') {
+      const noteDivs = elementsOf(entry);
       for (const div of noteDivs) {
         const titleSpan = div.querySelector('span.jb');
-        if (!titleSpan) continue;
+        if (!titleSpan) {
+          diagnostics.warn('note-without-title', `${section.label}: note without a title (span.jb); skipped`, { node: div });
+          continue;
+        }
         const titleText = titleSpan.textContent.trim();
-        const numMatch = titleText.match(/^(\d+)/);
-        const noteNum = numMatch ? numMatch[1] : '';
+        const numMatch = titleText.match(NOTE_TITLE);
+        const lemma = cleanText(normalizeText(numMatch ? numMatch[2] : titleText));
+        const noteNum = numMatch ? westernDigits(numMatch[1]) : '';
+        if (!numMatch) diagnostics.warn('note-without-number', `${section.label}: note title "${titleText.slice(0, 40)}" has no number`, { node: titleSpan });
 
-        let noteText = '';
-        const paras = div.querySelectorAll('p');
-        for (const p of paras) noteText += ' ' + extractTextWithFormatting(p);
-        if (noteText.trim()) sections.notes.push({ n: noteNum, text: cleanText(noteText) });
+        // A note of one paragraph keeps its text inline; longer notes keep
+        // their paragraphs and block quotations
+        const blocks = Array.from(div.querySelectorAll('p, blockquote'))
+          .filter(el => !el.parentElement.closest('blockquote'));
+        const paragraph = p => ({
+          name: 'p',
+          attrs: { rendition: renditionPointers(renditionsOf(p)) },
+          children: cleanContent(extractTextWithFormatting(p))
+        });
+        const content = blocks.length === 1 && blocks[0].matches('p')
+          ? cleanContent(extractTextWithFormatting(blocks[0]))
+          : blocks.map(el => (el.matches('p') ? paragraph(el) : {
+            name: 'quote',
+            attrs: { rendition: renditionPointers(renditionsOf(el)) },
+            children: Array.from(el.querySelectorAll('p'), paragraph).filter(p => p.children.length)
+          })).filter(block => block.children.length);
+        // The passages the note annotates, from its "¶N" links
+        const targets = Array.from(
+          titleSpan.parentElement.querySelectorAll('a[href^="#"]'),
+          a => a.getAttribute('href').slice(1)
+        );
+        if (content.length) {
+          items.push({ n: noteNum, lemma, content, anchors: anchorIds(div), targets });
+        } else {
+          diagnostics.warn('empty-note', `${section.label}: note ${noteNum} has no text; skipped`, { node: div });
+        }
       }
       continue;
     }
 
-    // General extraction: collect paragraph-like blocks between anchors
-    // For questions, include p, li, and divs that behave like paragraphs (no block children)
-    let parasBetween = [];
-    if (map.type === 'questions') {
-      const candidates = collectElementsBetween(id, nextId, 'p, li, div');
-      const hasBlockChild = (el) => !!(el.querySelector && el.querySelector('p, div > div, table, ul, ol, section, article'));
-      parasBetween = candidates.filter(el => {
+    if (section.extract === 'questions') {
+      // Include p, li, and divs that behave like paragraphs (no block children).
+      // The elements come in document order, so marking the ancestors of each
+      // block once tells which divs contain one.
+      const candidates = elementsOf(entry);
+      const blockContainers = new Set();
+      for (const el of candidates) {
+        if (!el.matches('p, table, ul, ol, section, article') && !(el.matches('div') && el.parentElement.matches('div'))) continue;
+        for (let parent = el.parentElement; parent && !blockContainers.has(parent); parent = parent.parentElement) {
+          blockContainers.add(parent);
+        }
+      }
+      const hasBlockChild = el => blockContainers.has(el);
+      const parasBetween = candidates.filter(el => {
         // Exclude obvious non-content containers
         const cls = (el.getAttribute && (el.getAttribute('class') || '')) || '';
-        if (/\bdd\b/.test(cls)) return false; // notes container
+        const tag = el.tagName ? el.tagName.toLowerCase() : '';
+        // Answer paragraphs share the "dd" class, so only exclude it on containers
+        if (tag === 'div' && /\bdd\b/.test(cls)) return false; // notes container
         if (/\bic\b/.test(cls)) return false; // heading container
         // Keep <p> always; keep <li>; keep <div> that doesn't contain nested block elements
-        const tag = el.tagName ? el.tagName.toLowerCase() : '';
         if (tag === 'p' || tag === 'li') return true;
         if (tag === 'div' && !hasBlockChild(el)) return true;
         return false;
       });
-    } else {
-      parasBetween = collectElementsBetween(id, nextId, 'p');
-    }
 
-    if (map.type === 'questions') {
-      // Group into items based on numeric markers and Question/Answer labels
-      let currentNum = null;
-      let prevNum = 0;
-      const pendingQueue = []; // queue of numbers seen on number-only lines
-      let currentText = '';
+      // An item opens with a number-only line ("12.") or a "Question:" paragraph;
+      // "Question:" and "Answer:" labels switch between the item's parts
+      let current = null;
+      let currentNode = null;
       const flush = () => {
-        if (currentNum !== null && currentText.trim().length > 0) {
-          sections.questions.push({ n: currentNum, text: cleanText(currentText) });
-          prevNum = parseInt(currentNum, 10) || prevNum;
+        if (!current) return;
+        if (!current.parts.length) {
+          // A number-only line with nothing after it
+          current.empty = true;
+          diagnostics.warn('empty-qa-item', `Q&A item ${current.n} has no text`, { node: currentNode });
         }
-        currentNum = null;
-        currentText = '';
+        items.push(current);
+        current = null;
+      };
+      const begin = (n, anchors, node) => {
+        flush();
+        current = { n: String(n), parts: [], anchors: [...anchors] };
+        currentNode = node;
       };
+      // A part keeps the renditions all of its paragraphs share (questions are italic)
+      const add = (type, content, p) => {
+        current.anchors.push(...anchorIds(p));
+        if (!content.length) return;
+        const rendition = renditionsOf(p);
+        const last = current.parts[current.parts.length - 1];
+        if (last && last.type === type) {
+          last.paragraphs.push(content);
+          last.rendition = last.rendition.filter(name => rendition.includes(name));
+        } else {
+          current.parts.push({ type, paragraphs: [content], rendition });
+        }
+      };
+      const nextNum = () => (current ? (parseInt(current.n, 10) || 0) + 1 : 1);
+      // Item numbers are kept in ASCII digits, whatever digits the edition uses
+      const number = match => Number(westernDigits(match[1]));
+
       for (const p of parasBetween) {
         const rawText = (p.textContent || '').trim();
-        const numOnly = rawText.match(/^\s*(\d{1,3})(?:\s*[\.:\)\]])?\s*$/);
-        const numAtStart = rawText.match(/^\s*(\d{1,3})(?:\s*[\.:\)\]])?/);
-        const isQuestion = /\bQuestion\s*[:\u2014\-]/i.test(rawText);
-        const isAnswer = /\bAnswer\s*[:\u2014\-]/i.test(rawText);
+        const numOnly = rawText.match(qa.numberOnly);
+        const numAtStart = rawText.match(qa.numberAtStart);
+        const isQuestion = qa.question.test(rawText);
+        const isAnswer = qa.answer.test(rawText);
 
         if (numOnly) {
-          // Remember this number for the next Question line
-          pendingQueue.push(parseInt(numOnly[1], 10));
+          begin(number(numOnly), anchorIds(p), p);
           continue;
         }
 
-        if (isQuestion) {
-          // Start a new item
-          flush();
-          const n = numAtStart ? parseInt(numAtStart[1], 10) : ((pendingQueue.length ? pendingQueue.shift() : null) ?? (prevNum + 1));
-          currentNum = String(n);
-          // clear any duplicate same number at head of queue
-          while (pendingQueue.length && pendingQueue[0] === n) pendingQueue.shift();
-          let t = cleanText(extractTextWithFormatting(p));
-          t = stripLeadingNumber(t);
-          currentText = t;
-          continue;
-        }
+        const formatted = cleanContent(extractTextWithFormatting(p));
+        const stripLabel = text => stripQALabel(text, qa);
+        const stripNumberAndLabel = text => stripLabel(stripLeadingNumber(text));
+        // Drop a repeated item number ("12 Question: ...") but not numbers that begin the prose
+        let content = stripLeadingText(formatted, current && numAtStart && String(number(numAtStart)) === current.n
+          ? stripNumberAndLabel
+          : stripLabel);
 
-        if (isAnswer && currentNum !== null) {
-          let t = cleanText(extractTextWithFormatting(p));
-          t = stripLeadingNumber(t);
-          currentText += ' ' + t;
+        if (isQuestion) {
+          // A second question without a number line of its own starts the next item
+          if (!current || current.parts.length) {
+            if (!numAtStart) {
+              diagnostics.info('qa-number-inferred', `Unnumbered question taken as Q&A item ${nextNum()}`, { node: p });
+            }
+            begin(numAtStart ? number(numAtStart) : nextNum(), [], p);
+            content = stripLeadingText(formatted, stripNumberAndLabel);
+          }
+          add('question', content, p);
           continue;
         }
 
-        // Handle implicit question paragraphs: a numbered line was seen (pendingNum),
-        // or a number appears at the start of this paragraph, but there is no explicit "Question:" label.
-        // Treat this as the start of a new question item.
-        if (currentNum === null && !isAnswer) {
-          const impliedNum = numAtStart ? parseInt(numAtStart[1], 10) : (pendingQueue.length ? pendingQueue.shift() : null);
-          if (impliedNum !== null) {
-            flush();
-            currentNum = String(impliedNum);
-            // remove duplicates of same number in queue
-            while (pendingQueue.length && pendingQueue[0] === impliedNum) pendingQueue.shift();
-            let t = cleanText(extractTextWithFormatting(p));
-            t = stripLeadingNumber(t);
-            if (t && t.length > 2) {
-              currentText = t;
-              continue;
-            } else {
-              // If no substantive text after stripping, reset and keep scanning
-              currentNum = null;
-              currentText = '';
-              continue;
+        if (!current) {
+          if (!numAtStart) {
+            if (content.length) {
+              diagnostics.warn('qa-paragraph-skipped', `Paragraph before the first Q&A item skipped: "${rawText.slice(0, 40)}"`, { node: p });
             }
+            continue;
           }
+          begin(number(numAtStart), [], p);
+          content = stripLeadingText(formatted, stripNumberAndLabel);
         }
 
-        if (currentNum !== null) {
-          // Continuation of the current item
-          let t = cleanText(extractTextWithFormatting(p));
-          t = stripLeadingNumber(t);
-          if (t) currentText += ' ' + t;
-        }
+        // Unlabelled paragraphs continue the current part (e.g. a multi-paragraph answer)
+        const last = current.parts[current.parts.length - 1];
+        add(isAnswer ? 'answer' : (last ? last.type : null), content, p);
       }
       flush();
-      // Emit any trailing number-only items that had no text but should count as items
-      while (pendingQueue.length) {
-        const n = pendingQueue.shift();
-        // Avoid duplicates if last emitted has same number
-        if (!sections.questions.length || sections.questions[sections.questions.length - 1].n !== String(n)) {
-          sections.questions.push({ n: String(n), text: '' });
-        }
-        prevNum = n;
-      }
       continue;
     }
 
-    // For other sections (including main text), map each paragraph sequentially
+    // Other sections map each paragraph sequentially. Lists and tables continue the
+    // paragraph before them, paragraphs of a block quotation share a quote, and
+    // section breaks (hr.fc, shown as "* * *") are kept between paragraphs.
+    // Elements come in document order, so only the last list or table kept can contain the next
+    let container = null;
+    const blocks = elementsOf(entry)
+      .filter(el => {
+        if (container && container.contains(el)) return false;
+        if (el.matches('ul, ol, table')) container = el;
+        return true;
+      });
+    const quotes = new Map();
     let counter = 1;
-    // For main text, skip initial invocation ("In the name of...") if present
-    let startIndex = 0;
-    if (map.type === 'text' && parasBetween.length > 0) {
-      const firstTxt = (parasBetween[0].textContent || '').trim().toLowerCase();
-      if (firstTxt.startsWith('in the name of')) {
-        startIndex = 1;
+    let sectionBreak = false;
+    // Skip an opening invocation ("In the name of...") if the profile says so
+    let invocation = null;
+    const first = blocks.find(el => !el.matches('ul, ol, table, hr'));
+    if (section.skipInvocation && first) {
+      const firstTxt = (first.textContent || '').trim();
+      if (section.skipInvocation.test(firstTxt)) {
+        invocation = first;
+        diagnostics.info('invocation-skipped', `${section.label}: opening line "${cleanText(firstTxt).slice(0, 60)}" skipped as an invocation`, { node: first });
       }
     }
-    for (let i = startIndex; i < parasBetween.length; i++) {
-      const p = parasBetween[i];
-      let text = cleanText(extractTextWithFormatting(p));
-      if (map.type === 'text') text = stripLeadingNumber(text);
-      if (!text || text.length < 3) continue;
-      sections[map.type].push({ n: counter++, text });
+    for (const p of blocks) {
+      if (p === invocation) continue;
+      if (p.matches('hr')) {
+        // A break before the first paragraph separates nothing
+        sectionBreak = items.length > 0;
+        continue;
+      }
+      if (p.matches('ul, ol, table')) {
+        const last = items[items.length - 1];
+        if (last) {
+          last.content.push(...nodesContent([p]));
+          last.anchors.push(...anchorIds(p));
+        } else {
+          items.push({ n: counter++, content: nodesContent([p]), anchors: anchorIds(p) });
+        }
+        continue;
+      }
+      let content = cleanContent(extractTextWithFormatting(p));
+      // With source numbering, a paragraph's number is its leading label
+      const sourceNumber = section.numbering === 'source' ? plainText(content).match(SOURCE_NUMBER) : null;
+      if (section.stripLeadingNumber) content = stripLeadingText(content, stripLeadingNumber);
+      if (plainText(content).length < section.minLength) {
+        const text = plainText(content);
+        if (text) {
+          diagnostics.warn('short-paragraph-skipped', `${section.label}: paragraph "${text}" is shorter than ${section.minLength} characters; skipped`, { node: p });
+        } else {
+          diagnostics.info('empty-paragraph-skipped', `${section.label}: empty paragraph skipped`, { node: p });
+        }
+        continue;
+      }
+      const n = sourceNumber ? Number(westernDigits(sourceNumber[1])) : counter;
+      counter = n + 1;
+      const item = { n, content, anchors: anchorIds(p) };
+      const rendition = renditionsOf(p);
+      if (rendition.length) item.rendition = rendition;
+      const blockquote = p.parentElement.closest('blockquote');
+      if (blockquote) {
+        if (!quotes.has(blockquote)) quotes.set(blockquote, { n: quotes.size + 1, rendition: renditionsOf(blockquote) });
+        item.quote = quotes.get(blockquote);
+      }
+      if (sectionBreak) item.sectionBreak = true;
+      sectionBreak = false;
+      items.push(item);
     }
   }
+}
 
+/**
+ * Parse sections from the HTML/XHTML document as described by a profile.
+ * Supports two structures:
+ *  1. Legacy HTML with explicit anchor name/id patterns (the profile's `anchor` patterns, e.g. pref#, par#, note#)
+ *  2. New XHTML (Bahá’í Reference Library) where sections are delineated by navigation <nav> links to heading anchors
+ * Both are found in a single walk of the document (see lib/segmenter.js).
+ * Every item is given a stable `id` (its xml:id) and in-document links are
+ * rewritten to point at those ids.
+ * The document goes through the `preprocess`, `elements` and `sections`
+ * stages of the conversion's plugins (see lib/pipeline.js).
+ * @param {Document} document Parsed source document
+ * @param {object} [options]
+ * @param {object} [options.diagnostics] Collector from createDiagnostics() for skipped content, heuristics and unresolvable links
+ * @param {object|string} [options.profile] Profile or bundled profile name; detected from the document when omitted
+ * @param {string} [options.lang] Language of the edition, whose Q&A labels are recognized; defaults to the document's, then the profile's
+ * @param {object[]} [options.plugins] Plugins run after DEFAULT_PLUGINS and the profile's
+ * @returns {object} Paragraph/item arrays keyed by the profile's section keys
+ */
+function parseDocument(document, { diagnostics = createDiagnostics(), profile = null, lang = null, plugins = [] } = {}) {
+  profile = selectProfile(document, profile, diagnostics);
+  const pipeline = conversionPipeline(profile, plugins);
+  const context = elementContext({ document, profile, diagnostics });
+  pipeline.preprocess(document, context);
+  documentPipelines.set(document, { pipeline, context });
+  try {
+    return pipeline.sections(parseSections(document, profile, lang, diagnostics, context.navigation), context);
+  } finally {
+    documentPipelines.delete(document);
+  }
+}
+
+/**
+ * Read the sections of a document, as parseDocument() does before its
+ * `sections` stage
+ * @param {{ nav: Element|null, entries: object[] }} [navigation] The navigation
+ *   list and its entries, as the `preprocess` stage left them in the context
+ */
+function parseSections(document, profile, lang, diagnostics, { nav, entries } = { nav: null, entries: [] }) {
+  lang = lang ?? (document.documentElement.getAttribute('lang') || profile.metadata.lang) ?? null;
+  const qa = qaPatterns(editionLanguage(lang, profile.labels));
+  const sections = Object.fromEntries(profile.sections.map(section => [section.key, []]));
+  // One walk finds the legacy anchors and gathers what each nav section reads
+  const { items, ranges } = segmentDocument(document, {
+    anchor: legacyAnchor(profile),
+    targets: entries.map(({ id, section }) => ({ id, select: section ? sectionSelector(section) : null }))
+  });
+  if (!parseLegacySections(items, sections, diagnostics, qa)) {
+    parseNavSections(document, profile, { nav, entries, ranges }, sections, diagnostics, qa);
+  }
   return sections;
 }
 
 /**
- * Generate TEI XML header
- */
-function generateTEIHeader() {
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<?xml-stylesheet type="text/xsl" href="tei-to-html.xsl"?>
-<TEI xmlns="http://www.tei-c.org/ns/1.0">
-  <teiHeader>
-    <fileDesc>
-      <titleStmt>
-        <title>The Kitáb-i-Aqdas: The Most Holy Book</title>
-        <author>Bahá'u'lláh</author>
-        <respStmt>
-          <resp>Translated by</resp>
-          <name>Universal House of Justice</name>
-        </respStmt>
-      </titleStmt>
-      <publicationStmt>
-        <publisher>Bahá'í World Centre</publisher>
-        <date>1992</date>
-        <availability>
-          <p>Published by the Bahá'í World Centre</p>
-        </availability>
-      </publicationStmt>
-      <sourceDesc>
-        <p>Converted from HTML/XHTML source to TEI XML</p>
-        <p>Original filename: ${INPUT_FILE.replace(/^\.\//,'')}</p>
-        <p>Conversion date: ${new Date().toISOString()}</p>
-      </sourceDesc>
-    </fileDesc>
-    <encodingDesc>
-      <projectDesc>
-        <p>This file was converted from HTML to TEI P5 XML format</p>
-      </projectDesc>
-    </encodingDesc>
-    <profileDesc>
-      <langUsage>
-        <language ident="en">English</language>
-      </langUsage>
-      <textClass>
-        <keywords>
-          <term>Religious text</term>
-          <term>Bahá'í Faith</term>
-          <term>Sacred scripture</term>
-        </keywords>
-      </textClass>
-    </profileDesc>
-    <revisionDesc>
-      <change when="${new Date().toISOString().split('T')[0]}">Initial conversion from HTML to TEI</change>
-    </revisionDesc>
-  </teiHeader>
-`;
-}
-
-/**
- * Generate TEI body content
- */
-function generateTEIBody(sections) {
-  let xml = '  <text>\n    <body>\n';
-
-  // Preface
-  if (sections.preface.length > 0) {
-    xml += '      <div type="preface">\n';
-    xml += '        <head>Preface</head>\n';
-    for (const para of sections.preface) {
-      xml += `        <p n="${para.n}">${escapeXML(para.text)}</p>\n`;
-    }
-    xml += '      </div>\n\n';
-  }
-
-  // Introduction
-  if (sections.introduction.length > 0) {
-    xml += '      <div type="introduction">\n';
-    xml += '        <head>Introduction</head>\n';
-    for (const para of sections.introduction) {
-      xml += `        <p n="${para.n}">${escapeXML(para.text)}</p>\n`;
-    }
-    xml += '      </div>\n\n';
-  }
-
-  // Description
-  if (sections.description.length > 0) {
-    xml += '      <div type="description">\n';
-    xml += '        <head>Description</head>\n';
-    for (const para of sections.description) {
-      xml += `        <p n="${para.n}">${escapeXML(para.text)}</p>\n`;
-    }
-    xml += '      </div>\n\n';
-  }
-
-  // Main text
-  if (sections.text.length > 0) {
-    xml += '      <div type="main-text">\n';
-    xml += '        <head>The Kitáb-i-Aqdas</head>\n';
-    for (const para of sections.text) {
-      xml += `        <p n="${para.n}">${escapeXML(para.text)}</p>\n`;
-    }
-    xml += '      </div>\n\n';
-  }
-
-  // Questions and Answers
-  if (sections.questions.length > 0) {
-    xml += '      <div type="questions-answers">\n';
-    xml += '        <head>Questions and Answers</head>\n';
-    for (const qa of sections.questions) {
-      xml += `        <p n="${qa.n}">${escapeXML(qa.text)}</p>\n`;
-    }
-    xml += '      </div>\n\n';
-  }
-
-  // Notes
-  if (sections.notes.length > 0) {
-    xml += '      <div type="notes">\n';
-    xml += '        <head>Notes</head>\n';
-    for (const note of sections.notes) {
-      xml += `        <note n="${note.n}">${escapeXML(note.text)}</note>\n`;
-    }
-    xml += '      </div>\n\n';
+ * Count the paragraphs and notes recorded in the header's <extent>
+ */
+function countExtent(sections, profile) {
+  let paragraphs = 0;
+  let notes = 0;
+  for (const section of profile.sections) {
+    const items = sections[section.key] || [];
+    if (section.extract === 'paragraphs') paragraphs += items.length;
+    else if (section.extract === 'notes') notes += items.length;
+    else if (section.extract === 'footnotes') notes += items.reduce((sum, group) => sum + group.items.length, 0);
   }
+  return { paragraphs, notes };
+}
+
+/**
+ * Header metadata of a conversion: each field from the last of the profile's
+ * `metadata`, the source document's own metadata and `overrides` that sets
+ * it, with the work's CTS URN resolved to the edition's language (see
+ * editionUrn())
+ */
+function headerMetadata(profile, source, overrides = {}) {
+  const metadata = mergeMetadata(profile.metadata, source, overrides);
+  return metadata.urn ? { ...metadata, urn: editionUrn(metadata.urn, metadata.lang) } : metadata;
+}
 
-  xml += '    </body>\n  </text>\n';
-  return xml;
+/**
+ * Generate the TEI header from headerMetadata(), so what the source states
+ * of itself takes precedence over the profile's defaults; <sourceDesc>
+ * describes the source as it describes itself.
+ * @param {Document} doc TEI document the header is created in
+ * @param {object} [options]
+ * @param {string} [options.sourceName] Name of the source file recorded in <sourceDesc>
+ * @param {object} [options.profile] Profile whose `metadata` describes the work where the source does not
+ * @param {object} [options.source] Metadata read from the source by extractMetadata()
+ * @param {object} [options.overrides] User-supplied metadata, overriding both
+ * @param {object} [options.sections] Parsed sections, counted in <extent>
+ * @param {string} [options.date] Date of the conversion (see buildDate())
+ * @param {Array<{ when: string, text: string }>} [options.changes] <revisionDesc> entries, newest first;
+ *   by default a single initial conversion on `date`
+ * @param {string[]} [options.renditions] Renditions (keys of RENDITIONS) the text points at, declared in <tagsDecl>
+ * @param {object[]} [options.citations] Citation levels of the text from citationLevels(), declared in <refsDecl>
+ *   with the profile's citation templates
+ * @returns {Element} <teiHeader>
+ */
+function generateTEIHeader(doc, {
+  sourceName = 'stdin',
+  profile = getBundledProfile(DEFAULT_PROFILE),
+  source = {},
+  overrides = {},
+  sections = null,
+  date: conversionDate = buildDate({ lastModified: source.lastModified && source.lastModified.when }),
+  changes = [{ when: conversionDate, text: INITIAL_CHANGE }],
+  renditions = [],
+  citations = []
+} = {}) {
+  const el = elementBuilder(doc);
+  profile = normalizeProfile(profile);
+  const {
+    title = 'Untitled',
+    author,
+    respStmt = [],
+    publisher,
+    date,
+    licence,
+    documentId,
+    lastModified,
+    sha256,
+    lang,
+    urn,
+    languages = lang ? [{ ident: lang, name: languageName(lang) }] : [],
+    keywords = []
+  } = headerMetadata(profile, source, overrides);
+  const { text: licenceText, target: licenceTarget } = typeof licence === 'string' ? { text: licence } : (licence || {});
+  const extent = sections && countExtent(sections, profile);
+  const patterns = citationPatterns(citations, new Map(profile.sections.map(section => [section.idPrefix, section.cite])));
+  return el('teiHeader', {}, [
+    el('fileDesc', {}, [
+      el('titleStmt', {}, [
+        el('title', {}, title),
+        author && el('author', {}, author),
+        respStmt.map(({ resp, name }) => el('respStmt', {}, [
+          el('resp', {}, resp),
+          el('name', {}, name)
+        ]))
+      ]),
+      extent && el('extent', {}, [
+        el('measure', { unit: 'paragraphs', quantity: extent.paragraphs }, `${extent.paragraphs} paragraphs`),
+        el('measure', { unit: 'notes', quantity: extent.notes }, `${extent.notes} notes`)
+      ]),
+      el('publicationStmt', {}, [
+        publisher && el('publisher', {}, publisher),
+        documentId && el('idno', { type: 'document-id' }, documentId),
+        urn && el('idno', { type: 'URN' }, urn),
+        date && el('date', {}, date),
+        licenceText && el('availability', {}, [
+          el('licence', { target: licenceTarget }, licenceText)
+        ])
+      ]),
+      el('sourceDesc', {}, [
+        el('bibl', {}, [
+          el('title', {}, source.title ?? title),
+          (source.author ?? author) && el('author', {}, source.author ?? author),
+          documentId && el('idno', { type: 'document-id' }, documentId),
+          el('idno', { type: 'filename' }, sourceName),
+          sha256 && el('idno', { type: 'sha256' }, sha256),
+          lastModified && el('date', { type: 'last-modified', when: lastModified.when }, lastModified.text)
+        ])
+      ])
+    ]),
+    el('encodingDesc', {}, [
+      el('projectDesc', {}, [
+        el('p', {}, 'This file was converted from HTML to TEI P5 XML format')
+      ]),
+      renditions.length > 0 && el('tagsDecl', {}, renditions.map(name => (
+        el('rendition', { 'xml:id': `rend-${name}`, scheme: 'css' }, RENDITIONS[name].css)
+      ))),
+      citations.length > 0 && el('refsDecl', { n: 'passages' }, citations.map(({ n, levels }) => el(
+        'citeStructure',
+        { unit: 'section', match: `/TEI/text/body/div[@n='${n}']`, use: '@n' },
+        levels.reduceRight((inner, { unit, match }) => el('citeStructure', { unit, match, use: '@n', delim: '.' }, inner), null)
+      ))),
+      patterns.length > 0 && el('refsDecl', { n: 'citations' }, patterns.map(pattern => el('cRefPattern', pattern)))
+    ]),
+    el('profileDesc', {}, [
+      languages.length > 0 && el('langUsage', {}, languages.map(({ ident, name }) => (
+        el('language', { ident }, name)
+      ))),
+      keywords.length > 0 && el('textClass', {}, [
+        el('keywords', {}, keywords.map(term => el('term', {}, term)))
+      ])
+    ]),
+    el('revisionDesc', {}, changes.map(({ when, text }) => el('change', { when }, text)))
+  ]);
 }
 
 /**
- * Escape XML special characters while preserving TEI formatting tags
+ * Generate the content of one section's division, by its extraction kind
+ * @param {Function} el Element builder from elementBuilder()
+ * @param {object} section Profile section
+ * @param {object[]} items The section's items
  */
-function escapeXML(text) {
-  if (!text) return '';
+function generateSectionContent(el, section, items) {
+  switch (section.extract) {
+    case 'questions':
+      return items.map(qa => el(
+        'div',
+        { type: 'qa', n: qa.n, 'xml:id': qa.id },
+        [
+          qa.empty && el('gap', { reason: 'no-text-in-source' }),
+          qa.parts.map(part => {
+            const paras = part.paragraphs.map(content => el('p', {}, content));
+            if (!part.type) return paras;
+            const id = `${qa.id}-${part.type === 'question' ? 'q' : 'a'}`;
+            return el('div', { type: part.type, 'xml:id': id, rendition: renditionPointers(part.rendition) }, paras);
+          })
+        ]
+      ));
 
-  // First, escape ampersands that aren't part of entities
-  let result = text.replace(/&(?!(amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);)/g, '&amp;');
+    // Each outline becomes a nested list
+    case 'outlines':
+      return items.map(outline => el('div', { type: 'outline', n: outline.n, 'xml:id': outline.id }, [
+        outline.content.length > 0 && el('head', {}, outline.content),
+        generateTEIList(el, outline.items)
+      ]));
 
-  // Don't escape < and > that are part of TEI tags
-  // We need to escape other < and > but not those in <hi>, <ref>, etc.
-  const teiTags = /<(hi|ref|\/hi|\/ref)(\s[^>]*)?>|&[a-z]+;|&#\d+;|&#x[0-9a-fA-F]+;/g;
-  const parts = [];
-  let lastIndex = 0;
-  let match;
+    case 'notes':
+      return items.map(note => el(
+        'note',
+        { n: note.n, 'xml:id': note.id, target: note.target },
+        note.content
+      ));
 
-  while ((match = teiTags.exec(result)) !== null) {
-    // Escape the text before this match
-    if (match.index > lastIndex) {
-      const textBefore = result.substring(lastIndex, match.index);
-      parts.push(textBefore
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-      );
+    case 'glossary':
+      return el('list', { type: 'gloss' }, items.map(entry => [
+        entry.label && entry.label.length > 0 && el('label', {}, entry.label),
+        el('item', { n: entry.n, 'xml:id': entry.id }, entry.content)
+      ]));
+
+    // Sub-heading paragraphs followed by two-column keys
+    case 'keyTables': {
+      const children = [];
+      for (let i = 0; i < items.length; i++) {
+        const entry = items[i];
+        if (entry.label !== undefined) continue;
+        const next = items[i + 1];
+        if (!next || next.label === undefined) {
+          children.push(el('p', { n: entry.n, 'xml:id': entry.id }, entry.content));
+          continue;
+        }
+        // A paragraph directly followed by table rows heads the list they form
+        const list = [el('head', { 'xml:id': entry.id }, entry.content)];
+        while (i + 1 < items.length && items[i + 1].label !== undefined) {
+          const row = items[++i];
+          list.push(el('label', {}, row.label), el('item', { n: row.n, 'xml:id': row.id }, row.content));
+        }
+        children.push(el('list', { type: 'gloss' }, list));
+      }
+      return children;
+    }
+
+    // Footnotes, grouped by the section their calls occur in
+    case 'footnotes':
+      return items.map(group => el(
+        'div',
+        { type: 'footnote-group', n: group.n, 'xml:id': group.id },
+        [
+          group.content.length > 0 && el('head', {}, group.content),
+          group.items.map(note => el(
+            'note',
+            { type: 'footnote', n: note.n, 'xml:id': note.id, target: note.target },
+            note.content
+          ))
+        ]
+      ));
+
+    // Paragraphs; the `blocks` default plugin groups quotations and marks section breaks
+    default:
+      return items.map(para => el('p', { n: para.n, 'xml:id': para.id, rendition: renditionPointers(para.rendition) }, para.content));
+  }
+}
+
+/**
+ * Generate the TEI <text> element: its language and direction, and the
+ * content the `tree` stage of the conversion's plugins gives it (with the
+ * default plugins, the divisions of the sections and their back matter)
+ * @param {Document} doc TEI document the text is created in
+ * @param {object} sections Sections as returned by parseDocument()
+ * @param {object} [profile] Profile the sections were parsed with
+ * @param {string} [lang] Language of the text, recorded as its xml:lang
+ * @param {string} [dir] Writing direction of the text; "rtl" is recorded as its rendition
+ * @param {object} [options]
+ * @param {object[]} [options.plugins] Plugins run after DEFAULT_PLUGINS and the profile's
+ * @param {object} [options.diagnostics] Collector from createDiagnostics() passed to the plugins
+ * @returns {Element} <text>
+ */
+function generateTEIBody(doc, sections, profile = getBundledProfile(DEFAULT_PROFILE), lang = null, dir = null, { plugins = [], diagnostics = createDiagnostics() } = {}) {
+  const el = elementBuilder(doc);
+  profile = normalizeProfile(profile);
+  const text = el('text', { 'xml:lang': lang, rendition: renditionPointers(dir === 'rtl' ? ['rtl'] : []) });
+  conversionPipeline(profile, plugins).tree(text, { document: doc, el, sections, profile, diagnostics });
+  return text;
+}
+
+/**
+ * The <body> of a text, with one division per non-empty section in profile
+ * order (its @n, the section's idPrefix, begins the canonical references of
+ * its items), and back matter listing the people, places and terms the text
+ * names (the `body` default plugin)
+ * @param {Function} el Element builder from elementBuilder()
+ * @returns {Element[]} <body>, and <back> if the body names anyone
+ */
+function generateTextContent(el, sections, profile) {
+  const divs = profile.sections
+    .filter(section => sections[section.key] && sections[section.key].length > 0)
+    .map(section => el('div', { type: section.divType, n: section.idPrefix }, [
+      el('head', {}, section.head ?? section.label),
+      generateSectionContent(el, section, sections[section.key])
+    ]));
+  const body = el('body', {}, divs);
+  const back = generateTEIBack(el, documentEntities(sections, profile), body);
+  return back ? [body, back] : [body];
+}
+
+/**
+ * Group the paragraphs of one block quotation in a <quote>, and put a
+ * <milestone> before each paragraph that follows a section break (the
+ * `blocks` default plugin). Paragraphs are found by their xml:ids.
+ * @param {Element} text TEI <text>
+ * @param {Function} el Element builder from elementBuilder()
+ */
+function markBlocks(text, el, sections, profile) {
+  const paragraphs = new Map(Array.from(text.getElementsByTagName('p'), p => [p.getAttributeNS(XML_NS, 'id'), p]));
+  for (const section of profile.sections) {
+    let quote = null;
+    for (const para of sections[section.key] || []) {
+      const p = paragraphs.get(para.id);
+      if (!p) continue;
+      if (para.sectionBreak) p.before(el('milestone', { unit: 'section' }));
+      if (!para.quote || para.sectionBreak) quote = null;
+      if (para.quote && (!quote || quote.n !== para.quote.n)) {
+        quote = { n: para.quote.n, element: el('quote', { rendition: renditionPointers(para.quote.rendition) }) };
+        p.before(quote.element);
+      }
+      if (quote) quote.element.append(p);
     }
-    // Keep the match as-is (it's a TEI tag or entity)
-    parts.push(match[0]);
-    lastIndex = match.index + match[0].length;
   }
+}
+
+/**
+ * Back matter for the entries the body refers to: a <listPerson>, a
+ * <listPlace> and a glossary of terms, each in alphabetical order. Entries
+ * carry their note or gloss and point at the notes that explain them.
+ * @param {Function} el Element builder from elementBuilder()
+ * @param {object[]} entries Entries from documentEntities()
+ * @param {Element} body <body> whose @ref pointers decide which entries are listed
+ * @returns {Element|null} <back>, or null when the body refers to none
+ */
+function generateTEIBack(el, entries, body) {
+  const referenced = new Set(Array.from(body.querySelectorAll('[ref]'), element => element.getAttribute('ref')));
+  const sortKey = entry => foldText(entry.name).replace(/^'/, '');
+  const listed = type => entries
+    .filter(entry => entry.type === type && referenced.has(`#${entry.id}`))
+    .sort((a, b) => sortKey(a).localeCompare(sortKey(b), 'en'));
+  const name = entry => transliterateContent([entry.name]);
+  const description = (text, notes) => [
+    text,
+    notes.length > 0 && [
+      text ? '. ' : '',
+      notes.length > 1 ? 'See notes ' : 'See note ',
+      notes.map((note, i) => [i > 0 ? ', ' : '', el('ref', { target: `#${note.id}` }, note.n)]),
+      '.'
+    ]
+  ];
+
+  const persons = listed('person');
+  const places = listed('place');
+  const terms = listed('term');
+  const divs = [
+    persons.length > 0 && el('div', { type: 'persons' }, [
+      el('head', {}, 'People'),
+      el('listPerson', {}, persons.map(entry => el('person', { 'xml:id': entry.id }, [
+        el('persName', {}, name(entry)),
+        (entry.note || entry.notes.length > 0) && el('note', {}, description(entry.note, entry.notes))
+      ])))
+    ]),
+    places.length > 0 && el('div', { type: 'places' }, [
+      el('head', {}, 'Places'),
+      el('listPlace', {}, places.map(entry => el('place', { 'xml:id': entry.id }, [
+        el('placeName', {}, name(entry)),
+        (entry.note || entry.notes.length > 0) && el('note', {}, description(entry.note, entry.notes))
+      ])))
+    ]),
+    terms.length > 0 && el('div', { type: 'terms' }, [
+      el('head', {}, 'Glossary'),
+      el('list', { type: 'gloss' }, terms.map(entry => [
+        el('label', {}, el('term', { 'xml:id': entry.id }, name(entry))),
+        el('item', {}, description(entry.gloss, entry.notes))
+      ]))
+    ])
+  ].filter(Boolean);
+  return divs.length ? el('back', {}, divs) : null;
+}
+
+/**
+ * Generate a (possibly nested) TEI list from { n, content, items } entries
+ * @param {Function} el Element builder from elementBuilder()
+ * @returns {Element|null} <list>, or null when there are no entries
+ */
+function generateTEIList(el, items) {
+  if (!items.length) return null;
+  return el('list', {}, items.map(item => el(
+    'item',
+    { n: item.n, 'xml:id': item.id },
+    [item.content, generateTEIList(el, item.items)]
+  )));
+}
+
+/**
+ * Renditions pointed at from a TEI text, in the order of RENDITIONS, for
+ * declaring in the header
+ */
+function usedRenditions(text) {
+  const used = new Set();
+  for (const element of [text, ...text.querySelectorAll('[rendition]')]) {
+    if (!element.hasAttribute('rendition')) continue;
+    for (const pointer of element.getAttribute('rendition').split(/\s+/)) used.add(pointer.replace(/^#rend-/, ''));
+  }
+  return Object.keys(RENDITIONS).filter(name => used.has(name));
+}
+
+/**
+ * Escape a plain string for use in attribute values and text content
+ */
+function escapeAttribute(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Compute statistics about the extracted sections
+ */
+function computeStats(sections, teiXML) {
+  // Nested outline entries (the synopsis) count individually
+  const countItems = items => items.reduce((sum, item) => sum + 1 + countItems(item.items || []), 0);
+  const stats = {};
+  for (const [key, items] of Object.entries(sections)) stats[key] = countItems(items);
+  stats.bytes = Buffer.byteLength(teiXML, 'utf-8');
+  return stats;
+}
+
+/**
+ * The <revisionDesc> entries of a conversion, newest first: those of the
+ * previous output, plus one listing the items whose text was added, removed
+ * or altered since. Without a previous output, just the initial conversion.
+ * @param {string|null} previous Previous output
+ * @param {Element} text The new <text>
+ * @param {string} date Date of this conversion
+ * @param {object} diagnostics Collector from createDiagnostics()
+ * @returns {Array<{ when: string, text: string }>}
+ */
+function revisionHistory(previous, text, date, diagnostics) {
+  const initial = [{ when: date, text: INITIAL_CHANGE }];
+  if (!previous) return initial;
+  let prior;
+  try {
+    prior = readPrevious(previous, { inline: INLINE_ELEMENTS, exclude: EDITORIAL_ELEMENTS });
+  } catch (error) {
+    diagnostics.warn('previous-output-unreadable', `Previous output not readable (${error.message}); starting a new revision history`);
+    return initial;
+  }
+  const changes = prior.changes.length ? prior.changes : initial;
+  const description = describeChanges(diffItems(prior.items, collectItems(text, { inline: INLINE_ELEMENTS, exclude: EDITORIAL_ELEMENTS })));
+  return description ? [{ when: date, text: description }, ...changes] : changes;
+}
+
+/**
+ * Serialize extracted sections as a complete, pretty-printed TEI document
+ * @param {object} sections Sections as returned by parseDocument()
+ * @param {object} [options]
+ * @param {string} [options.sourceName] Name of the source recorded in the header
+ * @param {string|null} [options.stylesheet] XSLT href for the <?xml-stylesheet?> PI, or null to omit it
+ * @param {object} [options.profile] Profile the sections were parsed with
+ * @param {object} [options.source] Metadata read from the source by extractMetadata()
+ * @param {object} [options.metadata] User-supplied header metadata, overriding the source and profile
+ * @param {string|Date} [options.date] Conversion date; see buildDate() for the default
+ * @param {string|null} [options.previous] Previous output, whose revision history is continued
+ * @param {object} [options.diagnostics] Collector from createDiagnostics() for problems such as an unreadable previous output
+ * @param {object[]} [options.plugins] Plugins run after DEFAULT_PLUGINS and the profile's, whose `tree` and `serialize` stages run here
+ * @returns {string} TEI XML
+ */
+function serializeTEI(sections, options = {}) {
+  const {
+    sourceName,
+    stylesheet = DEFAULT_STYLESHEET,
+    profile = getBundledProfile(DEFAULT_PROFILE),
+    source = {},
+    metadata = {},
+    previous = null,
+    diagnostics = createDiagnostics(),
+    plugins = []
+  } = options;
+  const pipeline = conversionPipeline(profile, plugins);
+  const lang = metadata.lang ?? source.lang ?? profile.metadata.lang ?? null;
+  const dir = metadata.dir ?? source.dir ?? (isRightToLeft(lang) ? 'rtl' : 'ltr');
+  const lastModified = metadata.lastModified ?? source.lastModified;
+  const date = buildDate({ date: options.date, lastModified: lastModified && lastModified.when });
+  const doc = createXMLDocument(TEI_NS, 'TEI');
+  const tei = doc.documentElement;
+  const text = generateTEIBody(doc, sections, profile, lang, dir, { plugins, diagnostics });
+  const context = { document: doc, el: elementBuilder(doc), sections, profile, diagnostics };
+  const changes = revisionHistory(previous, text, date, diagnostics);
+  const renditions = usedRenditions(text);
+  const citations = citationLevels(text);
+  tei.append(
+    generateTEIHeader(doc, { sourceName, profile, source, overrides: metadata, sections, date, changes, renditions, citations }),
+    text
+  );
+  if (stylesheet) {
+    const pi = doc.createProcessingInstruction('xml-stylesheet', `type="text/xsl" href="${escapeAttribute(stylesheet)}"`);
+    doc.insertBefore(pi, tei);
+  }
+  indentXML(tei, { inline: INLINE_ELEMENTS });
+  return pipeline.serialize(serializeXML(doc), context);
+}
+
+/**
+ * Parse source markup, keeping the position of each node so that
+ * diagnostics can point into the source
+ */
+function parseSource(htmlString) {
+  return new JSDOM(htmlString, { includeNodeLocations: true });
+}
+
+/**
+ * A diagnostics collector that locates nodes of a source from parseSource()
+ */
+function sourceDiagnostics(dom) {
+  return createDiagnostics({
+    locate: node => {
+      const location = dom.nodeLocation(node);
+      return location ? { line: location.startLine, column: location.startCol } : null;
+    }
+  });
+}
 
-  // Escape any remaining text after the last match
-  if (lastIndex < result.length) {
-    parts.push(result.substring(lastIndex)
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-    );
+/**
+ * Convert an HTML/XHTML string to TEI
+ * @param {string} htmlString Source markup
+ * @param {object} [options]
+ * @param {string} [options.sourceName] Name of the source recorded in the header
+ * @param {string|null} [options.stylesheet] XSLT href, or null to omit the PI
+ * @param {object|string} [options.profile] Profile or bundled profile name; detected from the source when omitted
+ * @param {object} [options.metadata] Header metadata overriding what the source and profile say
+ * @param {string|Date} [options.date] Conversion date; by default SOURCE_DATE_EPOCH, else the source's last-modified date
+ * @param {string|null} [options.previous] Previous output, whose revision history is continued
+ * @param {object[]} [options.plugins] Plugins run after DEFAULT_PLUGINS and the profile's (see lib/pipeline.js)
+ * @returns {{ xml: string, sections: object, stats: object, warnings: string[], diagnostics: object[], profile: object, metadata: object }}
+ *   `warnings` are the messages of the warning-level `diagnostics`;
+ *   `metadata` is the header metadata, merged from the profile, source and options
+ */
+function convert(htmlString, options = {}) {
+  let dom = parseSource(htmlString);
+  let diagnostics = sourceDiagnostics(dom);
+  const profile = selectProfile(dom.window.document, options.profile, diagnostics);
+  // The profile is chosen from the source as it is; `load` handlers may change what is parsed
+  const loaded = conversionPipeline(profile, options.plugins).load(htmlString, { profile, sourceName: options.sourceName ?? null });
+  if (loaded !== htmlString) {
+    const { entries } = diagnostics;
+    dom = parseSource(loaded);
+    diagnostics = sourceDiagnostics(dom);
+    diagnostics.entries.push(...entries);
   }
+  const sections = parseDocument(dom.window.document, { diagnostics, profile, lang: options.metadata?.lang, plugins: options.plugins });
+  const source = { ...extractMetadata(dom.window.document), sha256: hashSource(htmlString) };
+  const xml = serializeTEI(sections, { ...options, profile, source, diagnostics });
+  return {
+    xml,
+    sections,
+    stats: computeStats(sections, xml),
+    warnings: diagnostics.warnings,
+    diagnostics: diagnostics.entries,
+    profile,
+    metadata: headerMetadata(profile, source, options.metadata)
+  };
+}
 
-  return parts.join('');
+/**
+ * Serialize parsed sections in a format other than TEI: JSON (`json`, the
+ * document described by schema/records.schema.json) or NDJSON (`ndjson`) with
+ * a record per paragraph, Q&A item, outline entry, glossary or key entry and
+ * note; Markdown (`md`); or plain text (`txt`) with each record prefixed by
+ * its citation
+ * @param {object} sections Sections as returned by parseDocument() or convert()
+ * @param {object} options
+ * @param {string} options.format One of OUTPUT_FORMATS other than `tei`
+ * @param {object} [options.profile] Profile the sections were parsed with
+ * @param {object} [options.metadata] Header metadata, as returned by convert()
+ * @param {string} [options.sourceName] Name of the source
+ * @returns {string}
+ * @throws {TypeError} If the format is unknown
+ */
+function serializeSections(sections, { format, profile = getBundledProfile(DEFAULT_PROFILE), metadata = {}, sourceName = null }) {
+  if (format === 'md') return sectionsToMarkdown(sections, profile, metadata);
+  const records = sectionRecords(sections, profile);
+  if (format === 'json' || format === 'ndjson') {
+    return recordsToJSON(records, { ndjson: format === 'ndjson', metadata, source: sourceName, profile: profile.id });
+  }
+  if (format === 'txt') return recordsToText(records, profile, metadata);
+  throw new TypeError(`Unknown output format "${format}" (expected ${OUTPUT_FORMATS.filter(name => name !== 'tei').join(', ')})`);
 }
 
 /**
- * Main conversion function
+ * Plain text of each item and nested item of a section, for comparison
+ * @returns {Array<{ id: string, n: string, text: string }>}
  */
-function convertHTMLToTEI() {
-  console.log('Reading HTML file...');
-  const htmlContent = readFileSync(INPUT_FILE, 'utf-8');
+function itemTexts(items) {
+  return items.flatMap(item => {
+    const content = [item.label, item.content, ...(item.parts || []).flatMap(part => part.paragraphs)];
+    const text = cleanText(content.filter(Boolean).map(spacedText).join(' '));
+    return [{ id: item.id, n: String(item.n), text }, ...itemTexts(item.items || [])];
+  });
+}
 
-  console.log('Parsing HTML document...');
-  const dom = new JSDOM(htmlContent);
+/**
+ * Serialize a comparison as TEI in parallel segmentation
+ * @param {object[]} comparison Sections with aligned items, as built by compare()
+ * @param {object} options
+ * @param {Array<{ id: string, description: string }>} options.witnesses The two editions
+ * @param {string} options.title Title of the compared work
+ * @param {string} options.date Date of the comparison
+ * @param {string|null} [options.lang] Language of the text
+ * @param {boolean} [options.full] Include unchanged items too
+ * @param {string|null} [options.stylesheet] XSLT href for the <?xml-stylesheet?> PI, or null to omit it
+ * @returns {string} TEI XML
+ */
+function serializeComparison(comparison, { witnesses, title, date, lang = null, full = false, stylesheet = null }) {
+  const doc = createXMLDocument(TEI_NS, 'TEI');
+  const el = elementBuilder(doc);
+  const tei = doc.documentElement;
+  const wits = witnesses.map(witness => `#${witness.id}`);
+  const divs = comparison
+    .map(section => ({ ...section, items: section.items.filter(item => full || item.status !== 'unchanged') }))
+    .filter(section => section.items.length > 0)
+    .map(section => el('div', { type: section.divType }, [
+      el('head', {}, section.head ?? section.label),
+      section.items.map(item => el('p', { n: item.n, 'xml:id': item.id }, apparatusContent(el, item.runs, wits)))
+    ]));
+  tei.append(
+    el('teiHeader', {}, [
+      el('fileDesc', {}, [
+        el('titleStmt', {}, [
+          el('title', {}, `Comparison of editions of ${title}`)
+        ]),
+        el('publicationStmt', {}, [
+          el('p', {}, `Generated ${date} by comparing two editions of the source`)
+        ]),
+        el('sourceDesc', {}, [
+          el('listWit', {}, witnesses.map(({ id, description }) => el('witness', { 'xml:id': id }, description)))
+        ])
+      ]),
+      el('encodingDesc', {}, [
+        el('variantEncoding', { method: 'parallel-segmentation', location: 'internal' })
+      ])
+    ]),
+    el('text', { 'xml:lang': lang }, [
+      el('body', {}, divs.length ? divs : [el('p', {}, 'No textual differences between the editions.')])
+    ])
+  );
+  if (stylesheet) {
+    const pi = doc.createProcessingInstruction('xml-stylesheet', `type="text/xsl" href="${escapeAttribute(stylesheet)}"`);
+    doc.insertBefore(pi, tei);
+  }
+  indentXML(tei, { inline: INLINE_ELEMENTS });
+  return serializeXML(doc);
+}
 
-  console.log('Extracting sections...');
-  const sections = parseDocument(dom);
+/**
+ * Compare two editions of a source. Both are parsed with the same profile,
+ * their items aligned by xml:id and compared word by word.
+ * @param {string} beforeHtml Markup of the earlier edition (witness A)
+ * @param {string} afterHtml Markup of the later edition (witness B)
+ * @param {object} [options]
+ * @param {[string, string]} [options.sourceNames] Names of the two sources, for the witness list and report
+ * @param {object|string} [options.profile] Profile or bundled profile name; detected from the later edition when omitted
+ * @param {object[]} [options.plugins] Plugins both editions are parsed with, after DEFAULT_PLUGINS and the profile's
+ * @param {object} [options.metadata] Metadata overriding the profile's and the later edition's, as for convert()
+ * @param {boolean} [options.full] Include unchanged items in the apparatus, not just changed ones
+ * @param {string|Date} [options.date] Date of the comparison; see buildDate() for the default
+ * @param {string|null} [options.stylesheet] XSLT href for the <?xml-stylesheet?> PI (default: none)
+ * @returns {{ xml: string, comparison: object[], summary: object, report: string, warnings: string[], profile: object }}
+ */
+function compare(beforeHtml, afterHtml, options = {}) {
+  const { sourceNames = ['before', 'after'], full = false, stylesheet = null } = options;
+  const doms = [beforeHtml, afterHtml].map(parseSource);
+  const documents = doms.map(dom => dom.window.document);
+  const diagnostics = doms.map(sourceDiagnostics);
+  const profile = selectProfile(documents[1], options.profile, diagnostics[1]);
+  const witnesses = ['A', 'B'].map((id, i) => {
+    const source = extractMetadata(documents[i]);
+    const lastModified = source.lastModified ? `, last modified ${source.lastModified.text}` : '';
+    return { id, description: `${sourceNames[i]}${lastModified}`, source };
+  });
+  const [before, after] = documents.map((document, i) => parseDocument(document, {
+    diagnostics: diagnostics[i],
+    profile,
+    lang: options.metadata?.lang,
+    plugins: options.plugins
+  }));
+  const warnings = witnesses.flatMap(({ id }, i) => diagnostics[i].warnings.map(message => `${id}: ${message}`));
+  const comparison = profile.sections.map(section => ({
+    key: section.key,
+    label: section.label,
+    divType: section.divType,
+    head: section.head,
+    items: alignItems(itemTexts(before[section.key]), itemTexts(after[section.key]))
+  }));
+  const source = witnesses[1].source;
+  const metadata = headerMetadata(profile, source, options.metadata);
+  const xml = serializeComparison(comparison, {
+    witnesses,
+    title: metadata.title ?? 'Untitled',
+    date: buildDate({ date: options.date, lastModified: metadata.lastModified && metadata.lastModified.when }),
+    lang: metadata.lang ?? null,
+    full,
+    stylesheet
+  });
+  return {
+    xml,
+    comparison,
+    summary: summarizeComparison(comparison),
+    report: formatComparisonReport(comparison, witnesses),
+    warnings,
+    profile
+  };
+}
 
-  console.log('Sections found:');
-  console.log(`  - Preface: ${sections.preface.length} paragraphs`);
-  console.log(`  - Introduction: ${sections.introduction.length} paragraphs`);
-  console.log(`  - Description: ${sections.description.length} paragraphs`);
-  console.log(`  - Main text: ${sections.text.length} paragraphs`);
-  console.log(`  - Questions: ${sections.questions.length} items`);
-  console.log(`  - Notes: ${sections.notes.length} items`);
+/**
+ * Resolve citations of a converted text to passages and cite its items;
+ * see readCitations(). Passage text leaves out editorial regularizations.
+ * @param {string} xml TEI written by convert()
+ * @returns {{ urn: string|null, resolve: Function, cite: Function }}
+ * @throws {Error} If the XML cannot be parsed or is not TEI
+ */
+function citationResolver(xml) {
+  return readCitations(xml, { exclude: EDITORIAL_ELEMENTS });
+}
 
-  console.log('\nGenerating TEI XML...');
-  let teiXML = generateTEIHeader();
-  teiXML += generateTEIBody(sections);
-  teiXML += '</TEI>\n';
+/**
+ * Render converted TEI as a static HTML site: a page per section, a table of
+ * contents and a full-text search index. Regularized spellings are left out
+ * of the pages and only searched through their folded original.
+ * @param {string} xml TEI written by the converter
+ * @returns {{ files: Array<{ path: string, content: string }>, pages: object[], documents: number }}
+ *   The files of the site relative to its root, its section pages and the number of searchable items
+ * @throws {Error} If the XML cannot be parsed or is not TEI
+ */
+function render(xml) {
+  return renderSite(xml, { exclude: EDITORIAL_ELEMENTS });
+}
 
-  console.log('Writing output file...');
-  writeFileSync(OUTPUT_FILE, teiXML, 'utf-8');
+/**
+ * Export converted TEI to another format: an EPUB 3 package (`epub`) of the
+ * sections as the static site renders them, with notes as footnotes.
+ * Regularized spellings are left out.
+ * @param {string} xml TEI written by the converter
+ * @param {object} options
+ * @param {string} options.format One of EXPORT_FORMATS
+ * @returns {{ content: Buffer, chapters: object[], footnotes: number, metadata: object }}
+ *   The exported file, its content documents, its number of notes and its package metadata
+ * @throws {TypeError} If the format is unknown
+ * @throws {Error} If the XML cannot be parsed or is not TEI
+ */
+function exportTEI(xml, { format }) {
+  if (format === 'epub') return exportEpub(xml, { exclude: EDITORIAL_ELEMENTS });
+  throw new TypeError(`Unknown export format "${format}" (expected ${EXPORT_FORMATS.join(', ')})`);
+}
 
-  console.log(`\nConversion complete! Output saved to: ${OUTPUT_FILE}`);
-  console.log(`Total file size: ${(teiXML.length / 1024).toFixed(2)} KB`);
+/**
+ * Serialize the <teiCorpus> of a batch: a header shared by the documents,
+ * listing each, and an XInclude of each document's TEI
+ * @param {Array<{ href: string, metadata: object }>} documents The converted documents: the URI of
+ *   each relative to the corpus file, and its header metadata (see convert())
+ * @param {object} options
+ * @param {string} options.title Title of the corpus
+ * @param {string} options.date Date of the corpus, such as the latest date its documents were converted under
+ * @param {string|null} [options.publisher] Publisher of the corpus
+ * @param {string|object|null} [options.licence] Licence of the corpus, a string or `{ text, target }`
+ * @returns {string} TEI XML
+ */
+function serializeCorpus(documents, { title, date, publisher = null, licence = null }) {
+  const doc = createXMLDocument(TEI_NS, 'teiCorpus');
+  const el = elementBuilder(doc);
+  const corpus = doc.documentElement;
+  corpus.setAttributeNS('http://www.w3.org/2000/xmlns/', 'xmlns:xi', XI_NS);
+  const { text: licenceText, target: licenceTarget } = typeof licence === 'string' ? { text: licence } : (licence || {});
+  const languages = [...new Set(documents.map(({ metadata }) => metadata.lang).filter(Boolean))];
+  corpus.append(
+    el('teiHeader', {}, [
+      el('fileDesc', {}, [
+        el('titleStmt', {}, [
+          el('title', {}, title)
+        ]),
+        el('extent', {}, [
+          el('measure', { unit: 'documents', quantity: documents.length }, `${documents.length} document${documents.length === 1 ? '' : 's'}`)
+        ]),
+        el('publicationStmt', {}, [
+          publisher && el('publisher', {}, publisher),
+          el('date', {}, date),
+          licenceText && el('availability', {}, [
+            el('licence', { target: licenceTarget }, licenceText)
+          ])
+        ]),
+        el('sourceDesc', {}, documents.map(({ href, metadata }) => el('bibl', { 'xml:lang': metadata.lang }, [
+          el('title', {}, metadata.title ?? 'Untitled'),
+          metadata.author && el('author', {}, metadata.author),
+          metadata.documentId && el('idno', { type: 'document-id' }, metadata.documentId),
+          el('idno', { type: 'URI' }, href)
+        ])))
+      ]),
+      el('encodingDesc', {}, [
+        el('projectDesc', {}, [
+          el('p', {}, 'The documents of this corpus were converted from HTML to TEI P5 XML format and are included by XInclude')
+        ])
+      ]),
+      languages.length > 0 && el('profileDesc', {}, [
+        el('langUsage', {}, languages.map(ident => el('language', { ident }, languageName(ident))))
+      ])
+    ]),
+    ...documents.map(({ href }) => {
+      const include = doc.createElementNS(XI_NS, 'xi:include');
+      include.setAttribute('href', href);
+      return include;
+    })
+  );
+  indentXML(corpus, { inline: INLINE_ELEMENTS });
+  return serializeXML(doc);
 }
 
-// Run the conversion
-try {
-  convertHTMLToTEI();
-} catch (error) {
-  console.error('Error during conversion:', error);
-  process.exit(1);
+/**
+ * Link the paragraphs and other citable items of editions of one text in
+ * different languages, by number, as a TEI standoff <linkGrp type="translation">
+ * @param {Array<{ xml: string, href: string }>} editions TEI of each edition, and the URI the links refer to it by
+ * @param {object} [options]
+ * @param {string|Date} [options.date] Date of the alignment; see buildDate() for the default
+ * @returns {{ xml: string, links: object[], unmatched: Array<{ href: string, ids: string[] }>, warnings: string[] }}
+ *   The links file, the links (see translationLinks()) and, for each
+ *   edition, the items no other edition has
+ * @throws {Error} If fewer than two editions are given, one is not TEI, or they have no items in common
+ */
+function align(editions, options = {}) {
+  if (editions.length < 2) throw new Error(`Aligning needs at least two editions, got ${editions.length}`);
+  const read = editions.map(({ xml, href }) => {
+    try {
+      return readEdition(xml);
+    } catch (error) {
+      throw new Error(`${href}: ${error.message}`);
+    }
+  });
+  const { links, unmatched } = translationLinks(read);
+  if (!links.length) throw new Error('The editions have no numbered items in common');
+  const warnings = unmatched.flatMap((ids, i) => ids.length
+    ? [`${editions[i].href}: ${ids.length} item(s) in no other edition: ${formatIds(ids)}`]
+    : []);
+  const languages = [...new Set(read.map(edition => edition.lang).filter(Boolean))];
+
+  const doc = createXMLDocument(TEI_NS, 'TEI');
+  const el = elementBuilder(doc);
+  const tei = doc.documentElement;
+  const title = read.find(edition => edition.title)?.title ?? 'Untitled';
+  tei.append(
+    el('teiHeader', {}, [
+      el('fileDesc', {}, [
+        el('titleStmt', {}, [
+          el('title', {}, `Translation alignment of ${title}`)
+        ]),
+        el('publicationStmt', {}, [
+          el('p', {}, `Generated ${buildDate({ date: options.date })} by linking the items of ${editions.length} editions by number`)
+        ]),
+        el('sourceDesc', {}, editions.map(({ href }, i) => el('bibl', { 'xml:lang': read[i].lang }, [
+          el('title', {}, read[i].title ?? href),
+          ' ',
+          el('idno', { type: 'URI' }, href),
+          read[i].urn && [' ', el('idno', { type: 'URN' }, read[i].urn)]
+        ])))
+      ]),
+      languages.length > 0 && el('profileDesc', {}, [
+        el('langUsage', {}, languages.map(ident => el('language', { ident }, languageName(ident))))
+      ])
+    ]),
+    el('standOff', {}, [
+      el('linkGrp', { type: 'translation' }, links.map(link => el('link', {
+        n: link.passage,
+        target: link.editions.map(i => `${editions[i].href}#${link.id}`).join(' ')
+      })))
+    ])
+  );
+  indentXML(tei, { inline: INLINE_ELEMENTS });
+  return {
+    xml: serializeXML(doc),
+    links,
+    unmatched: editions.map(({ href }, i) => ({ href, ids: unmatched[i] })),
+    warnings
+  };
 }
+
+export {
+  DEFAULT_STYLESHEET,
+  DEFAULT_PLUGINS,
+  STAGES,
+  EXPORT_FORMATS,
+  OUTPUT_FORMATS,
+  cleanText,
+  stripLeadingNumber,
+  normalizeText,
+  extractTextWithFormatting,
+  plainText,
+  cleanContent,
+  parseDocument,
+  extractMetadata,
+  buildDate,
+  generateTEIHeader,
+  generateTEIBody,
+  escapeAttribute,
+  serializeTEI,
+  checkWellFormed,
+  validateTEI,
+  listProfiles,
+  loadProfile,
+  loadPlugin,
+  convert,
+  serializeSections,
+  sectionRecords,
+  compare,
+  serializeCorpus,
+  align,
+  citationResolver,
+  render,
+  exportTEI,
+  checkEpub,
+  createDiagnostics,
+  diagnosticsToJSON,
+  diagnosticsToMarkdown
+};
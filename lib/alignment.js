@@ -0,0 +1,63 @@
+/**
+ * Alignment of editions of one book in different languages. Items are
+ * numbered alike in every edition, so the paragraphs (and other citable
+ * items) that translate each other have the same xml:id; an alignment links
+ * them by it.
+ */
+
+import { JSDOM } from 'jsdom';
+import { TEI_NS, XML_NS } from './xml.js';
+import { isCitable } from './citations.js';
+
+/**
+ * What an alignment needs to know of one converted edition
+ * @param {string} xml TEI of the edition
+ * @returns {{ title: string|null, lang: string|null, urn: string|null, ids: string[] }}
+ *   Its title, the xml:lang of its text, its URN and the xml:ids of its
+ *   citable items in document order
+ * @throws {Error} If the XML cannot be parsed or has no TEI <body>
+ */
+function readEdition(xml) {
+  const { document } = new JSDOM(xml, { contentType: 'application/xml' }).window;
+  const text = document.getElementsByTagNameNS(TEI_NS, 'text')[0];
+  const body = text && text.getElementsByTagNameNS(TEI_NS, 'body')[0];
+  if (!body) throw new Error('no TEI <body> element');
+  const title = document.getElementsByTagNameNS(TEI_NS, 'title')[0];
+  const urn = Array.from(document.getElementsByTagNameNS(TEI_NS, 'idno')).find(idno => idno.getAttribute('type') === 'URN');
+  return {
+    title: title ? title.textContent.replace(/\s+/g, ' ').trim() : null,
+    lang: text.getAttributeNS(XML_NS, 'lang') || null,
+    urn: urn ? urn.textContent.trim() : null,
+    ids: Array.from(body.getElementsByTagName('*'))
+      .filter(isCitable)
+      .map(element => element.getAttributeNS(XML_NS, 'id'))
+  };
+}
+
+/**
+ * Link the items editions have in common. An item is linked when at least
+ * two editions have it, in the order the editions first have it.
+ * @param {Array<{ ids: string[] }>} editions Editions as read by readEdition()
+ * @returns {{ links: Array<{ id: string, passage: string, editions: number[] }>, unmatched: string[][] }}
+ *   Each link's xml:id, its canonical reference and the indexes of the
+ *   editions having it; for each edition, the ids no other edition has
+ */
+function translationLinks(editions) {
+  const holders = new Map();
+  for (const [i, { ids }] of editions.entries()) {
+    for (const id of ids) {
+      if (!holders.has(id)) holders.set(id, []);
+      holders.get(id).push(i);
+    }
+  }
+  const links = [...holders]
+    .filter(([, indexes]) => indexes.length > 1)
+    .map(([id, indexes]) => ({ id, passage: id.replace(/-/g, '.'), editions: indexes }));
+  const unmatched = editions.map(({ ids }) => ids.filter(id => holders.get(id).length === 1));
+  return { links, unmatched };
+}
+
+export {
+  readEdition,
+  translationLinks
+};
@@ -0,0 +1,82 @@
+/**
+ * Worker thread of a batch conversion (see batch.js). Each message is one
+ * document to convert: the worker reads its source and previous output,
+ * checks its TEI and writes it if the checks pass, and replies with what the
+ * corpus needs to know of it.
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { basename } from 'path';
+import { parentPort } from 'worker_threads';
+import { buildDate, checkWellFormed, convert, loadProfile, validateTEI } from '../convert-to-tei.js';
+
+/**
+ * The xml:ids of items and of the items nested in them, in document order
+ */
+function itemIds(items) {
+  return items.flatMap(item => [item.id, ...itemIds(item.items ?? [])]);
+}
+
+/**
+ * Convert one document of a batch
+ * @param {object} task
+ * @param {string} task.source Path of the source
+ * @param {string} task.output Path the TEI is written to; its previous content continues the revision history
+ * @param {string|null} task.profile Profile name or path, or null to detect it
+ * @param {object} task.metadata Header metadata overrides
+ * @param {string|null} task.date Conversion date, or null for the default
+ * @param {string|null} task.stylesheet XSLT href, or null to omit the PI
+ * @param {boolean} task.validate Validate the TEI against the bundled schema
+ * @param {boolean} task.strict Fail the document, leaving its output as it was, on warnings or validation errors
+ * @returns {Promise<object>} `{ error }` if the document could not be converted, else its
+ *   profile id, merged header metadata, the date it was converted under,
+ *   warnings, validation errors, the problems that failed it under `strict`
+ *   (`failures`) and sections
+ */
+async function convertDocument({ source, output, profile, metadata, date, stylesheet, validate, strict }) {
+  try {
+    const html = readFileSync(source, 'utf-8');
+    const previous = existsSync(output) ? readFileSync(output, 'utf-8') : null;
+    const result = convert(html, {
+      sourceName: basename(source),
+      stylesheet,
+      profile: profile && await loadProfile(profile),
+      metadata,
+      date,
+      previous
+    });
+    if (Object.values(result.sections).every(items => items.length === 0)) {
+      return { error: 'No sections were recognised in the input' };
+    }
+    checkWellFormed(result.xml);
+    const { errors = [] } = validate ? await validateTEI(result.xml) : {};
+    const failures = strict
+      ? [
+          result.warnings.length && `${result.warnings.length} warning(s)`,
+          errors.length && `${errors.length} validation error(s)`
+        ].filter(Boolean)
+      : [];
+    if (!failures.length) writeFileSync(output, result.xml, 'utf-8');
+    const { title, lang, documentId, author, lastModified } = result.metadata;
+    return {
+      profile: result.profile.id,
+      metadata: { title, lang, documentId, author },
+      date: buildDate({ date, lastModified: lastModified && lastModified.when }),
+      warnings: result.warnings,
+      validationErrors: errors.map(({ line, message }) => (line ? `line ${line}: ${message}` : message)),
+      failures,
+      sections: result.profile.sections.map(section => ({
+        key: section.key,
+        n: section.idPrefix,
+        count: result.stats[section.key],
+        ids: itemIds(result.sections[section.key])
+      }))
+    };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+parentPort.on('message', async task => {
+  parentPort.postMessage(await convertDocument(task));
+});
@@ -0,0 +1,199 @@
+/**
+ * Batch conversion of a corpus: the sources a directory or a JSON manifest
+ * lists, converted in a pool of worker threads (see batch-worker.js), and
+ * the index of what was converted
+ */
+
+import { readFileSync, readdirSync, statSync } from 'fs';
+import { availableParallelism } from 'os';
+import { basename, dirname, extname, relative, resolve, sep } from 'path';
+import { Worker } from 'worker_threads';
+
+const WORKER_URL = new URL('./batch-worker.js', import.meta.url);
+
+/**
+ * Extensions of the files a directory batch converts
+ */
+const SOURCE_EXTENSIONS = new Set(['.html', '.htm', '.xhtml']);
+
+/**
+ * Check a manifest and fill in defaults. Paths are resolved against `base`;
+ * each document's output defaults to its source's name with `.xml`, and the
+ * corpus is written to `corpus.xml`.
+ * @param {object} manifest Manifest as written
+ * @param {string} where Where the manifest came from, for error messages
+ * @param {string} base Directory relative paths are resolved against
+ * @returns {{ title: string, corpus: string, publisher: string|null, licence: string|object|null, documents: object[] }}
+ * @throws {TypeError} If the manifest is malformed
+ */
+function normalizeBatch(manifest, where, base) {
+  if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.documents)) {
+    throw new TypeError(`${where}: a manifest must be an object with a "documents" array`);
+  }
+  if (!manifest.documents.length) throw new TypeError(`${where}: no documents to convert`);
+  const corpus = manifest.corpus ?? 'corpus.xml';
+  if (typeof corpus !== 'string' || extname(corpus) !== '.xml') throw new TypeError(`${where}: "corpus" must be an .xml file name`);
+  const outputs = new Set([corpus]);
+  const documents = manifest.documents.map((document, i) => {
+    const entry = typeof document === 'string' ? { source: document } : document;
+    const at = `${where}: documents[${i}]`;
+    if (!entry || typeof entry.source !== 'string' || !entry.source) throw new TypeError(`${at}: "source" is required`);
+    const source = resolve(base, entry.source);
+    const output = entry.output ?? `${basename(source, extname(source))}.xml`;
+    if (typeof output !== 'string' || extname(output) !== '.xml') throw new TypeError(`${at}: "output" must be an .xml file name`);
+    if (outputs.has(output)) throw new TypeError(`${at}: output "${output}" is written more than once`);
+    outputs.add(output);
+    let metadata = entry.metadata ?? {};
+    if (typeof metadata === 'string') {
+      try {
+        metadata = JSON.parse(readFileSync(resolve(base, metadata), 'utf-8'));
+      } catch (error) {
+        throw new TypeError(`${at}: cannot read metadata ${metadata} (${error.message})`);
+      }
+    }
+    const { profile = null } = entry;
+    if (profile !== null && typeof profile !== 'string') throw new TypeError(`${at}: "profile" must be a profile name or path`);
+    return {
+      source,
+      output,
+      // Bundled profiles are named, other profiles are files
+      profile: profile && extname(profile) ? resolve(base, profile) : profile,
+      metadata
+    };
+  });
+  return {
+    title: manifest.title ?? basename(resolve(base)),
+    corpus,
+    publisher: manifest.publisher ?? null,
+    licence: manifest.licence ?? null,
+    documents
+  };
+}
+
+/**
+ * Read what a batch converts: every HTML/XHTML file of a directory, or the
+ * documents of a JSON manifest, each a source path or `{ source, output,
+ * profile, metadata }` (see the README)
+ * @param {string} path Directory or manifest
+ * @returns {{ title: string, corpus: string, publisher: string|null, licence: string|object|null, documents: object[] }}
+ * @throws {TypeError} If the manifest is malformed, or there is nothing to convert
+ */
+function readBatch(path) {
+  if (statSync(path).isDirectory()) {
+    const documents = readdirSync(path)
+      .filter(file => SOURCE_EXTENSIONS.has(extname(file).toLowerCase()))
+      .sort();
+    return normalizeBatch({ documents }, path, path);
+  }
+  return normalizeBatch(JSON.parse(readFileSync(path, 'utf-8')), path, dirname(path));
+}
+
+/**
+ * Run tasks in a pool of worker threads, each worker taking the next task as
+ * it finishes one. A worker that dies fails only the task it was running.
+ * @param {object[]} tasks Messages for the workers (see batch-worker.js)
+ * @param {object} [options]
+ * @param {number} [options.threads] Number of workers (default: one per CPU); never more than there are tasks
+ * @param {(result: object, index: number) => void} [options.onResult] Called as each task finishes
+ * @returns {Promise<object[]>} Results in the order of the tasks; a task whose worker died gets `{ error }`
+ */
+function runInWorkers(tasks, { threads = availableParallelism(), onResult = () => {} } = {}) {
+  const results = new Array(tasks.length);
+  if (!tasks.length) return Promise.resolve(results);
+  let next = 0;
+  let settled = 0;
+  return new Promise(done => {
+    const settle = (index, result) => {
+      results[index] = result;
+      onResult(result, index);
+      if (++settled === tasks.length) done(results);
+    };
+    const spawn = () => {
+      const worker = new Worker(WORKER_URL);
+      let current = null;
+      let failure = null;
+      const take = () => {
+        if (next < tasks.length) {
+          current = next++;
+          worker.postMessage(tasks[current]);
+        } else {
+          current = null;
+          worker.terminate();
+        }
+      };
+      worker.on('message', result => {
+        const index = current;
+        take();
+        settle(index, result);
+      });
+      worker.on('error', error => {
+        failure = error;
+      });
+      worker.on('exit', code => {
+        if (current === null) return;
+        settle(current, { error: failure ? failure.message : `worker exited with code ${code}` });
+        current = null;
+        if (next < tasks.length) spawn();
+      });
+      take();
+    };
+    for (let i = 0; i < Math.min(Math.max(1, threads), tasks.length); i++) spawn();
+  });
+}
+
+/**
+ * The corpus index: each document with its status, its header metadata and
+ * the count and xml:ids of the items of each of its sections
+ * @param {object} batch Batch as read by readBatch()
+ * @param {object[]} results Results of the documents, as the workers return them
+ * @param {object} options
+ * @param {string} options.outputDir Directory the documents were written to
+ * @param {string} options.date Date of the conversion
+ * @returns {object} JSON-ready index
+ */
+function corpusIndex(batch, results, { outputDir, date }) {
+  const documents = batch.documents.map((document, i) => {
+    const { error = null, failures = [], metadata = {}, profile = null, warnings = [], sections = [] } = results[i];
+    const failed = Boolean(error) || failures.length > 0;
+    return {
+      source: relative(outputDir, document.source).split(sep).join('/'),
+      output: document.output,
+      status: failed ? 'failed' : 'converted',
+      error: error ?? (failures.length ? failures.join('; ') : undefined),
+      profile: profile ?? undefined,
+      title: metadata.title,
+      lang: metadata.lang,
+      documentId: metadata.documentId,
+      warnings: error ? undefined : warnings.length,
+      sections: error ? undefined : sections
+    };
+  });
+  const converted = documents.filter(document => document.status === 'converted').length;
+  return {
+    title: batch.title,
+    date,
+    corpus: converted ? batch.corpus : null,
+    converted,
+    failed: documents.length - converted,
+    documents
+  };
+}
+
+/**
+ * The date of a corpus: the latest of the dates its documents were converted
+ * under, so that converting the same sources again dates it the same way
+ * @param {object[]} results Results of the documents in the corpus, as the workers return them
+ * @returns {string|null} ISO 8601 date, or null if there are no documents
+ */
+function corpusDate(results) {
+  return results.map(({ date }) => date).sort().at(-1) ?? null;
+}
+
+export {
+  SOURCE_EXTENSIONS,
+  normalizeBatch,
+  readBatch,
+  runInWorkers,
+  corpusIndex,
+  corpusDate
+};
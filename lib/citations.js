@@ -0,0 +1,324 @@
+/**
+ * Canonical citations of a converted text: the structure its header
+ * declares in <refsDecl>, and resolving citations to passages and back.
+ *
+ * Every citable item is an element with both an @n and an xml:id, inside a
+ * section division whose @n is the section's idPrefix. Its canonical
+ * reference joins the section's @n and the @n of each citable ancestor with
+ * dots (`syn.2.IV.A`), as a CTS passage does; its xml:id joins the same
+ * with hyphens (`syn-2-IV-A`). Readers' citations ("K12", "Q&A 45") follow
+ * the templates of the profile, declared as <cRefPattern>s.
+ */
+
+import { JSDOM } from 'jsdom';
+import { TEI_NS, XML_NS } from './xml.js';
+import { westernDigits } from './languages.js';
+
+/**
+ * The pattern of one level's @n in a citation
+ */
+const N_PATTERN = '([0-9A-Za-z]+)';
+
+/**
+ * Parts of the match patterns citationPattern() writes: a level's @n, a
+ * space, an optional pilcrow and escaped characters
+ */
+const PATTERN_TOKEN = /\(\[0-9A-Za-z\]\+\)|\\s\*|¶\?|\\(.)/g;
+
+/**
+ * Whether an element is a citable item
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function isCitable(element) {
+  return element.hasAttribute('n') && element.hasAttributeNS(XML_NS, 'id');
+}
+
+/**
+ * The citation levels of a text's sections, for its <refsDecl>: below each
+ * section division, the unit cited at each level and the path of its
+ * elements from the item (or division) a level up
+ * @param {Element} text <text>
+ * @returns {Array<{ n: string, levels: Array<{ unit: string, match: string }> }>}
+ */
+function citationLevels(text) {
+  const body = text.getElementsByTagNameNS(TEI_NS, 'body')[0];
+  if (!body) return [];
+  return Array.from(body.children)
+    .filter(div => div.localName === 'div' && div.hasAttribute('n'))
+    .map(div => {
+      const levels = [];
+      const visit = (element, depth, path) => {
+        for (const child of element.children) {
+          const childPath = [...path, child.localName];
+          if (!isCitable(child)) {
+            visit(child, depth, childPath);
+            continue;
+          }
+          const unit = child.localName === 'p' ? 'paragraph' : child.getAttribute('type') || child.localName;
+          levels[depth] ??= { unit, paths: new Set() };
+          levels[depth].paths.add(`${childPath.join('/')}[@n]`);
+          visit(child, depth + 1, []);
+        }
+      };
+      visit(div, 0, []);
+      return {
+        n: div.getAttribute('n'),
+        levels: levels.map(({ unit, paths }) => ({ unit, match: [...paths].join(' | ') }))
+      };
+    });
+}
+
+/**
+ * The <cRefPattern> of a section's citations of one depth, written after a
+ * template such as "K{n}" or "Intro ¶{n}" where {n} stands for the @n of
+ * each level joined with dots. Spaces and the pilcrow are optional in what
+ * the pattern matches.
+ * @param {string} template
+ * @param {string} prefix The section's idPrefix
+ * @param {number} depth
+ * @returns {{ matchPattern: string, replacementPattern: string }}
+ */
+function citationPattern(template, prefix, depth) {
+  const literal = text => Array.from(text, char => {
+    if (/\s/.test(char)) return '\\s*';
+    if (char === '¶') return '¶?';
+    return /[.\\?*+{}()[\]|^$]/.test(char) ? `\\${char}` : char;
+  }).join('').replace(/(?:\\s\*)+/g, '\\s*');
+  const [before, after] = template.split('{n}');
+  const levels = Array.from({ length: depth }, (_, i) => i + 1);
+  return {
+    matchPattern: `${literal(before)}${levels.map(() => N_PATTERN).join('\\.')}${literal(after)}`,
+    replacementPattern: `#${prefix}-${levels.map(i => `$${i}`).join('-')}`
+  };
+}
+
+/**
+ * The <cRefPattern>s of a text, deepest first within each section, so that
+ * the first one matching a citation is the right one
+ * @param {Array<{ n: string, levels: object[] }>} levels From citationLevels()
+ * @param {Map<string, string>} templates Citation templates by idPrefix
+ * @returns {Array<{ matchPattern: string, replacementPattern: string }>}
+ */
+function citationPatterns(levels, templates) {
+  return levels
+    .filter(section => templates.get(section.n))
+    .flatMap(section => section.levels.map((_, i) => citationPattern(templates.get(section.n), section.n, section.levels.length - i)));
+}
+
+/**
+ * A citation written after a match pattern from citationPattern()
+ * @param {string} matchPattern
+ * @param {string[]} values The @n of each level
+ * @returns {string}
+ */
+function formatCitation(matchPattern, values) {
+  let level = 0;
+  return matchPattern.replace(PATTERN_TOKEN, (token, escaped) => {
+    if (escaped !== undefined) return escaped;
+    if (token === '\\s*') return ' ';
+    if (token === '¶?') return '¶';
+    return values[level++];
+  });
+}
+
+/**
+ * Read a converted text for resolving citations. A citation may be written
+ * as a reader would ("K12", "Q&A 45", "Intro ¶3"), as a CTS URN
+ * (`urn:cts:…:par.12`), as a canonical reference (`par.12`) or as an
+ * xml:id (`par-12`), and may be a range ("K12–15", `par.12-par.15`) of
+ * items of one level.
+ * @param {string} xml TEI written by the converter
+ * @param {object} [options]
+ * @param {Set<string>} [options.exclude] Local names of elements left out of passage text
+ * @returns {{ urn: string|null, resolve: Function, cite: Function }}
+ * @throws {Error} If the XML cannot be parsed or is not TEI
+ */
+function readCitations(xml, { exclude = new Set() } = {}) {
+  const { window } = new JSDOM(xml, { contentType: 'application/xml' });
+  const { document } = window;
+  const body = document.getElementsByTagNameNS(TEI_NS, 'body')[0];
+  if (!body) throw new Error('no TEI <body> element');
+  const urnElement = Array.from(document.getElementsByTagNameNS(TEI_NS, 'idno'))
+    .find(idno => idno.getAttribute('type') === 'URN');
+  const urn = urnElement ? urnElement.textContent.trim() : null;
+  const patterns = Array.from(document.getElementsByTagNameNS(TEI_NS, 'cRefPattern'), pattern => {
+    const matchPattern = pattern.getAttribute('matchPattern');
+    const replacementPattern = pattern.getAttribute('replacementPattern');
+    const [literal, ...rest] = replacementPattern.split(/\$\d+/);
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return {
+      matchPattern,
+      replacementPattern,
+      match: new RegExp(`^(?:${matchPattern})$`, 'iu'),
+      id: new RegExp(`^${[literal, ...rest].map(escape).join(N_PATTERN)}$`, 'u')
+    };
+  });
+
+  // Elements by xml:id, in document order, and by case-folded xml:id
+  const items = new Map();
+  const folded = new Map();
+  for (const element of body.querySelectorAll('*')) {
+    const id = element.getAttributeNS(XML_NS, 'id');
+    if (!id) continue;
+    items.set(id, element);
+    if (!folded.has(id.toLowerCase())) folded.set(id.toLowerCase(), element);
+  }
+  const byId = id => items.get(id) ?? folded.get(id.toLowerCase()) ?? null;
+
+  // The section and the @n of each level of the citable item an element is, or is part of
+  const referenceOf = element => {
+    const values = [];
+    let item = null;
+    for (let node = element; node && node !== body; node = node.parentElement) {
+      if (node.parentElement === body) {
+        return item && node.hasAttribute('n') ? { item, section: node.getAttribute('n'), values } : null;
+      }
+      if (isCitable(node)) {
+        item ??= node;
+        values.unshift(node.getAttribute('n'));
+      }
+    }
+    return null;
+  };
+
+  const humanCitation = id => {
+    for (const pattern of patterns) {
+      const match = `#${id}`.match(pattern.id);
+      if (match) return formatCitation(pattern.matchPattern, match.slice(1));
+    }
+    return null;
+  };
+
+  /**
+   * The forms of citation of the item an element is, or is part of
+   * @param {string} xmlId xml:id, with or without a leading "#"
+   * @returns {{ id: string, citation: string, passage: string, urn: string|null }|null}
+   *   null if the text has no such citable element
+   */
+  function cite(xmlId) {
+    const element = byId(String(xmlId).trim().replace(/^#/, ''));
+    const reference = element && referenceOf(element);
+    if (!reference) return null;
+    const id = reference.item.getAttributeNS(XML_NS, 'id');
+    const passage = [reference.section, ...reference.values].join('.');
+    return { id, citation: humanCitation(id) ?? passage, passage, urn: urn && `${urn}:${passage}` };
+  }
+
+  // The element a single (not range) citation names
+  const lookup = citation => {
+    const text = citation.trim();
+    if (!text) return null;
+    if (/^urn:/i.test(text)) {
+      const parts = text.split(':');
+      if (parts.length !== 5 || (urn && parts.slice(0, 4).join(':').toLowerCase() !== urn.toLowerCase())) return null;
+      return byId(parts[4].replace(/\./g, '-'));
+    }
+    const element = byId(text.replace(/^#/, '')) ?? byId(text.replace(/\./g, '-'));
+    if (element) return element;
+    for (const candidate of [text, text.replace(/\s+/g, '')]) {
+      for (const pattern of patterns) {
+        const match = candidate.match(pattern.match);
+        const target = match && byId(pattern.replacementPattern.replace(/\$(\d+)/g, (_, i) => match[i]).replace(/^#/, ''));
+        if (target) return target;
+      }
+    }
+    return null;
+  };
+
+  // The end of a range, written in full or as the levels that differ from its start ("K12–15")
+  const lookupEnd = (start, citation) => {
+    const element = lookup(citation);
+    if (element) return element;
+    const tail = citation.trim().split(/[.-]/);
+    const reference = referenceOf(start);
+    if (!reference || tail.length > reference.values.length || !tail.every(value => /^[0-9A-Za-z]+$/.test(value))) return null;
+    return byId([reference.section, ...reference.values.slice(0, -tail.length), ...tail].join('-'));
+  };
+
+  const plainText = element => {
+    const copy = element.cloneNode(true);
+    for (const name of exclude) {
+      for (const excluded of Array.from(copy.getElementsByTagNameNS(TEI_NS, name))) excluded.remove();
+    }
+    return copy.textContent.replace(/\s+/g, ' ').trim();
+  };
+
+  const passageOf = (first, last = first) => {
+    const start = referenceOf(first);
+    const end = referenceOf(last);
+    const depth = start.values.length;
+    const parent = start.values.slice(0, -1).join('.');
+    const elements = [];
+    let inside = false;
+    for (const element of items.values()) {
+      if (element === start.item) inside = true;
+      if (!inside) continue;
+      const reference = referenceOf(element);
+      if (reference.item === element && reference.section === start.section &&
+        reference.values.length === depth && reference.values.slice(0, -1).join('.') === parent) {
+        elements.push(element);
+      }
+      if (element === end.item) break;
+    }
+    const startCitation = cite(start.item.getAttributeNS(XML_NS, 'id'));
+    let { citation, passage } = startCitation;
+    if (end.item !== start.item) {
+      const endCitation = cite(end.item.getAttributeNS(XML_NS, 'id'));
+      const differs = end.values.findIndex((value, i) => value !== start.values[i]);
+      citation = `${citation}–${end.values.slice(differs).join('.')}`;
+      passage = `${passage}-${endCitation.passage}`;
+    }
+    const serializer = new window.XMLSerializer();
+    return {
+      citation,
+      passage,
+      urn: urn && `${urn}:${passage}`,
+      ids: elements.map(element => element.getAttributeNS(XML_NS, 'id')),
+      text: elements.map(plainText).join('\n\n'),
+      xml: elements.map(element => serializer.serializeToString(element)).join('\n')
+    };
+  };
+
+  /**
+   * The passage a citation names, which may be written in Eastern Arabic digits
+   * @param {string} citation
+   * @returns {{ citation: string, passage: string, urn: string|null, ids: string[], text: string, xml: string }|null}
+   *   The citation in canonical forms, the xml:ids of the items cited, their
+   *   text and their TEI; null if the citation names no passage of the text
+   * @throws {RangeError} If a range ends before it starts, or its ends are not items of one level
+   */
+  function resolve(citation) {
+    const text = westernDigits(String(citation).trim());
+    const element = lookup(text);
+    if (element) return referenceOf(element) && passageOf(element);
+    for (const { index } of text.matchAll(/[–-]/g)) {
+      const first = lookup(text.slice(0, index));
+      const last = first && lookupEnd(first, text.slice(index + 1));
+      if (!last) continue;
+      const start = referenceOf(first);
+      const end = referenceOf(last);
+      if (!start || !end) return null;
+      if (start.section !== end.section || start.values.length !== end.values.length ||
+        start.values.slice(0, -1).join('.') !== end.values.slice(0, -1).join('.')) {
+        throw new RangeError(`${text}: a range must begin and end with items of one level`);
+      }
+      if (start.item.compareDocumentPosition(end.item) & start.item.DOCUMENT_POSITION_PRECEDING) {
+        throw new RangeError(`${text}: the range ends before it starts`);
+      }
+      return passageOf(start.item, end.item);
+    }
+    return null;
+  }
+
+  return { urn, resolve, cite };
+}
+
+export {
+  isCitable,
+  citationLevels,
+  citationPattern,
+  citationPatterns,
+  formatCitation,
+  readCitations
+};
@@ -0,0 +1,219 @@
+/**
+ * Comparison of two editions of a source: items aligned by xml:id, word-level
+ * differences, and their encoding as a TEI parallel-segmentation apparatus
+ */
+
+/**
+ * Beyond this many cells the word diff of a paragraph falls back to
+ * replacing its differing middle wholesale
+ */
+const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * Word-level differences between two texts
+ * @param {string} a Text of the first witness
+ * @param {string} b Text of the second witness
+ * @returns {Array<{ type: 'equal'|'change', a: string[], b: string[] }>}
+ *   Runs of words; in `equal` runs `a` and `b` are the same words
+ */
+function diffWords(a, b) {
+  const wordsA = a.split(/\s+/).filter(Boolean);
+  const wordsB = b.split(/\s+/).filter(Boolean);
+  let start = 0;
+  while (start < wordsA.length && start < wordsB.length && wordsA[start] === wordsB[start]) start++;
+  let endA = wordsA.length;
+  let endB = wordsB.length;
+  while (endA > start && endB > start && wordsA[endA - 1] === wordsB[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const runs = [];
+  const push = (type, x, y) => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) {
+      last.a.push(...x);
+      last.b.push(...y);
+    } else if (x.length || y.length) {
+      runs.push({ type, a: [...x], b: [...y] });
+    }
+  };
+  push('equal', wordsA.slice(0, start), wordsB.slice(0, start));
+
+  const midA = wordsA.slice(start, endA);
+  const midB = wordsB.slice(start, endB);
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    push('change', midA, midB);
+  } else {
+    // Longest common subsequence, filled from the end so it can be walked forwards
+    const width = midB.length + 1;
+    const lcs = new Uint32Array((midA.length + 1) * width);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i * width + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+      if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+        push('equal', [midA[i++]], [midB[j++]]);
+      } else if (j < midB.length && (i === midA.length || lcs[i * width + j + 1] >= lcs[(i + 1) * width + j])) {
+        push('change', [], [midB[j++]]);
+      } else {
+        push('change', [midA[i++]], []);
+      }
+    }
+  }
+
+  push('equal', wordsA.slice(endA), wordsB.slice(endB));
+  return runs;
+}
+
+/**
+ * Align the items of one section in two editions by xml:id. Items keep the
+ * order of the second edition; removed items follow the item they followed
+ * in the first.
+ * @param {Array<{ id: string, n: string, text: string }>} before Items of the first edition
+ * @param {Array<{ id: string, n: string, text: string }>} after Items of the second edition
+ * @returns {Array<{ id: string, n: string, status: 'unchanged'|'altered'|'added'|'removed', runs: object[] }>}
+ */
+function alignItems(before, after) {
+  const beforeIndex = new Map(before.map((item, i) => [item.id, i]));
+  const afterIds = new Set(after.map(item => item.id));
+  const aligned = [];
+  const removed = item => aligned.push({ id: item.id, n: item.n, status: 'removed', runs: diffWords(item.text, '') });
+  let next = 0;
+  for (const item of after) {
+    const index = beforeIndex.get(item.id);
+    if (index === undefined) {
+      aligned.push({ id: item.id, n: item.n, status: 'added', runs: diffWords('', item.text) });
+      continue;
+    }
+    for (; next < index; next++) {
+      if (!afterIds.has(before[next].id)) removed(before[next]);
+    }
+    next = Math.max(next, index + 1);
+    const runs = diffWords(before[index].text, item.text);
+    const altered = runs.some(run => run.type === 'change');
+    aligned.push({ id: item.id, n: item.n, status: altered ? 'altered' : 'unchanged', runs });
+  }
+  for (; next < before.length; next++) {
+    if (!afterIds.has(before[next].id)) removed(before[next]);
+  }
+  return aligned;
+}
+
+/**
+ * Count the added, removed and altered items of each compared section
+ * @param {Array<{ label: string, items: object[] }>} comparison
+ * @returns {{ sections: Array<{ key: string, label: string, added: number, removed: number, altered: number }>, added: number, removed: number, altered: number }}
+ */
+function summarizeComparison(comparison) {
+  const count = (items, status) => items.filter(item => item.status === status).length;
+  const sections = comparison.map(({ key, label, items }) => ({
+    key,
+    label,
+    added: count(items, 'added'),
+    removed: count(items, 'removed'),
+    altered: count(items, 'altered')
+  }));
+  const total = field => sections.reduce((sum, section) => sum + section[field], 0);
+  return { sections, added: total('added'), removed: total('removed'), altered: total('altered') };
+}
+
+/**
+ * One difference with a few words of context on either side, marked up
+ * like wdiff: "ye dispute [-not-] {+never+} idly"
+ */
+function formatDifference(runs, index, context = 4) {
+  const previous = index > 0 ? runs[index - 1].b : [];
+  const next = index < runs.length - 1 ? runs[index + 1].b : [];
+  const { a, b } = runs[index];
+  return [
+    previous.length > context ? '…' : '',
+    ...previous.slice(-context),
+    a.length ? `[-${a.join(' ')}-]` : '',
+    b.length ? `{+${b.join(' ')}+}` : '',
+    ...next.slice(0, context),
+    next.length > context ? '…' : ''
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Human-readable report of a comparison: counts per section, then each
+ * changed item with its differing words
+ * @param {Array<{ label: string, items: object[] }>} comparison
+ * @param {Array<{ id: string, description: string }>} witnesses The two editions
+ * @returns {string}
+ */
+function formatComparisonReport(comparison, witnesses) {
+  const summary = summarizeComparison(comparison);
+  const [a, b] = witnesses;
+  const lines = [
+    `Comparing ${a.id}: ${a.description}`,
+    `     with ${b.id}: ${b.description}`,
+    '',
+    `Words only in ${a.id} are shown [-like this-], words only in ${b.id} {+like this+}.`,
+    ''
+  ];
+  if (!summary.added && !summary.removed && !summary.altered) {
+    lines.push('No textual differences.');
+    return `${lines.join('\n')}\n`;
+  }
+  for (const section of summary.sections) {
+    if (!section.added && !section.removed && !section.altered) continue;
+    lines.push(`${section.label}: ${section.altered} altered, ${section.added} added, ${section.removed} removed`);
+  }
+  lines.push(`Total: ${summary.altered} altered, ${summary.added} added, ${summary.removed} removed`);
+  for (const { label, items } of comparison) {
+    const changed = items.filter(item => item.status !== 'unchanged');
+    if (!changed.length) continue;
+    lines.push('', `${label}:`);
+    for (const item of changed) {
+      if (item.status !== 'altered') {
+        lines.push(`  ${item.id} (n ${item.n}): ${item.status}`);
+        continue;
+      }
+      lines.push(`  ${item.id} (n ${item.n}): altered`);
+      item.runs.forEach((run, index) => {
+        if (run.type === 'change') lines.push(`    ${formatDifference(item.runs, index)}`);
+      });
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Content of one item in parallel segmentation: the common text, with an
+ * <app> of one <rdg> per witness wherever the editions differ
+ * @param {Function} el Element builder from elementBuilder()
+ * @param {object[]} runs Word runs from diffWords()
+ * @param {[string, string]} wits Pointers to the two witnesses, e.g. ['#A', '#B']
+ * @returns {Array<string|Element>}
+ */
+function apparatusContent(el, runs, wits) {
+  const content = [];
+  runs.forEach((run, i) => {
+    if (i > 0) content.push(' ');
+    if (run.type === 'equal') {
+      content.push(run.a.join(' '));
+    } else {
+      content.push(el('app', {}, [
+        el('rdg', { wit: wits[0] }, run.a.join(' ')),
+        el('rdg', { wit: wits[1] }, run.b.join(' '))
+      ]));
+    }
+  });
+  return content;
+}
+
+export {
+  diffWords,
+  alignItems,
+  summarizeComparison,
+  formatComparisonReport,
+  apparatusContent
+};
@@ -0,0 +1,140 @@
+/**
+ * Diagnostics collected while converting: every item skipped, heuristic
+ * applied, numbering irregularity and unresolved reference, with where in
+ * the source it happened
+ */
+
+/**
+ * Create a diagnostics collector
+ * @param {object} [options]
+ * @param {(node: Node) => { line: number, column: number }|null} [options.locate]
+ *   Source position of a node, when the parser recorded one
+ * @returns {{ entries: object[], info: Function, warn: Function, warnings: string[] }}
+ *   `info(code, message, context)` records a decision worth knowing about;
+ *   `warn(code, message, context)` records a likely problem. `context` may
+ *   give the source `node` and the xml:id of the output `item` concerned.
+ */
+function createDiagnostics({ locate = () => null } = {}) {
+  const entries = [];
+  const add = (level, code, message, { node = null, item = null } = {}) => {
+    entries.push({ level, code, message, item, location: node ? locateNode(node, locate) : null });
+  };
+  return {
+    entries,
+    info: (code, message, context) => add('info', code, message, context),
+    warn: (code, message, context) => add('warning', code, message, context),
+    get warnings() {
+      return entries.filter(entry => entry.level === 'warning').map(entry => entry.message);
+    }
+  };
+}
+
+/**
+ * The nearest element at or before an element in document order (an
+ * ancestor, or an anchor preceding it) that has an id
+ */
+function nearestId(element) {
+  const walker = element.ownerDocument.createTreeWalker(element.ownerDocument, 1 /* NodeFilter.SHOW_ELEMENT */);
+  walker.currentNode = element;
+  for (let node = element; node; node = walker.previousNode()) {
+    if (node.getAttribute && node.getAttribute('id')) return node.getAttribute('id');
+  }
+  return null;
+}
+
+/**
+ * Where a node is in the source: its line and column if known, and the id of
+ * the nearest element at or before it that has one
+ */
+function locateNode(node, locate) {
+  const element = node.nodeType === 1 ? node : node.parentElement;
+  let position = null;
+  try {
+    position = locate(node);
+  } catch {
+    // Nodes added while parsing have no source position
+  }
+  return {
+    id: element ? nearestId(element) : null,
+    line: position ? position.line : null,
+    column: position ? position.column : null
+  };
+}
+
+/**
+ * Describe a location as "line:column #id"
+ */
+function formatLocation(location) {
+  if (!location) return '';
+  return [
+    location.line !== null && `${location.line}:${location.column}`,
+    location.id && `#${location.id}`
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Count diagnostics by level and by code
+ */
+function summarizeDiagnostics(entries) {
+  const codes = {};
+  for (const { level, code } of entries) {
+    codes[code] ??= { level, count: 0 };
+    codes[code].count++;
+  }
+  return {
+    warnings: entries.filter(entry => entry.level === 'warning').length,
+    info: entries.filter(entry => entry.level === 'info').length,
+    codes
+  };
+}
+
+/**
+ * Diagnostics report as JSON
+ * @param {object[]} entries Collected diagnostics
+ * @param {object} [about]
+ * @param {string} [about.source] Name of the source
+ * @param {string} [about.profile] Id of the profile used
+ * @returns {string}
+ */
+function diagnosticsToJSON(entries, { source = null, profile = null } = {}) {
+  return `${JSON.stringify({ source, profile, summary: summarizeDiagnostics(entries), diagnostics: entries }, null, 2)}\n`;
+}
+
+/**
+ * Diagnostics report as Markdown: a summary by code, then a table of the
+ * warnings and one of the informational entries
+ * @param {object[]} entries Collected diagnostics
+ * @param {object} [about]
+ * @param {string} [about.source] Name of the source
+ * @param {string} [about.profile] Id of the profile used
+ * @returns {string}
+ */
+function diagnosticsToMarkdown(entries, { source = null, profile = null } = {}) {
+  const cell = text => String(text ?? '').replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+  const summary = summarizeDiagnostics(entries);
+  const lines = ['# Conversion diagnostics', ''];
+  if (source) lines.push(`- Source: \`${source}\``);
+  if (profile) lines.push(`- Profile: \`${profile}\``);
+  lines.push(`- ${summary.warnings} warning(s), ${summary.info} informational`, '');
+  if (!entries.length) return `${lines.join('\n')}\n`;
+
+  lines.push('| Code | Level | Count |', '| --- | --- | --- |');
+  for (const [code, { level, count }] of Object.entries(summary.codes)) lines.push(`| \`${code}\` | ${level} | ${count} |`);
+  for (const [level, title] of [['warning', 'Warnings'], ['info', 'Informational']]) {
+    const selected = entries.filter(entry => entry.level === level);
+    if (!selected.length) continue;
+    lines.push('', `## ${title}`, '', '| Code | Item | Source | Message |', '| --- | --- | --- | --- |');
+    for (const entry of selected) {
+      lines.push(`| \`${entry.code}\` | ${cell(entry.item)} | ${cell(formatLocation(entry.location))} | ${cell(entry.message)} |`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+export {
+  createDiagnostics,
+  formatLocation,
+  summarizeDiagnostics,
+  diagnosticsToJSON,
+  diagnosticsToMarkdown
+};
@@ -0,0 +1,447 @@
+/**
+ * EPUB 3 export of a converted text, for reading on e-readers, and a
+ * structural check of EPUB packages along the lines of epubcheck's.
+ *
+ * The package has a title page, a navigation document generated from the
+ * section heads, and a content document per section of the body and the
+ * back matter, rendered as the static site renders them (see site.js).
+ * Notes are EPUB footnotes, linked from their first call and back to it;
+ * the package metadata comes from the teiHeader.
+ */
+
+import { readFileSync } from 'fs';
+import { extname, posix } from 'path';
+import { JSDOM } from 'jsdom';
+import { TEI_NS, XML_NS, checkWellFormed, createXMLDocument, elementBuilder, indentXML, serializeXML } from './xml.js';
+import { INLINE_HTML, readPublication, teiRenderer, textOf } from './site.js';
+import { unzip, zip } from './zip.js';
+
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+const OPS_NS = 'http://www.idpf.org/2007/ops';
+const OPF_NS = 'http://www.idpf.org/2007/opf';
+const DC_NS = 'http://purl.org/dc/elements/1.1/';
+const XMLNS_NS = 'http://www.w3.org/2000/xmlns/';
+const CONTAINER_NS = 'urn:oasis:names:tc:opendocument:xmlns:container';
+
+const MIMETYPE = 'application/epub+zip';
+const STYLESHEET_URL = new URL('./epub-assets/style.css', import.meta.url);
+
+/**
+ * Directory of the package in the archive
+ */
+const PACKAGE_DIR = 'EPUB';
+
+/**
+ * Media types of the files a package holds, by extension
+ */
+const MEDIA_TYPES = {
+  '.xhtml': 'application/xhtml+xml',
+  '.css': 'text/css',
+  '.opf': 'application/oebps-package+xml'
+};
+
+/**
+ * The form of dcterms:modified
+ */
+const MODIFIED = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/;
+
+/**
+ * The forms of dates dc:date takes (W3CDTF)
+ */
+const W3CDTF = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2})?(Z|[+-]\d{2}:\d{2}))?)?)?$/;
+
+/**
+ * The first TEI element with a local name and, if given, a @type
+ */
+function teiElement(tei, name, type = null) {
+  return Array.from(tei.getElementsByTagNameNS(TEI_NS, name))
+    .find(element => type === null || element.getAttribute('type') === type) ?? null;
+}
+
+/**
+ * Write an XHTML content document
+ * @param {object} publication As read by readPublication()
+ * @param {string} title Title of the document
+ * @param {(el: Function) => any} content Children of its body
+ * @returns {string}
+ */
+function contentDocument({ lang, dir }, title, content) {
+  const { document } = new JSDOM(`<!DOCTYPE html><html xmlns="${XHTML_NS}" xmlns:epub="${OPS_NS}"><head/><body/></html>`,
+    { contentType: 'application/xhtml+xml' }).window;
+  const el = elementBuilder(document);
+  const html = document.documentElement;
+  if (lang) {
+    html.setAttribute('lang', lang);
+    html.setAttributeNS(XML_NS, 'xml:lang', lang);
+  }
+  if (dir) html.setAttribute('dir', dir);
+  html.replaceChildren(
+    el('head', {}, [
+      el('meta', { charset: 'UTF-8' }),
+      el('title', {}, title),
+      el('link', { rel: 'stylesheet', type: 'text/css', href: 'style.css' })
+    ]),
+    el('body', {}, content(el))
+  );
+  indentXML(html, { inline: INLINE_HTML });
+  return serializeXML(document);
+}
+
+/**
+ * The navigation document: the table of contents, each section with its
+ * headed divisions, and the landmarks of the book
+ */
+function navigationDocument(publication, { bodymatter }) {
+  const { sections, pageOf, exclude } = publication;
+  const headOf = div => Array.from(div.children).find(child => child.localName === 'head') ?? null;
+
+  // Divisions with a head and an xml:id, at any depth
+  const entries = (el, div) => {
+    const divisions = Array.from(div.children)
+      .filter(child => child.localName === 'div' && headOf(child) && child.hasAttributeNS(XML_NS, 'id'))
+      .map(child => {
+        const id = child.getAttributeNS(XML_NS, 'id');
+        return el('li', {}, [el('a', { href: `${pageOf.get(id)}#${id}` }, textOf(headOf(child), exclude)), entries(el, child)]);
+      });
+    return divisions.length ? el('ol', {}, divisions) : null;
+  };
+
+  return contentDocument(publication, 'Contents', el => [
+    el('nav', { 'epub:type': 'toc', id: 'toc' }, [
+      el('h1', {}, 'Contents'),
+      el('ol', {}, sections.map(({ div, path, title }) => el('li', {}, [el('a', { href: path }, title), entries(el, div)])))
+    ]),
+    el('nav', { 'epub:type': 'landmarks', hidden: 'hidden' }, [
+      el('h2', {}, 'Landmarks'),
+      el('ol', {}, [
+        el('li', {}, el('a', { 'epub:type': 'titlepage', href: 'title.xhtml' }, 'Title page')),
+        el('li', {}, el('a', { 'epub:type': 'toc', href: 'nav.xhtml#toc' }, 'Contents')),
+        bodymatter && el('li', {}, el('a', { 'epub:type': 'bodymatter', href: bodymatter.path }, bodymatter.title))
+      ])
+    ])
+  ]);
+}
+
+/**
+ * The package document: the metadata of the book from the teiHeader, its
+ * files and their reading order
+ * @param {object} publication As read by readPublication()
+ * @param {object} metadata
+ * @param {Array<{ id: string, path: string, properties?: string, linear?: boolean }>} items
+ *   Files of the package, those with `linear` being read in the order given
+ * @returns {string}
+ */
+function packageDocument({ lang, dir }, metadata, items) {
+  const opf = createXMLDocument(OPF_NS, 'package');
+  const el = elementBuilder(opf);
+  const dc = (name, attrs, text) => {
+    const element = opf.createElementNS(DC_NS, `dc:${name}`);
+    for (const [key, value] of Object.entries(attrs)) element.setAttribute(key, value);
+    element.textContent = text;
+    return element;
+  };
+
+  const root = opf.documentElement;
+  root.setAttribute('version', '3.0');
+  root.setAttribute('unique-identifier', 'book-id');
+  root.setAttributeNS(XML_NS, 'xml:lang', lang ?? 'und');
+  if (dir) root.setAttribute('dir', dir);
+
+  const meta = el('metadata', {}, [
+    dc('identifier', { id: 'book-id' }, metadata.identifier),
+    dc('title', {}, metadata.title),
+    dc('language', {}, lang ?? 'und'),
+    metadata.creator && dc('creator', { id: 'creator' }, metadata.creator),
+    metadata.contributors.flatMap(({ name, role }, i) => [
+      dc('contributor', { id: `contributor-${i + 1}` }, name),
+      role && el('meta', { refines: `#contributor-${i + 1}`, property: 'role', scheme: 'marc:relators' }, role)
+    ]),
+    metadata.publisher && dc('publisher', {}, metadata.publisher),
+    metadata.date && dc('date', {}, metadata.date),
+    metadata.rights && dc('rights', {}, metadata.rights),
+    el('meta', { property: 'dcterms:modified' }, metadata.modified)
+  ]);
+  meta.setAttributeNS(XMLNS_NS, 'xmlns:dc', DC_NS);
+
+  root.append(
+    meta,
+    el('manifest', {}, items.map(({ id, path, properties }) =>
+      el('item', { id, href: path, 'media-type': MEDIA_TYPES[extname(path)], properties }))),
+    el('spine', { 'page-progression-direction': dir }, items.filter(item => item.linear).map(({ id }) => el('itemref', { idref: id })))
+  );
+  indentXML(root);
+  return serializeXML(opf);
+}
+
+/**
+ * The metadata of a book from the teiHeader of its text
+ * @param {object} publication As read by readPublication()
+ * @returns {{ identifier: string, title: string, creator: string|null, contributors: object[],
+ *   publisher: string|null, date: string|null, rights: string|null, modified: string }}
+ */
+function bookMetadata({ tei, title, author, publisher, date, modified, exclude }) {
+  const urn = teiElement(tei, 'idno', 'URN');
+  const documentId = teiElement(tei, 'idno', 'document-id');
+  const licence = teiElement(tei, 'licence');
+  const titleStmt = teiElement(tei, 'titleStmt');
+  const contributors = titleStmt
+    ? Array.from(titleStmt.getElementsByTagNameNS(TEI_NS, 'respStmt'), respStmt => {
+      const resp = teiElement(respStmt, 'resp');
+      const name = Array.from(respStmt.children).find(child => child !== resp);
+      return {
+        name: name ? textOf(name, exclude) : '',
+        // MARC relator of translators; other responsibilities have none
+        role: resp && /translat/i.test(resp.textContent) ? 'trl' : null
+      };
+    }).filter(({ name }) => name)
+    : [];
+  return {
+    identifier: (urn ?? documentId)?.textContent.trim() || title,
+    title,
+    creator: author,
+    contributors,
+    publisher,
+    date: date && W3CDTF.test(date) ? date : null,
+    rights: licence ? textOf(licence, exclude) || licence.getAttribute('target') : null,
+    // Reading systems tell versions of a book apart by this date
+    modified: /^\d{4}-\d{2}-\d{2}$/.test(modified ?? '')
+      ? `${modified}T00:00:00Z`
+      : new Date().toISOString().replace(/\.\d+Z$/, 'Z')
+  };
+}
+
+/**
+ * Export a converted text as an EPUB 3 package
+ * @param {string} xml TEI written by the converter
+ * @param {object} [options]
+ * @param {Set<string>} [options.exclude] Local names of elements left out of the text
+ * @returns {{ content: Buffer, chapters: Array<{ path: string, title: string, items: number }>, footnotes: number, metadata: object }}
+ *   The EPUB; its content documents, one per section; the number of notes; and its metadata
+ * @throws {Error} If the XML cannot be parsed or has no TEI <text>
+ */
+function exportEpub(xml, { exclude = new Set() } = {}) {
+  const publication = { ...readPublication(xml, { exclude, extension: '.xhtml', reserved: ['title', 'nav'] }), exclude };
+  const { sections, title, author, publisher, date } = publication;
+  const metadata = bookMetadata(publication);
+  const bodymatter = sections.find(({ div }) => div.getAttribute('type') === 'main-text') ?? sections[0];
+
+  const titlePage = contentDocument(publication, title, el => el('section', { 'epub:type': 'titlepage', class: 'title-page' }, [
+    el('h1', {}, title),
+    author && el('div', { class: 'author' }, author),
+    metadata.contributors.map(({ name, role }) => el('div', { class: 'contributor' }, role === 'trl' ? `Translated by ${name}` : name)),
+    (publisher || date) && el('div', { class: 'publication' }, [publisher, date].filter(Boolean).join(' • ')),
+    metadata.rights && el('div', { class: 'rights' }, metadata.rights)
+  ]));
+  const chapters = sections.map(section => {
+    const render = teiRenderer({ ...publication, path: section.path, footnotes: true });
+    return { section, content: contentDocument(publication, section.title, el => render.section(el, section.div)) };
+  });
+
+  const items = [
+    { id: 'title-page', path: 'title.xhtml', content: titlePage, linear: true },
+    { id: 'nav', path: 'nav.xhtml', content: navigationDocument(publication, { bodymatter }), properties: 'nav', linear: true },
+    ...chapters.map(({ section, content }) => ({
+      id: `section-${posix.basename(section.path, '.xhtml')}`,
+      path: section.path,
+      content,
+      linear: true
+    })),
+    { id: 'style', path: 'style.css', content: readFileSync(STYLESHEET_URL, 'utf-8') }
+  ];
+  const opf = packageDocument(publication, metadata, items);
+  const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container xmlns="${CONTAINER_NS}" version="1.0">
+  <rootfiles>
+    <rootfile full-path="${PACKAGE_DIR}/package.opf" media-type="${MEDIA_TYPES['.opf']}"/>
+  </rootfiles>
+</container>
+`;
+
+  const content = zip([
+    // Reading systems recognize an EPUB by its first file, stored uncompressed
+    { path: 'mimetype', content: MIMETYPE, store: true },
+    { path: 'META-INF/container.xml', content: container },
+    { path: `${PACKAGE_DIR}/package.opf`, content: opf },
+    ...items.map(({ path, content: file }) => ({ path: `${PACKAGE_DIR}/${path}`, content: file }))
+  ], { date: new Date(metadata.modified) });
+
+  return {
+    content,
+    chapters: sections.map(({ path, title: chapterTitle, items: count }) => ({ path, title: chapterTitle, items: count })),
+    footnotes: sections.reduce((count, { div }) => count + div.getElementsByTagNameNS(TEI_NS, 'note').length, 0),
+    metadata
+  };
+}
+
+/**
+ * Parse an XML file of a package, recording why if it cannot be parsed
+ * @returns {Document|null}
+ */
+function parseXML(content, path, errors, contentType = 'application/xml') {
+  try {
+    checkWellFormed(content);
+    return new JSDOM(content, { contentType }).window.document;
+  } catch (error) {
+    errors.push(`${path}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Check the structure of an EPUB 3 package, as epubcheck does, short of
+ * validating its documents against their schemas: the archive and its
+ * mimetype file, the container, the package document's metadata, manifest
+ * and spine, the navigation document, and that every content document is
+ * well-formed XHTML whose links and footnote references all resolve
+ * @param {Buffer} buffer The EPUB
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function checkEpub(buffer) {
+  const errors = [];
+  const result = () => ({ valid: errors.length === 0, errors });
+
+  let entries;
+  try {
+    entries = unzip(buffer);
+  } catch (error) {
+    errors.push(error.message);
+    return result();
+  }
+  const files = new Map(entries.map(entry => [entry.path, entry]));
+  const text = path => files.get(path).content.toString('utf-8');
+
+  const first = entries.reduce((lowest, entry) => (!lowest || entry.offset < lowest.offset ? entry : lowest), null);
+  if (!first || first.path !== 'mimetype') {
+    errors.push('mimetype: must be the first file of the archive');
+  } else if (!first.stored || first.extra) {
+    errors.push('mimetype: must be stored uncompressed, without an extra field');
+  } else if (text('mimetype') !== MIMETYPE) {
+    errors.push(`mimetype: must contain "${MIMETYPE}"`);
+  }
+
+  if (!files.has('META-INF/container.xml')) {
+    errors.push('META-INF/container.xml: missing');
+    return result();
+  }
+  const container = parseXML(text('META-INF/container.xml'), 'META-INF/container.xml', errors);
+  const rootfile = container && Array.from(container.getElementsByTagNameNS(CONTAINER_NS, 'rootfile'))
+    .find(element => element.getAttribute('media-type') === MEDIA_TYPES['.opf']);
+  const opfPath = rootfile && rootfile.getAttribute('full-path');
+  if (!opfPath || !files.has(opfPath)) {
+    if (container) errors.push(`META-INF/container.xml: no package document${opfPath ? ` (${opfPath} is missing)` : ''}`);
+    return result();
+  }
+
+  const opf = parseXML(text(opfPath), opfPath, errors);
+  if (!opf) return result();
+  const root = opf.documentElement;
+  if (root.namespaceURI !== OPF_NS || root.localName !== 'package') errors.push(`${opfPath}: the root element must be an OPF <package>`);
+  if (root.getAttribute('version') !== '3.0') errors.push(`${opfPath}: version must be 3.0`);
+  const dcElements = name => Array.from(opf.getElementsByTagNameNS(DC_NS, name));
+  const uniqueId = root.getAttribute('unique-identifier');
+  const identifier = dcElements('identifier').find(element => element.getAttribute('id') === uniqueId);
+  if (!identifier || !identifier.textContent.trim()) errors.push(`${opfPath}: unique-identifier must name a non-empty <dc:identifier>`);
+  for (const name of ['title', 'language']) {
+    if (!dcElements(name).some(element => element.textContent.trim())) errors.push(`${opfPath}: <dc:${name}> is required`);
+  }
+  const modified = Array.from(opf.getElementsByTagNameNS(OPF_NS, 'meta'))
+    .filter(element => element.getAttribute('property') === 'dcterms:modified');
+  if (modified.length !== 1 || !MODIFIED.test(modified[0].textContent.trim())) {
+    errors.push(`${opfPath}: exactly one dcterms:modified of the form CCYY-MM-DDThh:mm:ssZ is required`);
+  }
+  for (const element of dcElements('date')) {
+    if (!W3CDTF.test(element.textContent.trim())) errors.push(`${opfPath}: <dc:date> "${element.textContent.trim()}" is not a W3CDTF date`);
+  }
+
+  // The manifest: every file of the package, each listed once
+  const resolveIn = (from, href) => {
+    const url = new URL(href, `http://package.invalid/${from}`);
+    return url.host === 'package.invalid'
+      ? { path: decodeURIComponent(url.pathname.slice(1)), fragment: decodeURIComponent(url.hash.slice(1)) }
+      : null;
+  };
+  const manifest = new Map();
+  const listed = new Set();
+  for (const item of opf.getElementsByTagNameNS(OPF_NS, 'item')) {
+    const id = item.getAttribute('id');
+    const href = item.getAttribute('href') || '';
+    const path = resolveIn(opfPath, href)?.path;
+    if (manifest.has(id)) errors.push(`${opfPath}: item id "${id}" is used more than once`);
+    if (!path || !files.has(path)) errors.push(`${opfPath}: item "${id}" names a missing file (${href})`);
+    if (listed.has(path)) errors.push(`${opfPath}: ${href} is listed more than once`);
+    const mediaType = MEDIA_TYPES[extname(href)];
+    if (mediaType && item.getAttribute('media-type') !== mediaType) {
+      errors.push(`${opfPath}: ${href} must have media type ${mediaType}`);
+    }
+    manifest.set(id, { path, item });
+    listed.add(path);
+  }
+  for (const path of files.keys()) {
+    if (path !== 'mimetype' && !path.startsWith('META-INF/') && path !== opfPath && !listed.has(path)) {
+      errors.push(`${path}: not listed in the manifest`);
+    }
+  }
+  const navs = Array.from(manifest.values()).filter(({ item }) => (item.getAttribute('properties') || '').split(/\s+/).includes('nav'));
+  if (navs.length !== 1) errors.push(`${opfPath}: exactly one item must be the navigation document (properties="nav")`);
+
+  const itemrefs = Array.from(opf.getElementsByTagNameNS(OPF_NS, 'itemref'));
+  if (!itemrefs.length) errors.push(`${opfPath}: the spine is empty`);
+  for (const itemref of itemrefs) {
+    const entry = manifest.get(itemref.getAttribute('idref'));
+    if (!entry) errors.push(`${opfPath}: spine item "${itemref.getAttribute('idref')}" is not in the manifest`);
+    else if (entry.item.getAttribute('media-type') !== MEDIA_TYPES['.xhtml']) errors.push(`${opfPath}: spine item ${entry.path} is not XHTML`);
+  }
+
+  // Content documents: well-formed XHTML, with unique ids
+  const documents = new Map();
+  for (const { path, item } of manifest.values()) {
+    if (item.getAttribute('media-type') !== MEDIA_TYPES['.xhtml'] || !files.has(path)) continue;
+    const document = parseXML(text(path), path, errors, 'application/xhtml+xml');
+    if (!document) continue;
+    const html = document.documentElement;
+    if (html.namespaceURI !== XHTML_NS || html.localName !== 'html') errors.push(`${path}: the root element must be an XHTML <html>`);
+    if (!document.querySelector('head > title')) errors.push(`${path}: <title> is required`);
+    const ids = new Map();
+    for (const element of document.querySelectorAll('[id]')) {
+      if (ids.has(element.id)) errors.push(`${path}: id "${element.id}" is used more than once`);
+      ids.set(element.id, element);
+    }
+    documents.set(path, { document, ids });
+  }
+
+  const epubType = element => (element.getAttributeNS(OPS_NS, 'type') || '').split(/\s+/);
+  for (const { path } of navs) {
+    const nav = documents.get(path);
+    const toc = nav && Array.from(nav.document.querySelectorAll('nav')).find(element => epubType(element).includes('toc'));
+    if (nav && (!toc || !toc.querySelector('ol'))) errors.push(`${path}: the navigation document needs a <nav epub:type="toc"> with an <ol>`);
+  }
+
+  // Links, and footnote references, resolve
+  for (const [path, { document }] of documents) {
+    for (const element of document.querySelectorAll('a[href], link[href], img[src]')) {
+      const href = element.getAttribute('href') ?? element.getAttribute('src');
+      const target = resolveIn(path, href);
+      if (!target) continue;
+      if (!files.has(target.path)) {
+        errors.push(`${path}: link to a missing file (${href})`);
+      } else if (!listed.has(target.path)) {
+        errors.push(`${path}: link to a file not in the manifest (${href})`);
+      } else if (target.fragment) {
+        const targetElement = documents.get(target.path)?.ids.get(target.fragment);
+        if (documents.has(target.path) && !targetElement) {
+          errors.push(`${path}: link to a missing fragment (${href})`);
+        } else if (epubType(element).includes('noteref') && targetElement &&
+          !epubType(targetElement).some(type => ['footnote', 'endnote', 'rearnote'].includes(type))) {
+          errors.push(`${path}: note reference ${href} is not to a footnote`);
+        }
+      }
+    }
+  }
+  return result();
+}
+
+export {
+  MIMETYPE,
+  exportEpub,
+  checkEpub
+};
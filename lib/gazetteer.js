@@ -0,0 +1,207 @@
+/**
+ * Gazetteers: the people, places and terms whose occurrences the converter
+ * tags, described the way the back matter lists them.
+ *
+ * A gazetteer is a JSON file of `entries`, each with a `type` (person,
+ * place or term), an `id`, the `name` it is listed under, other `forms` it
+ * occurs in, and a descriptive `note` or, for terms, a `gloss`. Bundled
+ * gazetteers live in `gazetteers/`; see the README for the format.
+ */
+
+import { readFileSync, readdirSync } from 'fs';
+import { basename, extname } from 'path';
+import { WORD, hasDiacritics, regularize } from './transliteration.js';
+
+const GAZETTEERS_URL = new URL('../gazetteers/', import.meta.url);
+
+/**
+ * Entry types, with the element their occurrences are tagged with and the
+ * prefix of their entries' xml:ids
+ */
+const ENTITY_TYPES = {
+  person: { element: 'persName', prefix: 'person' },
+  place: { element: 'placeName', prefix: 'place' },
+  term: { element: 'term', prefix: 'term' }
+};
+
+/**
+ * Check a gazetteer and fill in defaults. Entry ids get the prefix of their
+ * type (`bahaullah` of a person becomes `person-bahaullah`), and the name is
+ * the first of the forms an entry is found by.
+ * @param {object} gazetteer Gazetteer as written
+ * @param {string} [source] Where the gazetteer came from, for error messages
+ * @returns {{ id: string|null, entries: object[] }}
+ * @throws {TypeError} If the gazetteer is malformed
+ */
+function normalizeGazetteer(gazetteer, source = 'gazetteer') {
+  if (!gazetteer || typeof gazetteer !== 'object' || !Array.isArray(gazetteer.entries)) {
+    throw new TypeError(`${source}: a gazetteer must be an object with an "entries" array`);
+  }
+  if (gazetteer.normalized) return gazetteer;
+  const ids = new Set();
+  const entries = gazetteer.entries.map((entry, i) => {
+    const where = `${source}: entries[${i}]`;
+    if (!entry || !(entry.type in ENTITY_TYPES)) {
+      throw new TypeError(`${where}: "type" must be one of ${Object.keys(ENTITY_TYPES).join(', ')}`);
+    }
+    if (typeof entry.id !== 'string' || !/^[\w.-]+$/.test(entry.id)) {
+      throw new TypeError(`${where}: "id" must be letters, digits, ".", "-" or "_"`);
+    }
+    if (typeof entry.name !== 'string' || !entry.name.trim()) throw new TypeError(`${where}: "name" is required`);
+    if (entry.forms !== undefined && (!Array.isArray(entry.forms) || entry.forms.some(form => typeof form !== 'string' || !form.trim()))) {
+      throw new TypeError(`${where}: "forms" must be an array of strings`);
+    }
+    const id = `${ENTITY_TYPES[entry.type].prefix}-${entry.id}`;
+    if (ids.has(id)) throw new TypeError(`${where}: duplicate ${entry.type} id "${entry.id}"`);
+    ids.add(id);
+    return {
+      type: entry.type,
+      id,
+      name: entry.name,
+      forms: [entry.name, ...(entry.forms ?? [])],
+      note: entry.note ?? null,
+      gloss: entry.gloss ?? null,
+      notes: []
+    };
+  });
+  return { id: gazetteer.id ?? null, entries, normalized: true };
+}
+
+/**
+ * Names of the bundled gazetteers
+ * @returns {string[]}
+ */
+function listGazetteers() {
+  return readdirSync(GAZETTEERS_URL)
+    .filter(file => extname(file) === '.json')
+    .map(file => basename(file, '.json'))
+    .sort();
+}
+
+/**
+ * A gazetteer given as a bundled gazetteer name or as a gazetteer object
+ * @param {string|object} gazetteer
+ * @returns {{ id: string|null, entries: object[] }} Normalized gazetteer
+ * @throws {TypeError} If there is no such bundled gazetteer, or it is malformed
+ */
+function getGazetteer(gazetteer) {
+  if (typeof gazetteer !== 'string') return normalizeGazetteer(gazetteer);
+  if (!listGazetteers().includes(gazetteer)) {
+    throw new TypeError(`Unknown gazetteer "${gazetteer}"; bundled gazetteers: ${listGazetteers().join(', ')}`);
+  }
+  const url = new URL(`${gazetteer}.json`, GAZETTEERS_URL);
+  return normalizeGazetteer(JSON.parse(readFileSync(url, 'utf-8')), `gazetteers/${gazetteer}.json`);
+}
+
+/**
+ * Text folded for matching names: diacritics dropped, ‘ayn, hamza and
+ * apostrophes all written `'`, hyphens `-` and spaces ` `. Each character
+ * folds to one of the same length, so offsets into the folded text are
+ * offsets into the original.
+ * @param {string} text
+ * @returns {string}
+ */
+function foldText(text) {
+  let folded = '';
+  for (const char of text) {
+    let fold = char.normalize('NFD').replace(/\p{M}/gu, '');
+    if (/[‘’ʼ]/.test(char)) fold = "'";
+    else if (/[\u2010\u2011]/.test(char)) fold = '-';
+    else if (/\s/.test(char)) fold = ' ';
+    folded += fold.length === char.length ? fold : char;
+  }
+  return folded;
+}
+
+/**
+ * A function finding the occurrences of entries in text. Forms match whole
+ * words, whatever their diacritics, and at each position the longest form
+ * wins; the first entry listing a form is the one it names.
+ * @param {object[]} entries Normalized entries
+ * @returns {(text: string) => Array<{ start: number, end: number, entry: object }>}
+ */
+function entityMatcher(entries) {
+  const byForm = new Map();
+  for (const entry of entries) {
+    for (const form of entry.forms) {
+      const key = foldText(form.trim());
+      if (!byForm.has(key)) byForm.set(key, entry);
+    }
+  }
+  if (!byForm.size) return () => [];
+  const alternatives = [...byForm.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(form => form.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{M}\\p{N}])`, 'gu');
+  return text => Array.from(foldText(text).matchAll(pattern), match => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    entry: byForm.get(match[0])
+  }));
+}
+
+/**
+ * The term a note explains, from the words of the text it quotes: the
+ * transliterated words of the quotation ("payment of Zakát" explains
+ * Zakát), else a quotation of capitalized words ("the Most Great Name").
+ * Longer quotations, elided ones and addresses ("O Land of Ṭá!") explain
+ * no single term.
+ * @param {string} lemma The text a note quotes
+ * @returns {string|null}
+ */
+function lemmaTerm(lemma) {
+  const text = lemma.replace(/\s+/g, ' ').trim().replace(/[.,;:!?]+$/, '');
+  if (!text || text.includes('…') || /^O /.test(text)) return null;
+  const words = text.replace(/^the /i, '').split(' ');
+  if (words.length > 4) return null;
+  const transliterated = Array.from(text.matchAll(WORD), match => match[0]).filter(hasDiacritics);
+  if (transliterated.length) return transliterated.join(' ');
+  const capitalized = words.length > 1 && words.every(word => word.length < 4 || /^\p{Lu}/u.test(word));
+  return capitalized ? words.join(' ') : null;
+}
+
+/**
+ * Entries with the notes that explain them. A note explains the entry its
+ * quotation names ("O King of Berlin!"), or else the entry named by its
+ * term (see lemmaTerm()); a term that names no entry becomes one.
+ * @param {object[]} entries Normalized entries
+ * @param {Array<{ id: string, n: string, lemma: string }>} notes Notes, with the text each quotes
+ * @returns {object[]} The entries (copied), followed by the notes' new terms
+ */
+function withNoteTerms(entries, notes) {
+  const result = entries.map(entry => ({ ...entry, notes: [...entry.notes] }));
+  const byForm = new Map();
+  for (const entry of result) {
+    for (const form of entry.forms) if (!byForm.has(foldText(form))) byForm.set(foldText(form), entry);
+  }
+  const ids = new Set(result.map(entry => entry.id));
+  for (const note of notes) {
+    if (!note.lemma) continue;
+    const quoted = note.lemma.replace(/\s+/g, ' ').trim().replace(/[.,;:!?]+$/, '').replace(/^(?:the|O) /i, '');
+    const name = lemmaTerm(note.lemma);
+    let entry = byForm.get(foldText(quoted)) ?? (name && byForm.get(foldText(name)));
+    if (!entry && !name) continue;
+    if (!entry) {
+      const base = `term-${regularize(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`;
+      let id = base;
+      for (let i = 2; ids.has(id); i++) id = `${base}-${i}`;
+      ids.add(id);
+      entry = { type: 'term', id, name, forms: [name], note: null, gloss: null, notes: [] };
+      result.push(entry);
+      byForm.set(foldText(name), entry);
+    }
+    entry.notes.push({ id: note.id, n: note.n });
+  }
+  return result;
+}
+
+export {
+  ENTITY_TYPES,
+  normalizeGazetteer,
+  listGazetteers,
+  getGazetteer,
+  foldText,
+  entityMatcher,
+  lemmaTerm,
+  withNoteTerms
+};
@@ -0,0 +1,115 @@
+/**
+ * The languages Reference Library editions are published in: their writing
+ * direction, their digits and the labels of their Questions and Answers.
+ * English is the fallback for a language not listed here; a profile's
+ * `labels` take precedence over both.
+ */
+
+/**
+ * Digits as a character class body: ASCII, Arabic-Indic (٠–٩) and the
+ * Extended Arabic-Indic digits of Persian and Urdu (۰–۹)
+ */
+const DIGITS = '0-9\\u0660-\\u0669\\u06F0-\\u06F9';
+
+/**
+ * Languages written right to left, by their primary subtag
+ */
+const RTL_LANGUAGES = new Set(['ar', 'ckb', 'dv', 'fa', 'he', 'ps', 'sd', 'ug', 'ur', 'yi']);
+
+/**
+ * Labels introducing a question and its answer, by primary subtag; the
+ * first of each is the one the language prefers
+ */
+const QA_LABELS = {
+  en: { question: ['Question'], answer: ['Answer'] },
+  ar: { question: ['سؤال', 'السؤال'], answer: ['جواب', 'الجواب'] },
+  fa: { question: ['سؤال', 'سوال', 'پرسش'], answer: ['جواب', 'پاسخ'] },
+  ur: { question: ['سوال', 'سؤال'], answer: ['جواب'] },
+  de: { question: ['Frage'], answer: ['Antwort'] },
+  es: { question: ['Pregunta'], answer: ['Respuesta'] },
+  fr: { question: ['Question'], answer: ['Réponse'] },
+  it: { question: ['Domanda'], answer: ['Risposta'] },
+  pt: { question: ['Pergunta'], answer: ['Resposta'] },
+  ru: { question: ['Вопрос'], answer: ['Ответ'] }
+};
+
+/**
+ * ISO 639-2 (terminology) codes of the languages above, by primary subtag,
+ * as CTS version identifiers begin with them ("eng1992")
+ */
+const LANGUAGE_CODES = {
+  ar: 'ara', ckb: 'ckb', de: 'deu', dv: 'div', en: 'eng', es: 'spa', fa: 'fas', fr: 'fra', he: 'heb',
+  it: 'ita', ps: 'pus', pt: 'por', ru: 'rus', sd: 'snd', ug: 'uig', ur: 'urd', yi: 'yid'
+};
+
+/**
+ * Primary subtag of a language tag, e.g. "fa" of "fa-IR"
+ * @param {string|null} [lang]
+ * @returns {string}
+ */
+function primaryLanguage(lang) {
+  return (lang || '').split(/[-_]/)[0].toLowerCase();
+}
+
+/**
+ * Three-letter code of a language tag, e.g. "fas" for "fa-IR"; a primary
+ * subtag not listed in LANGUAGE_CODES is returned as it is
+ * @param {string|null} [lang]
+ * @returns {string}
+ */
+function languageCode(lang) {
+  const primary = primaryLanguage(lang);
+  return LANGUAGE_CODES[primary] ?? primary;
+}
+
+/**
+ * Whether a language is written right to left
+ * @param {string|null} [lang] Language tag
+ * @returns {boolean}
+ */
+function isRightToLeft(lang) {
+  return RTL_LANGUAGES.has(primaryLanguage(lang));
+}
+
+/**
+ * Text with Arabic-Indic and Extended Arabic-Indic digits written as ASCII
+ * digits, e.g. "۱۲" → "12"
+ * @param {string} text
+ * @returns {string}
+ */
+function westernDigits(text) {
+  return text.replace(/[٠-٩۰-۹]/g, digit => {
+    const code = digit.charCodeAt(0);
+    return String(code - (code >= 0x06F0 ? 0x06F0 : 0x0660));
+  });
+}
+
+/**
+ * The conventions of an edition's language
+ * @param {string|null} [lang] Language tag
+ * @param {{ question?: string[], answer?: string[] }} [labels] Labels overriding the language's own
+ * @returns {{ lang: string|null, direction: 'ltr'|'rtl', labels: { question: string[], answer: string[] } }}
+ */
+function editionLanguage(lang, labels = {}) {
+  const defaults = QA_LABELS[primaryLanguage(lang)] ?? QA_LABELS.en;
+  return {
+    lang: lang || null,
+    direction: isRightToLeft(lang) ? 'rtl' : 'ltr',
+    labels: {
+      question: labels.question ?? defaults.question,
+      answer: labels.answer ?? defaults.answer
+    }
+  };
+}
+
+export {
+  DIGITS,
+  RTL_LANGUAGES,
+  QA_LABELS,
+  LANGUAGE_CODES,
+  primaryLanguage,
+  languageCode,
+  isRightToLeft,
+  westernDigits,
+  editionLanguage
+};
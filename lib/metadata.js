@@ -0,0 +1,111 @@
+/**
+ * Metadata for the TEI header: the profile's metadata, overridden by what the
+ * source document says about itself and by any user-supplied overrides
+ */
+
+import { languageCode, primaryLanguage } from './languages.js';
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+/**
+ * Parse a Reference Library date such as "17 June 2025  10:00 a.m. (GMT)"
+ * @param {string} text
+ * @returns {string|null} ISO 8601 date or UTC date-time, or null if unrecognized
+ */
+function parseSourceDate(text) {
+  const match = text.match(/^(\d{1,2})\s+([a-z]+)\s+(\d{4})(?:\s+(\d{1,2}):(\d{2})\s*([ap])\.?\s*m\.?)?/i);
+  if (!match) return null;
+  const [, day, monthName, year, hours, minutes, meridiem] = match;
+  const month = MONTHS.indexOf(monthName.toLowerCase());
+  if (month === -1) return null;
+  const pad = value => String(value).padStart(2, '0');
+  const date = `${year}-${pad(month + 1)}-${pad(day)}`;
+  if (!hours) return date;
+  const hour = (Number(hours) % 12) + (meridiem.toLowerCase() === 'p' ? 12 : 0);
+  return `${date}T${pad(hour)}:${minutes}:00Z`;
+}
+
+/**
+ * English name of a language tag, e.g. "English" for "en"
+ */
+function languageName(ident) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(ident);
+  } catch {
+    return ident;
+  }
+}
+
+/**
+ * Read the metadata a Reference Library download carries about itself: its
+ * `<title>`, `<html lang dir>` and the author, document-id, keywords,
+ * last-modified and description `<meta>` tags
+ * @param {Document} document Parsed source document
+ * @returns {object} Metadata fields found in the source; absent ones are omitted
+ */
+function extractMetadata(document) {
+  const meta = name => {
+    const element = document.querySelector(`meta[name="${name}"]`);
+    const content = element ? (element.getAttribute('content') || '').replace(/\s+/g, ' ').trim() : '';
+    return content || undefined;
+  };
+  const titleEl = document.querySelector('title');
+  const html = document.documentElement;
+  const lang = (html.getAttribute('lang') || html.getAttribute('xml:lang') || '').trim();
+  const dir = (html.getAttribute('dir') || '').trim().toLowerCase();
+  const keywords = meta('keywords');
+  const lastModified = meta('last-modified');
+
+  const metadata = {
+    title: titleEl ? titleEl.textContent.replace(/\s+/g, ' ').trim() || undefined : undefined,
+    author: meta('author'),
+    description: meta('description'),
+    documentId: meta('document-id'),
+    keywords: keywords ? keywords.split(keywords.includes(',') ? /\s*,\s*/ : /\s+/).filter(Boolean) : undefined,
+    lastModified: lastModified ? { text: lastModified, when: parseSourceDate(lastModified) } : undefined,
+    lang: lang || undefined,
+    dir: dir || undefined
+  };
+  return Object.fromEntries(Object.entries(metadata).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Merge metadata sources; later ones win field by field. Fields that are
+ * undefined or null leave the earlier value in place.
+ * @param {...object} sources e.g. profile metadata, source metadata, overrides
+ * @returns {object}
+ */
+function mergeMetadata(...sources) {
+  const merged = {};
+  for (const source of sources) {
+    for (const [key, value] of Object.entries(source || {})) {
+      if (value !== undefined && value !== null) merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * CTS URN of an edition. A `urn` of `{ work, versions }` names the work, and
+ * the edition is the version listed for its language or, failing that, the
+ * language's three-letter code: `{ work: "urn:cts:bahai:bahaullah.aqdas",
+ * versions: { en: "eng1992" } }` is `…aqdas.eng1992` in English and
+ * `…aqdas.fas` in Persian. A string is the edition's URN as it is.
+ * @param {string|{ work: string, versions?: object }|null} urn
+ * @param {string|null} [lang] Language of the edition
+ * @returns {string|null}
+ */
+function editionUrn(urn, lang) {
+  if (!urn || typeof urn === 'string') return urn || null;
+  const version = urn.versions?.[primaryLanguage(lang)] ?? languageCode(lang);
+  return version ? `${urn.work}.${version}` : urn.work;
+}
+
+export {
+  parseSourceDate,
+  languageName,
+  extractMetadata,
+  mergeMetadata,
+  editionUrn
+};
@@ -0,0 +1,163 @@
+/**
+ * The conversion pipeline: the stages a source goes through on its way to
+ * TEI, and the plugins that hook into them. The converter's own processing
+ * is a set of plugins too (see DEFAULT_PLUGINS in convert-to-tei.js); the
+ * plugins of a profile and those given to a conversion run after them.
+ *
+ * A plugin is an object with a `name` and a handler for any of the stages
+ * (a plugin named like an earlier one replaces it):
+ *
+ * - `load(source, context)`: the source markup, before it is parsed; returns
+ *   the markup to parse instead, or nothing to keep it
+ * - `preprocess(document, context)`: the parsed source, before sections are
+ *   read from it; `context.navigation` is the navigation list the sections
+ *   are read by (see the `navigation` default plugin)
+ * - `elements`: rules `{ selector, map(element, context) }` mapping source
+ *   elements that match a CSS selector to TEI content: an array of strings
+ *   and `{ name, attrs, children }` element objects, or one such object.
+ *   Rules of later plugins are tried first, and a plugin's own rules in the
+ *   order it gives them; a rule returning nothing leaves the element to the
+ *   next rule, and an element no rule maps is replaced by its content.
+ * - `sections(sections, context)`: the parsed sections; returns sections to
+ *   use instead, or nothing to keep them
+ * - `tree(text, context)`: the TEI `<text>` element, before the header is
+ *   generated from it
+ * - `serialize(xml, context)`: the serialized TEI; returns the XML to write
+ *   instead, or nothing to keep it
+ */
+
+import { isAbsolute, resolve } from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Stages of the pipeline, in the order a conversion goes through them
+ */
+const STAGES = ['load', 'preprocess', 'elements', 'sections', 'tree', 'serialize'];
+
+/**
+ * A selector naming only element types (e.g. "b, strong"), matched by tag
+ * name rather than by a selector engine
+ */
+const TAG_LIST = /^\s*[a-z][a-z0-9-]*(?:\s*,\s*[a-z][a-z0-9-]*)*\s*$/i;
+
+/**
+ * Check a plugin
+ * @param {object} plugin Plugin as written
+ * @param {string} [source] Where the plugin came from, for error messages
+ * @returns {object} Normalized plugin
+ * @throws {TypeError} If the plugin is malformed
+ */
+function normalizePlugin(plugin, source = 'plugin') {
+  if (typeof plugin === 'string') throw new TypeError(`${source}: plugin modules are loaded with loadPlugin() or loadProfile()`);
+  if (!plugin || typeof plugin !== 'object') throw new TypeError(`${source}: a plugin must be an object`);
+  if (plugin.normalized) return plugin;
+  const name = plugin.name ?? source;
+  if (typeof name !== 'string' || !name) throw new TypeError(`${source}: "name" must be a non-empty string`);
+  for (const key of Object.keys(plugin)) {
+    if (key !== 'name' && !STAGES.includes(key)) {
+      throw new TypeError(`${source}: unknown stage "${key}"; expected one of ${STAGES.join(', ')}`);
+    }
+  }
+  for (const stage of STAGES) {
+    if (stage !== 'elements' && plugin[stage] !== undefined && typeof plugin[stage] !== 'function') {
+      throw new TypeError(`${source}: "${stage}" must be a function`);
+    }
+  }
+  const elements = plugin.elements ?? [];
+  if (!Array.isArray(elements)) throw new TypeError(`${source}: "elements" must be an array of rules`);
+  return {
+    ...Object.fromEntries(STAGES.map(stage => [stage, plugin[stage] ?? null])),
+    name,
+    elements: elements.map((rule, i) => {
+      const where = `${source}: elements[${i}]`;
+      if (!rule || typeof rule.selector !== 'string' || !rule.selector.trim()) throw new TypeError(`${where}: "selector" is required`);
+      if (typeof rule.map !== 'function') throw new TypeError(`${where}: "map" must be a function`);
+      const tags = TAG_LIST.test(rule.selector) ? new Set(rule.selector.toLowerCase().split(',').map(tag => tag.trim())) : null;
+      return { selector: rule.selector, map: rule.map, tags, plugin: name };
+    }),
+    normalized: true
+  };
+}
+
+/**
+ * Load a plugin module: a path (relative to `base`) or a package name. Its
+ * default export is the plugin, else the module itself is.
+ * @param {string} specifier
+ * @param {string} [base] Directory relative paths are resolved against (default: the working directory)
+ * @returns {Promise<object>} Normalized plugin
+ */
+async function loadPlugin(specifier, base = process.cwd()) {
+  const path = specifier.startsWith('.') || isAbsolute(specifier);
+  const module = await import(path ? pathToFileURL(resolve(base, specifier)).href : specifier);
+  const { default: plugin = { ...module } } = module;
+  return normalizePlugin(plugin.name ? plugin : { name: specifier, ...plugin }, specifier);
+}
+
+/**
+ * Call a plugin's handler, naming the plugin and stage in what it throws
+ */
+function call(plugin, stage, handler, ...args) {
+  try {
+    return handler(...args);
+  } catch (error) {
+    throw new Error(`Plugin "${plugin}" failed at ${stage}: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * A pipeline running plugins' handlers in order. A plugin with the name of
+ * an earlier one replaces it, in its place, so that any of the converter's
+ * own plugins can be swapped for another or (with no handlers) left out.
+ * @param {object[]} plugins Plugins, in the order their handlers run
+ * @returns {{ plugins: object[], elements: object[], load: Function, preprocess: Function, mapElement: Function, sections: Function, tree: Function, serialize: Function }}
+ *   A function per stage taking the stage's value and context, and returning
+ *   the value handlers left (`preprocess` and `tree` handlers change the
+ *   document in place); `elements` are the element rules, in the order they
+ *   are tried
+ */
+function createPipeline(plugins) {
+  const named = new Map();
+  plugins.forEach((plugin, i) => {
+    const normalized = normalizePlugin(plugin, `plugins[${i}]`);
+    named.set(normalized.name, normalized);
+  });
+  plugins = [...named.values()];
+  const run = stage => (value, context) => {
+    for (const plugin of plugins) {
+      if (!plugin[stage]) continue;
+      const result = call(plugin.name, stage, plugin[stage], value, context);
+      if (result !== undefined && stage !== 'preprocess' && stage !== 'tree') value = result;
+    }
+    return value;
+  };
+  const elements = [...plugins].reverse().flatMap(plugin => plugin.elements);
+  return {
+    plugins,
+    elements,
+    load: run('load'),
+    preprocess: run('preprocess'),
+    /**
+     * TEI content of an element, from the first rule that maps it, or null
+     * if none does
+     */
+    mapElement(element, context) {
+      const tag = element.tagName.toLowerCase();
+      for (const rule of elements) {
+        if (rule.tags ? !rule.tags.has(tag) : !element.matches(rule.selector)) continue;
+        const result = call(rule.plugin, 'elements', rule.map, element, context);
+        if (result !== undefined && result !== null) return Array.isArray(result) ? result : [result];
+      }
+      return null;
+    },
+    sections: run('sections'),
+    tree: run('tree'),
+    serialize: run('serialize')
+  };
+}
+
+export {
+  STAGES,
+  normalizePlugin,
+  loadPlugin,
+  createPipeline
+};
@@ -0,0 +1,251 @@
+/**
+ * Document profiles: declarative descriptions of how one Bahá'í Reference
+ * Library book is split into sections, how each section is extracted and
+ * what goes into the TEI header.
+ *
+ * A profile is a JSON file or a JS module whose default export is the
+ * profile object. Bundled profiles live in `profiles/`; see the README for
+ * the format.
+ */
+
+import { readFileSync, readdirSync } from 'fs';
+import { basename, dirname, extname, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { normalizeGazetteer } from './gazetteer.js';
+import { loadPlugin, normalizePlugin } from './pipeline.js';
+
+const PROFILES_URL = new URL('../profiles/', import.meta.url);
+
+const DEFAULT_PROFILE = 'kitab-i-aqdas';
+
+/**
+ * Id of the profile a document no bundled profile matches is converted with
+ */
+const FALLBACK_PROFILE = 'generic';
+
+/**
+ * Extraction kinds, with the statistic unit reported for each
+ */
+const EXTRACT_KINDS = {
+  paragraphs: 'paragraphs',
+  questions: 'items',
+  outlines: 'outline entries',
+  notes: 'items',
+  glossary: 'entries',
+  keyTables: 'entries',
+  footnotes: 'entries'
+};
+
+/**
+ * Compile a profile pattern given as a string or RegExp (matched case-insensitively)
+ */
+function compilePattern(pattern, where) {
+  if (pattern === undefined || pattern === null) return null;
+  if (pattern instanceof RegExp) return pattern;
+  try {
+    return new RegExp(pattern, 'iu');
+  } catch (error) {
+    throw new TypeError(`${where}: invalid pattern ${JSON.stringify(pattern)} (${error.message})`);
+  }
+}
+
+/**
+ * Check a profile and fill in defaults. Patterns are compiled to RegExps.
+ * @param {object} profile Profile as written
+ * @param {string} [source] Where the profile came from, for error messages
+ * @returns {object} Normalized profile
+ * @throws {TypeError} If the profile is malformed
+ */
+function normalizeProfile(profile, source = 'profile') {
+  if (!profile || typeof profile !== 'object') throw new TypeError(`${source}: a profile must be an object`);
+  if (profile.normalized) return profile;
+  const id = profile.id;
+  if (typeof id !== 'string' || !id) throw new TypeError(`${source}: "id" is required`);
+  if (!Array.isArray(profile.sections) || !profile.sections.length) {
+    throw new TypeError(`${source}: "sections" must be a non-empty array`);
+  }
+
+  const keys = new Set();
+  const prefixes = new Set();
+  const templates = new Set();
+  const sections = profile.sections.map((section, i) => {
+    const where = `${source}: sections[${i}]`;
+    const { key, divType } = section;
+    if (typeof key !== 'string' || !key) throw new TypeError(`${where}: "key" is required`);
+    if (keys.has(key)) throw new TypeError(`${where}: duplicate key "${key}"`);
+    keys.add(key);
+    if (typeof divType !== 'string' || !divType) throw new TypeError(`${where}: "divType" is required`);
+    const extract = section.extract ?? 'paragraphs';
+    if (!(extract in EXTRACT_KINDS)) {
+      throw new TypeError(`${where}: unknown "extract" ${JSON.stringify(extract)}; expected one of ${Object.keys(EXTRACT_KINDS).join(', ')}`);
+    }
+    const idPrefix = section.idPrefix ?? key;
+    if (prefixes.has(idPrefix)) throw new TypeError(`${where}: duplicate idPrefix "${idPrefix}"`);
+    prefixes.add(idPrefix);
+    const cite = section.cite ?? null;
+    if (cite !== null && (typeof cite !== 'string' || cite.split('{n}').length !== 2)) {
+      throw new TypeError(`${where}: "cite" must be a string with one "{n}", e.g. "K{n}"`);
+    }
+    if (cite !== null && templates.has(cite)) throw new TypeError(`${where}: duplicate cite "${cite}"`);
+    templates.add(cite);
+    const numbering = section.numbering ?? 'sequential';
+    if (!['sequential', 'source'].includes(numbering)) {
+      throw new TypeError(`${where}: "numbering" must be "sequential" or "source"`);
+    }
+    return {
+      key,
+      label: section.label ?? section.head ?? key,
+      nav: compilePattern(section.nav, `${where}.nav`),
+      anchor: compilePattern(section.anchor, `${where}.anchor`),
+      selector: section.selector ?? null,
+      divType,
+      head: section.head ?? null,
+      idPrefix,
+      cite,
+      extract,
+      unit: EXTRACT_KINDS[extract],
+      paragraphSelector: section.paragraphSelector ?? 'p',
+      numbering,
+      stripLeadingNumber: Boolean(section.stripLeadingNumber),
+      skipInvocation: compilePattern(section.skipInvocation, `${where}.skipInvocation`),
+      minLength: section.minLength ?? 3
+    };
+  });
+
+  const { gazetteer = null } = profile;
+  if (gazetteer !== null && typeof gazetteer !== 'string' && typeof gazetteer !== 'object') {
+    throw new TypeError(`${source}: "gazetteer" must be a bundled gazetteer name or a gazetteer object`);
+  }
+
+  const labels = profile.labels ?? {};
+  for (const kind of ['question', 'answer']) {
+    const list = labels[kind];
+    if (list !== undefined && (!Array.isArray(list) || !list.length || list.some(label => typeof label !== 'string' || !label.trim()))) {
+      throw new TypeError(`${source}: "labels.${kind}" must be a non-empty array of strings`);
+    }
+  }
+
+  const urn = profile.metadata?.urn;
+  if (urn !== undefined && typeof urn !== 'string' &&
+      (typeof urn?.work !== 'string' || Object.values(urn.versions ?? {}).some(version => typeof version !== 'string'))) {
+    throw new TypeError(`${source}: "metadata.urn" must be a URN or { "work": URN, "versions": { language: version } }`);
+  }
+
+  const plugins = profile.plugins ?? [];
+  if (!Array.isArray(plugins)) throw new TypeError(`${source}: "plugins" must be an array`);
+
+  const match = profile.match || {};
+  return {
+    id,
+    description: profile.description ?? '',
+    match: {
+      documentId: match.documentId ?? null,
+      title: compilePattern(match.title, `${source}: match.title`)
+    },
+    metadata: { ...profile.metadata },
+    labels: { ...labels },
+    gazetteer: gazetteer && typeof gazetteer === 'object' ? normalizeGazetteer(gazetteer, `${source}: gazetteer`) : gazetteer,
+    plugins: plugins.map((plugin, i) => normalizePlugin(plugin, `${source}: plugins[${i}]`)),
+    sections,
+    normalized: true
+  };
+}
+
+/**
+ * Names of the bundled profiles
+ * @returns {string[]}
+ */
+function listProfiles() {
+  return readdirSync(PROFILES_URL)
+    .filter(file => extname(file) === '.json')
+    .map(file => basename(file, '.json'))
+    .sort();
+}
+
+/**
+ * Load a bundled profile by name
+ * @param {string} name
+ * @returns {object} Normalized profile
+ */
+function getBundledProfile(name) {
+  if (!listProfiles().includes(name)) {
+    throw new TypeError(`Unknown profile "${name}"; bundled profiles: ${listProfiles().join(', ')}`);
+  }
+  const url = new URL(`${name}.json`, PROFILES_URL);
+  return normalizeProfile(JSON.parse(readFileSync(url, 'utf-8')), `profiles/${name}.json`);
+}
+
+/**
+ * The profile for a document no bundled profile matches: the sections of the
+ * default profile, without the metadata of its work, so that the header
+ * describes the document as the document describes itself
+ * @returns {object} Normalized profile
+ */
+function fallbackProfile() {
+  return {
+    ...getBundledProfile(DEFAULT_PROFILE),
+    id: FALLBACK_PROFILE,
+    description: `The sections of "${DEFAULT_PROFILE}", for documents no bundled profile matches`,
+    match: { documentId: null, title: null },
+    metadata: {}
+  };
+}
+
+/**
+ * Load the plugin modules a profile names, relative to the profile's file
+ */
+async function withPlugins(profile, path) {
+  if (!profile || !Array.isArray(profile.plugins)) return profile;
+  const base = dirname(resolve(path));
+  const plugins = await Promise.all(profile.plugins.map(plugin => (typeof plugin === 'string' ? loadPlugin(plugin, base) : plugin)));
+  return { ...profile, plugins };
+}
+
+/**
+ * Load a profile given as a bundled profile name or as the path of a JSON
+ * file or JS module. Plugins the profile names by module path are loaded
+ * relative to it.
+ * @param {string} nameOrPath
+ * @returns {Promise<object>} Normalized profile
+ */
+async function loadProfile(nameOrPath) {
+  const ext = extname(nameOrPath);
+  if (!ext) return getBundledProfile(nameOrPath);
+  if (ext === '.json') {
+    return normalizeProfile(await withPlugins(JSON.parse(readFileSync(nameOrPath, 'utf-8')), nameOrPath), nameOrPath);
+  }
+  if (['.js', '.mjs'].includes(ext)) {
+    const module = await import(pathToFileURL(resolve(nameOrPath)).href);
+    return normalizeProfile(await withPlugins(module.default, nameOrPath), nameOrPath);
+  }
+  throw new TypeError(`${nameOrPath}: profiles must be .json, .js or .mjs files`);
+}
+
+/**
+ * Pick the bundled profile matching a source document by its
+ * `<meta name="document-id">` or its `<title>`
+ * @param {Document} document
+ * @returns {object|null} Normalized profile, or null if none matches
+ */
+function detectProfile(document) {
+  const meta = document.querySelector('meta[name="document-id"]');
+  const documentId = meta ? (meta.getAttribute('content') || '').trim() : '';
+  const titleEl = document.querySelector('title');
+  const title = titleEl ? titleEl.textContent.trim() : '';
+  const profiles = listProfiles().map(getBundledProfile);
+  return profiles.find(profile => documentId && profile.match.documentId === documentId) ||
+    profiles.find(profile => title && profile.match.title && profile.match.title.test(title)) ||
+    null;
+}
+
+export {
+  DEFAULT_PROFILE,
+  FALLBACK_PROFILE,
+  EXTRACT_KINDS,
+  normalizeProfile,
+  listProfiles,
+  getBundledProfile,
+  fallbackProfile,
+  loadProfile,
+  detectProfile
+};
@@ -0,0 +1,416 @@
+/**
+ * Structured exports of parsed sections, for consumers that do not read
+ * TEI: records (one per paragraph, Q&A item, outline entry, glossary or key
+ * entry and note) as JSON or NDJSON, the whole text as Markdown, and
+ * citation-prefixed plain text.
+ *
+ * Extracted content is an array of strings and `{ name, attrs, children }`
+ * TEI element objects (see extractTextWithFormatting()). A record flattens it
+ * into formatted runs, whose texts joined are the record's plain text, and
+ * the references it makes (note calls, cross-references, names), each at an
+ * offset into that text.
+ */
+
+import { editionLanguage } from './languages.js';
+
+/**
+ * Reference types of the elements that refer to something, by local name
+ */
+const REFERENCE_TYPES = {
+  ref: 'ref',
+  persName: 'person',
+  placeName: 'place',
+  term: 'term'
+};
+
+/**
+ * `hi` renderings kept as run styles
+ */
+const STYLES = new Set(['italic', 'bold', 'underline', 'superscript', 'subscript', 'uppercase']);
+
+/**
+ * Text of extracted content, without regularized spellings
+ */
+function contentText(content) {
+  return content.map(node => (typeof node === 'string' ? node : node.name === 'reg' ? '' : contentText(node.children))).join('');
+}
+
+/**
+ * The runs and references of extracted content
+ * @param {Array<string|object>} content
+ * @returns {{ text: string, runs: object[], references: object[] }}
+ *   `runs` are `{ text, styles?, target?, reg? }`: the run's `hi` styles, the
+ *   target of the link or name it is part of, and the regularized spelling of
+ *   a transliterated word; `references` are `{ type, target, text, offset }`
+ */
+function contentRuns(content) {
+  const runs = [];
+  const references = [];
+  let offset = 0;
+
+  const same = (run, marks) => run.target === marks.target && run.reg === marks.reg &&
+    String(run.styles ?? '') === String(marks.styles ?? '');
+  const push = (text, marks) => {
+    if (!text) return;
+    const last = runs[runs.length - 1];
+    if (last && same(last, marks)) last.text += text;
+    else runs.push({ text, ...marks });
+    offset += text.length;
+  };
+  const walk = (nodes, marks) => {
+    for (const node of nodes) {
+      if (typeof node === 'string') {
+        push(node, marks);
+        continue;
+      }
+      const { name, attrs = {}, children = [] } = node;
+      switch (name) {
+        case 'hi': {
+          const styles = (attrs.rend || '').split(/\s+/).filter(style => STYLES.has(style));
+          walk(children, styles.length ? { ...marks, styles: [...new Set([...(marks.styles ?? []), ...styles])] } : marks);
+          break;
+        }
+        case 'choice': {
+          const orig = children.find(child => child.name === 'orig');
+          const reg = children.find(child => child.name === 'reg');
+          walk(orig ? orig.children : children, reg ? { ...marks, reg: contentText(reg.children) } : marks);
+          break;
+        }
+        case 'ptr':
+          if (attrs.type === 'noteAnchor') references.push({ type: 'note', target: attrs.target, text: String(attrs.n ?? ''), offset });
+          break;
+        case 'lb':
+          push('\n', marks);
+          break;
+        // Rows of a table on lines of their own, cells separated by tabs
+        case 'row':
+          if (offset > 0) push('\n', {});
+          children.forEach((cell, i) => {
+            if (i > 0) push('\t', {});
+            walk([cell], marks);
+          });
+          break;
+        case 'p':
+        case 'l':
+          // Paragraphs of a note, lines of verse
+          if (offset > 0) push(name === 'p' ? '\n\n' : '\n', {});
+          walk(children, marks);
+          break;
+        default: {
+          const type = REFERENCE_TYPES[name];
+          const target = type && (attrs.target ?? attrs.ref);
+          if (target) {
+            references.push({ type, target, text: contentText(children), offset });
+            walk(children, { ...marks, target });
+          } else {
+            walk(children, marks);
+          }
+        }
+      }
+    }
+  };
+  walk(content, {});
+  return { text: runs.map(run => run.text).join(''), runs, references };
+}
+
+/**
+ * Join the runs of several blocks into one text, the blocks set apart by
+ * blank lines, with references moved to their offsets in it
+ * @param {Array<{ text: string, runs: object[], references: object[] }>} blocks
+ */
+function joinRuns(blocks) {
+  const joined = { text: '', runs: [], references: [] };
+  for (const block of blocks) {
+    if (joined.text) {
+      joined.text += '\n\n';
+      joined.runs.push({ text: '\n\n' });
+    }
+    const offset = joined.text.length;
+    joined.text += block.text;
+    joined.runs.push(...block.runs.map(run => ({ ...run })));
+    joined.references.push(...block.references.map(reference => ({ ...reference, offset: reference.offset + offset })));
+  }
+  return joined;
+}
+
+/**
+ * The records of parsed sections: one per paragraph, Q&A item, note, entry
+ * of a glossary or key, and outline and outline entry (each outline's
+ * entries following it in document order), in profile order
+ * @param {object} sections Sections as returned by parseDocument()
+ * @param {object} profile Normalized profile the sections were parsed with
+ * @returns {object[]} Records as described by schema/records.schema.json
+ */
+function sectionRecords(sections, profile) {
+  const records = [];
+  for (const section of profile.sections) {
+    const items = sections[section.key] || [];
+    const record = (kind, values, id, fields) => ({
+      kind,
+      section: section.divType,
+      n: String(values[values.length - 1]),
+      id,
+      citation: section.cite ? section.cite.replace('{n}', values.join('.')) : null,
+      passage: [section.idPrefix, ...values].join('.'),
+      ...fields
+    });
+    const note = (item, values) => {
+      const { text, runs, references } = contentRuns(item.content);
+      return record('note', values, item.id, {
+        text,
+        runs,
+        references,
+        lemma: item.lemma ?? undefined,
+        target: item.target ?? undefined
+      });
+    };
+
+    switch (section.extract) {
+      case 'paragraphs':
+        for (const item of items) {
+          const { text, runs, references } = contentRuns(item.content);
+          records.push(record('paragraph', [item.n], item.id, { text, runs, references, rendition: item.rendition?.length ? item.rendition : undefined }));
+        }
+        break;
+      case 'questions':
+        for (const qa of items) {
+          const parts = qa.parts.map(part => ({ type: part.type ?? null, ...joinRuns(part.paragraphs.map(contentRuns)) }));
+          const { text, runs, references } = joinRuns(parts);
+          records.push(record('qa', [qa.n], qa.id, {
+            text,
+            runs,
+            references,
+            parts: parts.map(part => ({ type: part.type, text: part.text, runs: part.runs }))
+          }));
+        }
+        break;
+      case 'outlines': {
+        const outline = (item, values, parent) => {
+          const { text, runs, references } = contentRuns(item.content);
+          records.push(record('outline', values, item.id, { text, runs, references, level: values.length - 1, parent }));
+          for (const entry of item.items || []) outline(entry, [...values, entry.n], item.id);
+        };
+        for (const item of items) outline(item, [item.n]);
+        break;
+      }
+      case 'glossary':
+      case 'keyTables':
+        for (const item of items) {
+          const { text, runs, references } = contentRuns(item.content);
+          const label = typeof item.label === 'string' ? item.label : contentText(item.label ?? []);
+          records.push(record('entry', [item.n], item.id, { text, runs, references, label: label || undefined }));
+        }
+        break;
+      case 'notes':
+        for (const item of items) records.push(note(item, [item.n]));
+        break;
+      case 'footnotes':
+        for (const group of items) {
+          for (const item of group.items) records.push(note(item, [group.n, item.n]));
+        }
+        break;
+    }
+  }
+  return records;
+}
+
+/**
+ * Escape text for Markdown: characters that would start formatting, and
+ * ampersands that would start a character reference
+ */
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_[\]<>]|&(?=#?\w+;)/g, '\\$&');
+}
+
+/**
+ * Wrap Markdown in delimiters, leaving surrounding whitespace outside them
+ * (emphasis must not begin or end with a space)
+ */
+function delimit(markdown, open, close = open) {
+  const [, before, inner, after] = markdown.match(/^(\s*)(.*?)(\s*)$/s);
+  return inner ? `${before}${open}${inner}${close}${after}` : markdown;
+}
+
+/**
+ * Markdown of extracted content: italics and bold as emphasis, other
+ * renderings as inline HTML, cross-references as links and note calls as
+ * superscript links to the notes; names are left as text
+ * @param {Array<string|object>} content
+ * @returns {string}
+ */
+function contentMarkdown(content) {
+  return content.map(node => {
+    if (typeof node === 'string') return escapeMarkdown(node);
+    const { name, attrs = {}, children = [] } = node;
+    const inner = () => contentMarkdown(children);
+    switch (name) {
+      case 'hi': {
+        const rend = (attrs.rend || '').split(/\s+/);
+        let markdown = inner();
+        if (rend.includes('italic')) markdown = delimit(markdown, '*');
+        if (rend.includes('bold')) markdown = delimit(markdown, '**');
+        if (rend.includes('underline')) markdown = delimit(markdown, '<u>', '</u>');
+        if (rend.includes('superscript')) markdown = delimit(markdown, '<sup>', '</sup>');
+        if (rend.includes('subscript')) markdown = delimit(markdown, '<sub>', '</sub>');
+        return markdown;
+      }
+      case 'choice': {
+        const orig = children.find(child => child.name === 'orig');
+        return orig ? contentMarkdown(orig.children) : inner();
+      }
+      case 'reg':
+        return '';
+      case 'ref':
+        return attrs.target ? `[${inner()}](${attrs.target.replace(/[()\s]/g, encodeURIComponent)})` : inner();
+      case 'ptr':
+        return attrs.type === 'noteAnchor' ? `<sup>[${escapeMarkdown(String(attrs.n ?? ''))}](${attrs.target})</sup>` : '';
+      // A hard line break
+      case 'lb':
+        return '\\\n';
+      case 'l':
+        return `${inner()}\\\n`;
+      // Rows of a table on lines of their own
+      case 'row':
+        return `\\\n${children.map(cell => contentMarkdown([cell])).join(' ')}`;
+      case 'p':
+        return `${inner()}\n\n`;
+      default:
+        return inner();
+    }
+  }).join('')
+    .replace(/(?:\\\n|\n\n)$/, '')
+    // Keep lines after a break from starting a heading, quotation or list
+    .replace(/\n([#>+-]|\d+(?=[.)]))/g, (_, marker) => (/\d/.test(marker) ? `\n${marker}\\` : `\n\\${marker}`));
+}
+
+/**
+ * Serialize parsed sections as Markdown: the title, then each section under
+ * its head with each item anchored by its xml:id
+ * @param {object} sections Sections as returned by parseDocument()
+ * @param {object} profile Normalized profile the sections were parsed with
+ * @param {object} [metadata] Header metadata (title, author, lang)
+ * @returns {string}
+ */
+function sectionsToMarkdown(sections, profile, metadata = {}) {
+  const { labels } = editionLanguage(metadata.lang ?? profile.metadata.lang ?? null, profile.labels);
+  const anchor = id => (id ? `<a id="${id}"></a>` : '');
+  // An item's Markdown after its number, unless its text begins with it
+  const numbered = item => {
+    const markdown = contentMarkdown(item.content);
+    return contentText(item.content).trimStart().startsWith(`${item.n}.`) ? markdown : `**${item.n}.** ${markdown}`;
+  };
+  const outline = (items, depth) => items.flatMap(item => [
+    `${'  '.repeat(depth)}- ${anchor(item.id)}**${item.n}.** ${contentMarkdown(item.content)}`,
+    ...outline(item.items || [], depth + 1)
+  ]);
+
+  const blocks = [`# ${escapeMarkdown(metadata.title ?? 'Untitled')}`];
+  if (metadata.author) blocks.push(delimit(escapeMarkdown(metadata.author), '*'));
+  for (const section of profile.sections) {
+    const items = sections[section.key] || [];
+    if (!items.length) continue;
+    blocks.push(`## ${escapeMarkdown(section.head ?? section.label)}`);
+    switch (section.extract) {
+      case 'questions':
+        for (const qa of items) {
+          const paragraphs = qa.parts.flatMap(part => part.paragraphs.map((paragraph, i) => {
+            const label = part.type && i === 0 ? `*${labels[part.type][0]}:* ` : '';
+            return `${label}${contentMarkdown(paragraph)}`;
+          }));
+          paragraphs[0] = `${anchor(qa.id)}**${qa.n}.** ${paragraphs[0] ?? ''}`.trimEnd();
+          blocks.push(...paragraphs);
+        }
+        break;
+      case 'outlines':
+        for (const item of items) {
+          if (item.content.length) blocks.push(`### ${anchor(item.id)}${contentMarkdown(item.content)}`);
+          blocks.push(outline(item.items || [], 0).join('\n'));
+        }
+        break;
+      case 'footnotes':
+        for (const group of items) {
+          if (group.content.length) blocks.push(`### ${anchor(group.id)}${contentMarkdown(group.content)}`);
+          for (const item of group.items) blocks.push(`${anchor(item.id)}${numbered(item)}`);
+        }
+        break;
+      case 'glossary':
+      case 'keyTables':
+        for (const item of items) {
+          const label = typeof item.label === 'string' ? escapeMarkdown(item.label) : contentMarkdown(item.label ?? []);
+          blocks.push(`${anchor(item.id)}${label ? `**${label}** ` : ''}${contentMarkdown(item.content)}`);
+        }
+        break;
+      case 'notes':
+        for (const item of items) blocks.push(`${anchor(item.id)}${numbered(item)}`);
+        break;
+      default:
+        for (const item of items) {
+          if (item.sectionBreak) blocks.push('* * *');
+          const markdown = `${anchor(item.id)}${numbered(item)}`;
+          blocks.push(item.quote ? markdown.replace(/^/gm, '> ') : markdown);
+        }
+    }
+  }
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Serialize records as plain text: the title, then each section's head and
+ * its records, each prefixed with its citation in brackets and set apart by
+ * a blank line. A Q&A item's question and answer are labelled, as is an
+ * entry of a glossary or key by its term or abbreviation.
+ * @param {object[]} records From sectionRecords()
+ * @param {object} profile Normalized profile the records were made with
+ * @param {object} [metadata] Header metadata (title, author, lang)
+ * @returns {string}
+ */
+function recordsToText(records, profile, metadata = {}) {
+  const { labels } = editionLanguage(metadata.lang ?? profile.metadata.lang ?? null, profile.labels);
+  const heads = new Map(profile.sections.map(section => [section.divType, section.head ?? section.label]));
+  const blocks = [[metadata.title ?? 'Untitled', metadata.author].filter(Boolean).join('\n')];
+  let section = null;
+  for (const record of records) {
+    if (record.section !== section) {
+      section = record.section;
+      blocks.push(heads.get(section) ?? section);
+    }
+    let text = record.parts
+      ? record.parts.map(part => (part.type ? `${labels[part.type][0]}: ${part.text}` : part.text)).join('\n')
+      : record.text.replace(/\n\n/g, '\n');
+    if (record.label) text = `${record.label}: ${text}`;
+    blocks.push(`[${record.citation ?? record.passage}] ${text}`);
+  }
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Serialize records as JSON: the document described by
+ * schema/records.schema.json, or NDJSON, a record per line
+ * @param {object[]} records From sectionRecords()
+ * @param {object} options
+ * @param {boolean} [options.ndjson] Write NDJSON
+ * @param {object} [options.metadata] Header metadata (title, lang, documentId)
+ * @param {string} [options.source] Name of the source
+ * @param {string} [options.profile] Id of the profile
+ * @returns {string}
+ */
+function recordsToJSON(records, { ndjson = false, metadata = {}, source = null, profile = null } = {}) {
+  if (ndjson) return records.map(record => `${JSON.stringify(record)}\n`).join('');
+  return `${JSON.stringify({
+    title: metadata.title ?? null,
+    lang: metadata.lang ?? null,
+    documentId: metadata.documentId ?? null,
+    source,
+    profile,
+    records
+  }, null, 2)}\n`;
+}
+
+export {
+  contentRuns,
+  sectionRecords,
+  contentMarkdown,
+  sectionsToMarkdown,
+  recordsToText,
+  recordsToJSON
+};
@@ -0,0 +1,152 @@
+/**
+ * The source's class-based styling: which of its classes make text italic,
+ * bold, centered and so on, read from the stylesheet embedded in the page,
+ * and the TEI <rendition> declarations those styles become
+ */
+
+/**
+ * Renditions the converter records, with the CSS each is declared as in the
+ * header's <tagsDecl>. `inline` ones are also encoded as <hi rend> on spans.
+ */
+const RENDITIONS = {
+  italic: { css: 'font-style: italic;', inline: true },
+  bold: { css: 'font-weight: bold;', inline: true },
+  uppercase: { css: 'text-transform: uppercase;', inline: true },
+  center: { css: 'text-align: center;', inline: false },
+  right: { css: 'text-align: right;', inline: false },
+  indent: { css: 'margin-inline-start: 2em;', inline: false },
+  rtl: { css: 'direction: rtl;', inline: false }
+};
+
+/**
+ * Properties of one side that a right-to-left page's rules set on the other
+ */
+const MIRRORED = {
+  'margin-left': 'margin-right',
+  'margin-right': 'margin-left',
+  'padding-left': 'padding-right',
+  'padding-right': 'padding-left'
+};
+
+/**
+ * The rendition a CSS declaration amounts to, if any
+ */
+function declarationRendition(property, value) {
+  value = value.replace(/!important$/, '').trim().toLowerCase();
+  switch (property) {
+    case 'font-style':
+      return value === 'italic' ? 'italic' : null;
+    case 'font-weight':
+      return value === 'bold' || Number(value) >= 700 ? 'bold' : null;
+    case 'text-transform':
+      return value === 'uppercase' ? 'uppercase' : null;
+    case 'text-align':
+      return ['center', 'right'].includes(value) ? value : null;
+    case 'padding-left':
+    case 'margin-left':
+      return parseFloat(value) > 0 ? 'indent' : null;
+    case 'direction':
+      return value === 'rtl' ? 'rtl' : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Read the styles of single-class selectors such as `.b .hb` or `.b p.cb` from
+ * CSS text. Selectors involving more than one class of the content are
+ * ignored, and so are the rules for right-to-left pages (`.pc`) on a
+ * left-to-right page and those for left-to-right ones (`.lc`) on a
+ * right-to-left page; there, indents are read from the right-hand margins.
+ * @param {string} css
+ * @param {object} [options]
+ * @param {boolean} [options.rightToLeft] Whether the page is written right to left
+ * @returns {Map<string, { renditions: Set<string>, block: boolean }>} Styles by class name
+ */
+function parseStyles(css, { rightToLeft = false } = {}) {
+  const styles = new Map();
+  const style = name => {
+    if (!styles.has(name)) styles.set(name, { renditions: new Set(), block: false });
+    return styles.get(name);
+  };
+  // Drop comments and unwrap @media blocks, whose rules apply to narrow screens only
+  const text = css.replace(/\/\*[\s\S]*?\*\//g, '').replace(/@media[^{]*\{((?:[^{}]*\{[^{}]*\})*)\s*\}/g, '');
+  for (const [, selectors, body] of text.matchAll(/([^{}@]+)\{([^{}]*)\}/g)) {
+    const classes = selectors.split(',')
+      .map(selector => selector.trim().match(/^(?:\.(lc|pc)\s+)?(?:\.b\s+)?[a-z0-9]*\.([\w-]+)$/i))
+      .filter(match => match && (!match[1] || (match[1] === 'pc') === rightToLeft))
+      .map(match => match[2]);
+    if (!classes.length) continue;
+    for (const declaration of body.split(';')) {
+      let [property, value] = declaration.split(':').map(part => part && part.trim().toLowerCase());
+      if (!property || !value) continue;
+      if (rightToLeft) property = MIRRORED[property] ?? property;
+      const rendition = declarationRendition(property, value);
+      for (const name of classes) {
+        if (rendition) style(name).renditions.add(rendition);
+        if (property === 'display' && value === 'block') style(name).block = true;
+      }
+    }
+  }
+  return styles;
+}
+
+const documentStyles = new WeakMap();
+
+/**
+ * Styles of a source document's classes, from its embedded stylesheets
+ * (parsed once per document)
+ * @param {Document} document
+ * @returns {Map<string, { renditions: Set<string>, block: boolean }>}
+ */
+function sourceStyles(document) {
+  if (!documentStyles.has(document)) {
+    const css = Array.from(document.querySelectorAll('style'), style => style.textContent).join('\n');
+    const root = document.documentElement;
+    const rightToLeft = (root.getAttribute('dir') || '').toLowerCase() === 'rtl' || root.classList.contains('pc');
+    documentStyles.set(document, parseStyles(css, { rightToLeft }));
+  }
+  return documentStyles.get(document);
+}
+
+/**
+ * Renditions an element's classes give it, in the order of RENDITIONS
+ * @param {Element} element Source element
+ * @param {object} [options]
+ * @param {boolean} [options.inline] Only the renditions encoded as <hi rend>
+ * @returns {string[]}
+ */
+function renditionsOf(element, { inline = false } = {}) {
+  const styles = sourceStyles(element.ownerDocument);
+  const found = new Set();
+  for (const name of element.classList) {
+    for (const rendition of styles.get(name)?.renditions ?? []) found.add(rendition);
+  }
+  return Object.keys(RENDITIONS).filter(name => found.has(name) && (!inline || RENDITIONS[name].inline));
+}
+
+/**
+ * Whether the source's styles display an element as a block of its own
+ */
+function isBlockStyled(element) {
+  const styles = sourceStyles(element.ownerDocument);
+  return Array.from(element.classList).some(name => styles.get(name)?.block);
+}
+
+/**
+ * Value of a @rendition attribute pointing at the declarations of renditions
+ * @param {string[]} [renditions]
+ * @returns {string|null} e.g. "#rend-italic #rend-indent", or null for none
+ */
+function renditionPointers(renditions) {
+  return renditions && renditions.length ? renditions.map(name => `#rend-${name}`).join(' ') : null;
+}
+
+export {
+  RENDITIONS,
+  parseStyles,
+  sourceStyles,
+  renditionsOf,
+  isBlockStyled,
+  renditionPointers
+};
@@ -0,0 +1,162 @@
+/**
+ * Reproducible conversion dates and the revision history kept in
+ * <revisionDesc> across re-conversions
+ */
+
+import { createHash } from 'crypto';
+import { JSDOM } from 'jsdom';
+import { TEI_NS, XML_NS } from './xml.js';
+
+/**
+ * SHA-256 of the source markup, recorded in the header
+ * @param {string} text
+ * @returns {string} Hex digest
+ */
+function hashSource(text) {
+  return createHash('sha256').update(text, 'utf-8').digest('hex');
+}
+
+/**
+ * The date a conversion is recorded under: the given date, else
+ * SOURCE_DATE_EPOCH (see https://reproducible-builds.org/specs/source-date-epoch/),
+ * else the source's last-modified date, else today
+ * @param {object} [options]
+ * @param {string|Date} [options.date] Explicit date
+ * @param {object} [options.env] Environment to read SOURCE_DATE_EPOCH from
+ * @param {string} [options.lastModified] ISO date or date-time from the source
+ * @returns {string} YYYY-MM-DD
+ * @throws {TypeError} If the date or SOURCE_DATE_EPOCH is not a valid date
+ */
+function buildDate({ date, env = process.env, lastModified } = {}) {
+  let value;
+  if (date) {
+    value = new Date(date);
+    if (Number.isNaN(value.getTime())) throw new TypeError(`Invalid date: ${date}`);
+  } else if (env.SOURCE_DATE_EPOCH) {
+    if (!/^\d+$/.test(env.SOURCE_DATE_EPOCH)) {
+      throw new TypeError(`SOURCE_DATE_EPOCH must be a number of seconds, not ${env.SOURCE_DATE_EPOCH}`);
+    }
+    value = new Date(Number(env.SOURCE_DATE_EPOCH) * 1000);
+  } else if (lastModified) {
+    value = new Date(lastModified);
+  }
+  if (!value || Number.isNaN(value.getTime())) value = new Date();
+  return value.toISOString().split('T')[0];
+}
+
+/**
+ * Text of an element, leaving out the text of descendants that have an
+ * xml:id of their own (they are compared as items in their own right).
+ * The boundaries of elements other than inline ones count as spaces, so that
+ * pretty-printing does not change the result; excluded elements, such as
+ * editorial regularizations, are left out.
+ */
+function ownText(element, inline, exclude) {
+  let text = '';
+  for (const child of element.childNodes) {
+    if (child.nodeType === child.TEXT_NODE) {
+      text += child.data;
+    } else if (child.nodeType === child.ELEMENT_NODE && !child.hasAttributeNS(XML_NS, 'id') && !exclude.has(child.localName)) {
+      text += inline.has(child.localName) ? ownText(child, inline, exclude) : ` ${ownText(child, inline, exclude)} `;
+    }
+  }
+  return text;
+}
+
+/**
+ * Items of a TEI text, for comparing one conversion with the next. Only the
+ * <body> is compared; back matter is generated from it.
+ * @param {Element} text <text> element
+ * @param {object} [options]
+ * @param {Set<string>} [options.inline] Local names of inline elements, which pretty-printing leaves alone
+ * @param {Set<string>} [options.exclude] Local names of elements whose text is not compared
+ * @returns {Map<string, string>} Text of each element with an xml:id, keyed by id
+ */
+function collectItems(text, { inline = new Set(), exclude = new Set() } = {}) {
+  const items = new Map();
+  const body = text.getElementsByTagNameNS(TEI_NS, 'body')[0] || text;
+  for (const element of body.getElementsByTagName('*')) {
+    const id = element.getAttributeNS(XML_NS, 'id');
+    if (id) items.set(id, ownText(element, inline, exclude).replace(/\s+/g, ' ').trim());
+  }
+  return items;
+}
+
+/**
+ * Read the parts of a previous output the next conversion carries forward
+ * @param {string} xml Previously written TEI
+ * @param {object} [options]
+ * @param {Set<string>} [options.inline] Local names of inline elements
+ * @param {Set<string>} [options.exclude] Local names of elements whose text is not compared
+ * @returns {{ items: Map<string, string>, changes: Array<{ when: string|null, text: string }> }}
+ * @throws {Error} If the XML cannot be parsed or is not TEI
+ */
+function readPrevious(xml, { inline = new Set(), exclude = new Set() } = {}) {
+  const { document } = new JSDOM(xml, { contentType: 'application/xml' }).window;
+  const text = document.getElementsByTagNameNS(TEI_NS, 'text')[0];
+  if (!text) throw new Error('no TEI <text> element');
+  const changes = [...document.getElementsByTagNameNS(TEI_NS, 'change')].map(change => ({
+    when: change.getAttribute('when'),
+    text: change.textContent.replace(/\s+/g, ' ').trim()
+  }));
+  return { items: collectItems(text, { inline, exclude }), changes };
+}
+
+/**
+ * Compare the items of two conversions
+ * @param {Map<string, string>} before
+ * @param {Map<string, string>} after
+ * @returns {{ added: string[], removed: string[], altered: string[] }} xml:ids
+ */
+function diffItems(before, after) {
+  const added = [...after.keys()].filter(id => !before.has(id));
+  const removed = [...before.keys()].filter(id => !after.has(id));
+  const altered = [...after.keys()].filter(id => before.has(id) && before.get(id) !== after.get(id));
+  return { added, removed, altered };
+}
+
+/**
+ * List ids compactly, folding runs such as par-3, par-4, par-5 into par-3–5
+ * @param {string[]} ids
+ * @returns {string}
+ */
+function formatIds(ids) {
+  const runs = [];
+  for (const id of ids) {
+    const [, prefix, number] = id.match(/^(.*?)(\d+)$/) || [null, id, null];
+    const last = runs[runs.length - 1];
+    if (number !== null && last && last.prefix === prefix && last.end + 1 === Number(number)) {
+      last.end++;
+    } else {
+      runs.push({ prefix, start: number === null ? null : Number(number), end: Number(number) });
+    }
+  }
+  return runs.map(({ prefix, start, end }) => {
+    if (start === null) return prefix;
+    return start === end ? `${prefix}${start}` : `${prefix}${start}–${end}`;
+  }).join(', ');
+}
+
+/**
+ * Describe the differences between two conversions for a <change> entry
+ * @param {{ added: string[], removed: string[], altered: string[] }} diff
+ * @returns {string|null} Description, or null if nothing changed
+ */
+function describeChanges({ added, removed, altered }) {
+  const parts = [
+    altered.length && `altered ${formatIds(altered)}`,
+    added.length && `added ${formatIds(added)}`,
+    removed.length && `removed ${formatIds(removed)}`
+  ].filter(Boolean);
+  return parts.length ? `Re-converted; ${parts.join('; ')}` : null;
+}
+
+export {
+  hashSource,
+  buildDate,
+  collectItems,
+  readPrevious,
+  diffItems,
+  formatIds,
+  describeChanges
+};
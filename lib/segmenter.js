@@ -0,0 +1,205 @@
+/**
+ * Single-pass segmentation of a source document. One depth-first walk finds
+ * both kinds of section boundary the converter knows:
+ *
+ * - legacy anchors (e.g. `<a name="par3">`), each opening an item that runs
+ *   to the next such anchor, whose content is gathered as the nodes between
+ *   them;
+ * - navigation targets (the `<a id>` headings a `nav.gc` links to), each
+ *   opening a range that runs to the next target, whose elements matching the
+ *   range's selector are gathered in document order.
+ *
+ * Nothing is walked twice: a range's elements and an item's nodes are
+ * assigned as the walk passes them, however many items and ranges there are.
+ */
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+
+/**
+ * A compound selector of a tag name and/or classes, e.g. "p", "div.dd", ".fc"
+ */
+const SIMPLE_SELECTOR = /^([a-z][a-z0-9-]*)?((?:\.[\w-]+)*)$/i;
+
+/**
+ * Compile a selector list to a predicate on elements. Lists of tag names and
+ * classes (all the bundled profile uses) are tested without the selector
+ * engine; other selectors fall back to `matches()`, an invalid one matching
+ * nothing.
+ * @param {string} selector
+ * @returns {(element: Element) => boolean}
+ */
+function compileSelector(selector) {
+  const parts = selector.split(',').map(part => part.trim().match(SIMPLE_SELECTOR));
+  if (parts.some(part => !part || (!part[1] && !part[2]))) {
+    return element => {
+      try {
+        return element.matches(selector);
+      } catch (_) {
+        return false;
+      }
+    };
+  }
+  const tests = parts.map(([, tag, classes]) => ({
+    tag: tag ? tag.toLowerCase() : null,
+    classes: classes.split('.').filter(Boolean)
+  }));
+  return element => tests.some(({ tag, classes }) =>
+    (!tag || element.localName === tag) && classes.every(name => element.classList.contains(name)));
+}
+
+/**
+ * The legacy anchor a name is, if any: the first section whose `anchor`
+ * pattern matches it, and the item number (the pattern's first group)
+ * @param {object} profile Normalized profile
+ * @returns {(name: string) => { section: object, n: string }|null}
+ */
+function legacyAnchor(profile) {
+  const patterned = profile.sections.filter(section => section.anchor);
+  return name => {
+    for (const section of patterned) {
+      const match = name.match(section.anchor);
+      if (match) return { section, n: match[1] ?? name };
+    }
+    return null;
+  };
+}
+
+/**
+ * The entries of a navigation list (nav.gc) in order, each with the profile
+ * section its label matches, if any
+ * @param {Element|null} nav
+ * @param {object} profile Normalized profile
+ * @returns {Array<{ id: string, label: string, link: Element, section?: object }>}
+ */
+function navigationEntries(nav, profile) {
+  if (!nav) return [];
+  return Array.from(nav.querySelectorAll('a[href^="#"]'), link => {
+    const label = link.textContent.trim();
+    return {
+      id: link.getAttribute('href').slice(1),
+      label,
+      link,
+      section: profile.sections.find(section => section.nav && section.nav.test(label))
+    };
+  });
+}
+
+/**
+ * The elements a section's extraction reads between its navigation target
+ * and the next
+ * @param {object} section Normalized profile section
+ * @returns {string} Selector list
+ */
+function sectionSelector(section) {
+  switch (section.extract) {
+    case 'notes': return 'div.dd';
+    case 'outlines': return 'ol';
+    case 'keyTables':
+    case 'glossary': return 'p, tr, dt, dd';
+    // Block elements tell which divs are paragraph-like
+    case 'questions': return 'p, li, div, table, ul, ol, section, article';
+    default: return `${section.paragraphSelector}, ul, ol, table, hr.fc`;
+  }
+}
+
+/**
+ * Walk a document once, splitting it at legacy anchors and navigation targets
+ * @param {Document} document
+ * @param {object} [options]
+ * @param {(name: string) => object|null} [options.anchor] Whether an element's
+ *   name (or id) is a legacy anchor; what it returns is kept on the item
+ * @param {Array<{ id: string, select: string|null }>} [options.targets] Navigation
+ *   targets in navigation order, each with the selector of the elements its
+ *   range gathers (null to gather none). A range runs from the first `<a>` with
+ *   the target's id to the first `<a>` with the next target's id, or to the end
+ *   of the document.
+ * @returns {{ items: object[], ranges: Array<{ start: Element|null, elements: Element[] }> }}
+ *   `items` are the legacy anchors in document order, each `{ name, el, nodes }`
+ *   plus what `anchor` returned, where `nodes` are the text nodes and whole
+ *   elements holding its content (an element is split only if an anchor is
+ *   within it; repeated names end the item before them but open none);
+ *   `ranges` follow `targets`, `start` being null for a target not found
+ */
+function segmentDocument(document, { anchor = () => null, targets = [] } = {}) {
+  const ranges = targets.map(({ select }) => ({
+    start: null,
+    elements: [],
+    matches: select ? compileSelector(select) : null
+  }));
+  // Target ids, with the ranges each one starts and ends
+  const boundaries = new Map();
+  const boundary = id => {
+    if (!boundaries.has(id)) boundaries.set(id, { starts: [], ends: [] });
+    return boundaries.get(id);
+  };
+  targets.forEach(({ id }, i) => {
+    boundary(id).starts.push(i);
+    if (i > 0) boundary(id).ends.push(i - 1);
+  });
+  const open = new Set();
+
+  const items = [];
+  const seen = new Set();
+  let current = null;
+
+  // Whether a legacy anchor is at or within the node
+  function visit(node) {
+    if (node.nodeType === TEXT_NODE) {
+      if (current) current.nodes.push(node);
+      return false;
+    }
+    if (node.nodeType !== ELEMENT_NODE) return false;
+
+    const id = node.localName === 'a' && node.getAttribute('id');
+    const bounds = id && boundaries.get(id);
+    if (bounds) {
+      // Only the first <a> with an id is a target
+      boundaries.delete(id);
+      for (const i of bounds.ends) open.delete(i);
+    }
+    for (const i of open) {
+      if (ranges[i].matches && ranges[i].matches(node)) ranges[i].elements.push(node);
+    }
+    if (bounds) {
+      for (const i of bounds.starts) {
+        ranges[i].start = node;
+        open.add(i);
+      }
+    }
+
+    const name = (node.getAttribute('name') || node.getAttribute('id') || '').trim();
+    const match = name ? anchor(name) : null;
+    if (match) {
+      current = seen.has(name) ? null : { name, el: node, ...match, nodes: [] };
+      seen.add(name);
+      if (current) items.push(current);
+    }
+    const owner = current;
+    const mark = owner ? owner.nodes.length : 0;
+    let anchored = Boolean(match);
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+      if (visit(child)) anchored = true;
+    }
+    // Without an anchor inside, the element's content is taken whole
+    if (!anchored && owner) {
+      owner.nodes.length = mark;
+      owner.nodes.push(node);
+    }
+    return anchored;
+  }
+
+  if (document.documentElement) visit(document.documentElement);
+  return {
+    items,
+    ranges: ranges.map(({ start, elements }) => ({ start, elements }))
+  };
+}
+
+export {
+  compileSelector,
+  legacyAnchor,
+  navigationEntries,
+  sectionSelector,
+  segmentDocument
+};
@@ -0,0 +1,115 @@
+/*
+ * Search page of the static site tei-convert render writes (see lib/site.js).
+ * Looks the words of the query (?q=) up in the index search-index.js sets as
+ * window.SEARCH_INDEX and lists the items that have all of them, each word
+ * matching the words it begins. Words are folded as the index folds them:
+ * diacritics, apostrophes and case are ignored.
+ */
+(function () {
+  'use strict';
+
+  var MAX_RESULTS = 100;
+  var CONTEXT = 80;
+  var WORD = /[\p{L}\p{N}]+(?:'[\p{L}\p{N}]+)*/gu;
+
+  // As foldText() in lib/gazetteer.js, lowercased: offsets into the folded
+  // text are offsets into the original
+  function fold(text) {
+    var folded = '';
+    for (var char of text) {
+      var f = char.normalize('NFD').replace(/\p{M}/gu, '');
+      if (/[‘’ʼ]/.test(char)) f = "'";
+      else if (/[\u2010\u2011]/.test(char)) f = '-';
+      else if (/\s/.test(char)) f = ' ';
+      f = f.toLowerCase();
+      folded += f.length === char.length ? f : char;
+    }
+    return folded;
+  }
+
+  // The words of a text, with where each is in it
+  function words(text) {
+    return Array.from(fold(text).matchAll(WORD), function (match) {
+      return { word: match[0].replace(/'/g, ''), start: match.index, end: match.index + match[0].length };
+    });
+  }
+
+  // The documents having a word that begins with `prefix`
+  function documentsWith(index, keys, prefix) {
+    var found = new Set();
+    keys.forEach(function (key) {
+      if (key.startsWith(prefix)) index.words[key].forEach(function (i) { found.add(i); });
+    });
+    return found;
+  }
+
+  // The text around the first word the query matches, with each match marked
+  function snippet(text, query) {
+    var marks = words(text).filter(function (w) {
+      return query.some(function (q) { return w.word.startsWith(q); });
+    });
+    var from = marks.length ? Math.max(0, marks[0].start - CONTEXT) : 0;
+    var to = Math.min(text.length, from + CONTEXT * 3);
+    var p = document.createElement('p');
+    var at = from;
+    if (from > 0) p.append('…');
+    marks.forEach(function (w) {
+      if (w.start < at || w.end > to) return;
+      p.append(text.slice(at, w.start));
+      var mark = document.createElement('mark');
+      mark.textContent = text.slice(w.start, w.end);
+      p.append(mark);
+      at = w.end;
+    });
+    p.append(text.slice(at, to));
+    if (to < text.length) p.append('…');
+    return p;
+  }
+
+  function search() {
+    var status = document.getElementById('search-status');
+    var list = document.getElementById('search-results');
+    var q = new URLSearchParams(window.location.search).get('q') || '';
+    document.querySelectorAll('input[name="q"]').forEach(function (input) { input.value = q; });
+
+    var index = window.SEARCH_INDEX;
+    if (!index) {
+      status.textContent = 'The search index could not be loaded.';
+      return;
+    }
+    var query = words(q).map(function (w) { return w.word; });
+    if (!query.length) {
+      status.textContent = 'Type one or more words to search for.';
+      return;
+    }
+
+    var keys = Object.keys(index.words);
+    var matches = null;
+    query.forEach(function (word) {
+      var found = documentsWith(index, keys, word);
+      matches = matches ? new Set(Array.from(matches).filter(function (i) { return found.has(i); })) : found;
+    });
+    var results = Array.from(matches).sort(function (a, b) { return a - b; });
+
+    status.textContent = results.length
+      ? results.length + (results.length === 1 ? ' result' : ' results') + ' for “' + q + '”' +
+        (results.length > MAX_RESULTS ? ', the first ' + MAX_RESULTS + ' shown' : '')
+      : 'Nothing found for “' + q + '”.';
+    results.slice(0, MAX_RESULTS).forEach(function (i) {
+      var entry = index.documents[i];
+      var page = index.pages[entry.page];
+      var item = document.createElement('li');
+      var link = document.createElement('a');
+      link.className = 'result-label';
+      link.href = page.path + '#' + entry.id;
+      link.textContent = entry.label;
+      var section = document.createElement('span');
+      section.className = 'result-section';
+      section.textContent = ' – ' + page.title;
+      item.append(link, section, snippet(entry.text, query));
+      list.append(item);
+    });
+  }
+
+  search();
+}());
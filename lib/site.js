@@ -0,0 +1,520 @@
+/**
+ * Static HTML site of a converted text, for reading without browser XSLT:
+ * an index page with the table of contents, a page per section of the body
+ * and the back matter, a search page and the full-text index it searches.
+ *
+ * Every element with an xml:id keeps it as its HTML id, so paragraphs,
+ * notes and entries are addressable as `page.html#par-12`; links between
+ * sections (note calls, cross-references, names) point at the page the
+ * target is on. All links are relative, so the site can be served from
+ * any directory, such as a GitHub Pages project site.
+ */
+
+import { readFileSync } from 'fs';
+import { JSDOM } from 'jsdom';
+import { TEI_NS, XML_NS, elementBuilder, indentXML } from './xml.js';
+import { isCitable, readCitations } from './citations.js';
+import { editionLanguage } from './languages.js';
+import { foldText } from './gazetteer.js';
+
+const ASSETS_URL = new URL('./site-assets/', import.meta.url);
+
+/**
+ * Files copied into every site as they are
+ */
+const ASSETS = ['style.css', 'search.js'];
+
+/**
+ * HTML elements kept on the line of the text around them when pretty-printing
+ */
+const INLINE_HTML = new Set(['a', 'abbr', 'br', 'code', 'dfn', 'em', 'mark', 'span', 'strong', 'sub', 'sup']);
+
+/**
+ * A word of folded text: letters and digits, joined by apostrophes
+ * (‘Abdu’l-Bahá folds to 'abdu'l-baha, the words 'abdu'l and baha)
+ */
+const SEARCH_WORD = /[\p{L}\p{N}]+(?:'[\p{L}\p{N}]+)*/gu;
+
+/**
+ * TEI elements whose text is kept apart from the text around them
+ */
+const BLOCK_ELEMENTS = new Set(['cell', 'div', 'head', 'item', 'l', 'label', 'lg', 'list', 'note', 'p', 'quote', 'row']);
+
+/**
+ * The TEI children of an element with a local name
+ */
+function childrenNamed(element, name) {
+  return Array.from(element.children).filter(child => child.localName === name);
+}
+
+/**
+ * The first descendant of an element with a local name
+ */
+function descendant(element, name) {
+  return element.getElementsByTagNameNS(TEI_NS, name)[0] ?? null;
+}
+
+/**
+ * Text of an element with whitespace collapsed, leaving out the text of
+ * excluded elements and of the elements `skip` is true for
+ * @param {Element} element
+ * @param {Set<string>} exclude Local names of elements left out
+ * @param {(element: Element) => boolean} [skip]
+ * @returns {string}
+ */
+function textOf(element, exclude, skip = () => false) {
+  let text = '';
+  for (const node of element.childNodes) {
+    if (node.nodeType === 3) {
+      text += node.textContent;
+    } else if (node.nodeType === 1 && !exclude.has(node.localName) && !skip(node)) {
+      text += BLOCK_ELEMENTS.has(node.localName) ? ` ${textOf(node, exclude, skip)} ` : textOf(node, exclude, skip);
+    }
+  }
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * The words a text is searched by: folded as names are matched (see
+ * foldText()), lowercased, with apostrophes dropped
+ * @param {string} text
+ * @returns {string[]}
+ */
+function searchWords(text) {
+  return Array.from(foldText(text).toLowerCase().matchAll(SEARCH_WORD), ([word]) => word.replace(/'/g, ''));
+}
+
+/**
+ * The full-text index of a site: a document per citable item and per entry
+ * of the back matter, and for each word the documents it occurs in
+ * @param {Array<{ id: string, page: number, label: string, text: string }>} documents
+ * @returns {{ documents: object[], words: Object<string, number[]> }}
+ */
+function searchIndex(documents) {
+  const words = {};
+  documents.forEach((document, i) => {
+    for (const word of new Set(searchWords(`${document.label} ${document.text}`))) {
+      (words[word] ??= []).push(i);
+    }
+  });
+  return { documents, words };
+}
+
+/**
+ * The number of items of a section, as tables of contents show it: its
+ * paragraphs, notes, questions and entries
+ * @param {Element} div
+ * @returns {number}
+ */
+function itemCount(div) {
+  return Array.from(div.querySelectorAll('*')).filter(element => {
+    const parent = element.parentElement;
+    switch (element.localName) {
+      case 'p': return parent === div || (parent.localName === 'quote' && parent.parentElement === div);
+      case 'note': return parent.localName === 'div';
+      case 'div': return element.getAttribute('type') === 'qa';
+      default: return ['item', 'person', 'place'].includes(element.localName);
+    }
+  }).length;
+}
+
+/**
+ * Read what a rendering of a converted text needs: the description of the
+ * text in its header, and its sections, each to be rendered as a file of
+ * its own named after the section's type
+ * @param {string} xml TEI written by the converter
+ * @param {object} [options]
+ * @param {Set<string>} [options.exclude] Local names of elements left out of the text
+ * @param {string} [options.extension] Extension of the section files
+ * @param {string[]} [options.reserved] File names (without extension) not to give sections
+ * @returns {object} The TEI document (`tei`) and its `<text>`; the `title`, `author`,
+ *   `publisher`, publication `date` and last `modified` date of the text, each a string
+ *   or null; its `lang`, writing direction (`dir`, 'rtl' or null), Q&A `labels` and
+ *   `renditions`; its `sections` (`{ div, path, title, items }`); the file each
+ *   xml:id is on (`pageOf`); and the first call of each note (`noteCalls`, the note's
+ *   xml:id to `{ ptr, id }`, where `id` is the HTML id the call is given)
+ * @throws {Error} If the XML cannot be parsed or has no TEI <text>
+ */
+function readPublication(xml, { exclude = new Set(), extension = '.html', reserved = [] } = {}) {
+  const { document: tei } = new JSDOM(xml, { contentType: 'application/xml' }).window;
+  const text = descendant(tei, 'text');
+  if (!text) throw new Error('no TEI <text> element');
+
+  const titleStmt = descendant(tei, 'titleStmt');
+  const title = (titleStmt && descendant(titleStmt, 'title') && textOf(descendant(titleStmt, 'title'), exclude)) || 'Untitled';
+  const author = descendant(tei, 'author') && textOf(descendant(tei, 'author'), exclude);
+  const publicationStmt = descendant(tei, 'publicationStmt');
+  const publisher = publicationStmt && descendant(publicationStmt, 'publisher');
+  const published = publicationStmt && childrenNamed(publicationStmt, 'date')[0];
+  // Changes are listed latest first
+  const change = descendant(tei, 'change');
+  const lang = text.getAttributeNS(XML_NS, 'lang') || null;
+  const renditions = new Map(Array.from(tei.getElementsByTagNameNS(TEI_NS, 'rendition'),
+    rendition => [`#${rendition.getAttributeNS(XML_NS, 'id')}`, rendition.textContent.trim()]));
+
+  const used = new Set(reserved);
+  const sections = ['body', 'back']
+    .flatMap(name => childrenNamed(text, name))
+    .flatMap(part => childrenNamed(part, 'div'))
+    .map(div => {
+      const base = (div.getAttribute('type') || 'section').toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+      let name = base;
+      for (let i = 2; used.has(name); i++) name = `${base}-${i}`;
+      used.add(name);
+      const head = childrenNamed(div, 'head')[0];
+      return { div, path: `${name}${extension}`, title: head ? textOf(head, exclude) : name, items: itemCount(div) };
+    });
+
+  // The file each xml:id, and the first call of each note, is on
+  const pageOf = new Map();
+  const noteCalls = new Map();
+  for (const section of sections) {
+    for (const element of [section.div, ...section.div.querySelectorAll('*')]) {
+      const id = element.getAttributeNS(XML_NS, 'id');
+      if (id) pageOf.set(id, section.path);
+      const note = element.localName === 'ptr' && element.getAttribute('type') === 'noteAnchor' &&
+        (element.getAttribute('target') || '').replace(/^#/, '');
+      if (note && !noteCalls.has(note)) {
+        noteCalls.set(note, { ptr: element, id: `${note}-call` });
+        pageOf.set(`${note}-call`, section.path);
+      }
+    }
+  }
+
+  return {
+    tei,
+    text,
+    title,
+    author: author || null,
+    publisher: publisher ? textOf(publisher, exclude) : null,
+    date: published ? published.textContent.trim() : null,
+    modified: change ? change.getAttribute('when') : null,
+    lang,
+    dir: (text.getAttribute('rendition') || '').split(/\s+/).includes('#rend-rtl') ? 'rtl' : null,
+    labels: editionLanguage(lang).labels,
+    renditions,
+    sections,
+    pageOf,
+    noteCalls
+  };
+}
+
+/**
+ * Render a converted text as a static site
+ * @param {string} xml TEI written by the converter
+ * @param {object} [options]
+ * @param {Set<string>} [options.exclude] Local names of elements left out of the text (editorial
+ *   regularizations, shown only as their original spelling)
+ * @returns {{ files: Array<{ path: string, content: string }>, pages: Array<{ path: string, title: string, items: number }>, documents: number }}
+ *   The files of the site, relative to its root; its section pages; and the number of documents in its search index
+ * @throws {Error} If the XML cannot be parsed or has no TEI <text>
+ */
+function renderSite(xml, { exclude = new Set() } = {}) {
+  const publication = readPublication(xml, { exclude, reserved: ['index', 'search'] });
+  const { title, author, publisher, date, modified, lang, dir, sections } = publication;
+  const { cite } = readCitations(xml, { exclude });
+
+  /**
+   * Build a page: the site's header, then the page's own content
+   */
+  function page(path, pageTitle, content, { scripts = [] } = {}) {
+    const { document } = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>').window;
+    const el = elementBuilder(document);
+    const html = document.documentElement;
+    if (lang) html.setAttribute('lang', lang);
+    if (dir) html.setAttribute('dir', dir);
+    document.head.append(
+      el('meta', { charset: 'UTF-8' }),
+      el('meta', { name: 'viewport', content: 'width=device-width, initial-scale=1.0' }),
+      el('title', {}, pageTitle === title ? title : `${pageTitle} – ${title}`),
+      el('link', { rel: 'stylesheet', href: 'style.css' })
+    );
+    document.body.append(el('div', { class: 'container' }, [
+      path !== 'index.html' && el('header', { class: 'site-header' }, [
+        el('a', { class: 'site-title', href: 'index.html' }, title),
+        searchForm(el)
+      ]),
+      ...content(el, path),
+      el('footer', {}, [
+        el('p', {}, 'Rendered from TEI XML'),
+        modified && el('p', {}, `Converted: ${modified}`)
+      ]),
+      ...scripts.map(src => el('script', { src }))
+    ]));
+    indentXML(html, { inline: INLINE_HTML });
+    return { path, content: `<!DOCTYPE html>\n${html.outerHTML}\n` };
+  }
+
+  const searchForm = (el, query = null) => el('form', { class: 'search-form', action: 'search.html', role: 'search' }, [
+    el('input', { type: 'search', name: 'q', value: query, placeholder: 'Search the text', 'aria-label': 'Search the text' }),
+    el('button', { type: 'submit' }, 'Search')
+  ]);
+
+  // Previous, contents and next links of a section page
+  const pager = (el, i) => el('nav', { class: 'pager', 'aria-label': 'Sections' }, [
+    i > 0 ? el('a', { rel: 'prev', href: sections[i - 1].path }, `← ${sections[i - 1].title}`) : el('span'),
+    el('a', { href: 'index.html#contents' }, 'Contents'),
+    i < sections.length - 1 ? el('a', { rel: 'next', href: sections[i + 1].path }, `${sections[i + 1].title} →`) : el('span')
+  ]);
+
+  const pages = sections.map((section, i) => {
+    const render = teiRenderer({ ...publication, path: section.path, exclude });
+    return page(section.path, section.title, el => [
+      pager(el, i),
+      el('main', {}, render.section(el, section.div)),
+      pager(el, i)
+    ]);
+  });
+
+  const contents = sections.map(({ path, title: sectionTitle, items }) => ({ path, title: sectionTitle, items }));
+
+  const index = page('index.html', title, el => [
+    el('header', { class: 'title-page' }, [
+      el('h1', {}, title),
+      author && el('div', { class: 'author' }, author),
+      (publisher || date) && el('div', { class: 'publication' }, [publisher, date].filter(Boolean).join(' • ')),
+      searchForm(el)
+    ]),
+    el('nav', { class: 'toc', id: 'contents' }, [
+      el('h2', {}, 'Table of Contents'),
+      el('ul', {}, contents.map(({ path, title: sectionTitle, items }) => el('li', {}, [
+        el('a', { href: path }, sectionTitle),
+        items ? ` (${items} items)` : null
+      ])))
+    ])
+  ]);
+
+  const search = page('search.html', 'Search', el => [
+    el('main', {}, [
+      el('h2', { class: 'section-head' }, 'Search'),
+      el('p', { id: 'search-status', 'aria-live': 'polite' }),
+      el('ol', { id: 'search-results', class: 'search-results' }),
+      el('noscript', {}, 'Searching needs JavaScript.')
+    ])
+  ], { scripts: ['search-index.js', 'search.js'] });
+
+  // Citable items, and entries of the back matter, are what searches find
+  const entries = new Set(['person', 'place']);
+  const isDocument = element => isCitable(element) || entries.has(element.localName) ||
+    (element.localName === 'term' && element.hasAttributeNS(XML_NS, 'id'));
+  const documents = [];
+  sections.forEach((section, p) => {
+    for (const element of section.div.querySelectorAll('*')) {
+      if (!isDocument(element)) continue;
+      const id = element.getAttributeNS(XML_NS, 'id');
+      let documentText = textOf(element, exclude, isDocument);
+      let label = cite(id)?.citation;
+      if (!label) {
+        // An entry is labelled by its name; a glossary term's definition is the item after its label
+        label = textOf(element.localName === 'term' ? element : element.firstElementChild ?? element, exclude);
+        const definition = element.localName === 'term' && element.parentElement.nextElementSibling;
+        documentText = definition ? `${label}: ${textOf(definition, exclude)}` : documentText;
+      }
+      documents.push({ id, page: p, label, text: documentText });
+    }
+  });
+  const searchData = {
+    lang,
+    pages: contents.map(({ path, title: sectionTitle }) => ({ path, title: sectionTitle })),
+    ...searchIndex(documents)
+  };
+
+  const files = [
+    index,
+    ...pages,
+    search,
+    { path: 'search-index.js', content: `window.SEARCH_INDEX = ${JSON.stringify(searchData)};\n` },
+    ...ASSETS.map(name => ({ path: name, content: readFileSync(new URL(name, ASSETS_URL), 'utf-8') })),
+    // GitHub Pages serves the files as they are, without Jekyll
+    { path: '.nojekyll', content: '' }
+  ];
+  return { files, pages: contents, documents: documents.length };
+}
+
+/**
+ * Rendering of the TEI of one page as HTML content
+ * @param {object} context
+ * @param {string} context.path The page rendered
+ * @param {Map<string, string>} context.pageOf The page of each xml:id
+ * @param {Map<string, { ptr: Element, id: string }>} context.noteCalls The first call of each note
+ * @param {Map<string, string>} context.renditions The CSS of each rendition, by pointer
+ * @param {{ question: string[], answer: string[] }} context.labels Q&A labels of the text's language
+ * @param {Set<string>} context.exclude Local names of elements left out
+ * @param {boolean} [context.footnotes] Mark notes and their calls as EPUB footnotes and note
+ *   references (the page must declare the `epub` prefix)
+ */
+function teiRenderer({ path, pageOf, noteCalls, renditions, labels, exclude, footnotes = false }) {
+  let el;
+
+  // A link to a pointer's target, on this page or another
+  const link = pointer => {
+    const target = (pointer || '').trim().split(/\s+/)[0];
+    if (!target.startsWith('#')) return target;
+    const targetPage = pageOf.get(target.slice(1));
+    return !targetPage || targetPage === path ? target : `${targetPage}${target}`;
+  };
+
+  const attrs = (element, extra = {}) => {
+    const style = (element.getAttribute('rendition') || '').split(/\s+/)
+      .map(pointer => renditions.get(pointer))
+      .filter(Boolean)
+      .join(' ');
+    return { id: element.getAttributeNS(XML_NS, 'id') || null, ...extra, style: style || null };
+  };
+
+  const contentOf = element => Array.from(element.childNodes, render);
+  const headOf = element => childrenNamed(element, 'head')[0] ?? null;
+  const withoutHead = element => Array.from(element.childNodes)
+    .filter(node => node.localName !== 'head')
+    .map(render);
+  const number = (element, className) => (element.hasAttribute('n') && element.hasAttributeNS(XML_NS, 'id')
+    ? [el('a', { class: className, href: `#${element.getAttributeNS(XML_NS, 'id')}` }, element.getAttribute('n')), ' ']
+    : null);
+
+  // What each TEI element becomes, by local name
+  const elements = {
+    hi: element => el('span', { class: `hi-${element.getAttribute('rend')}` }, contentOf(element)),
+    choice: element => {
+      const orig = childrenNamed(element, 'orig')[0];
+      const reg = childrenNamed(element, 'reg')[0];
+      if (!orig || !reg) return contentOf(element);
+      return el('span', { class: 'translit', 'data-reg': reg.textContent }, contentOf(orig));
+    },
+    seg: element => el('span', { class: element.getAttribute('type') === 'digraph' ? 'digraph' : null }, contentOf(element)),
+    ref: element => {
+      const target = element.getAttribute('target') || '';
+      return target.startsWith('#')
+        ? el('a', { class: 'ref', href: link(target) }, contentOf(element))
+        : el('a', { class: 'ref', href: target, target: '_blank', rel: 'noopener' }, contentOf(element));
+    },
+    ptr: element => {
+      if (element.getAttribute('type') !== 'noteAnchor') return null;
+      const call = noteCalls.get((element.getAttribute('target') || '').replace(/^#/, ''));
+      return el('sup', { class: 'note-call' }, el('a', {
+        id: call && call.ptr === element ? call.id : null,
+        href: link(element.getAttribute('target')),
+        'epub:type': footnotes && 'noteref'
+      }, element.getAttribute('n')));
+    },
+    persName: entity,
+    placeName: entity,
+    term: element => (element.hasAttributeNS(XML_NS, 'id')
+      ? el('dfn', attrs(element), contentOf(element))
+      : entity(element)),
+    lb: () => el('br'),
+    milestone: element => (element.getAttribute('unit') === 'section' ? el('p', { class: 'section-break' }, '* * *') : null),
+    lg: element => el('div', attrs(element, { class: 'lg' }), childrenNamed(element, 'l').map(render)),
+    l: element => el('div', attrs(element, { class: 'l' }), contentOf(element)),
+    quote: element => el('blockquote', attrs(element), contentOf(element)),
+    table: element => el('table', attrs(element, { class: 'data' }), childrenNamed(element, 'row').map(row =>
+      el('tr', attrs(row), childrenNamed(row, 'cell').map(cell => el('td', attrs(cell), contentOf(cell)))))),
+    p: element => {
+      const parent = element.parentElement;
+      if (element.closest('note')) return el('p', attrs(element), contentOf(element));
+      if (parent.closest('div[type="qa"]')) return el('p', attrs(element, { class: 'qa-text' }), contentOf(element));
+      return el('div', attrs(element, { class: 'paragraph' }), [number(element, 'para-num'), ...contentOf(element)]);
+    },
+    note: element => {
+      // Back to where the note is called, else to the passage it is on
+      const call = noteCalls.get(element.getAttributeNS(XML_NS, 'id'));
+      const back = call ? `#${call.id}` : element.getAttribute('target');
+      return el(footnotes ? 'aside' : 'div', attrs(element, { class: 'note', 'epub:type': footnotes && 'footnote' }), [
+        element.hasAttribute('n') && el('span', { class: 'note-num' }, `Note ${element.getAttribute('n')}:`),
+        ' ',
+        ...contentOf(element),
+        back && [' ', el('a', { class: 'backlink', href: link(back), title: 'Back to the text' }, '↩')]
+      ]);
+    },
+    list: element => {
+      const head = headOf(element);
+      const heading = head && el('h3', attrs(head, { class: 'subsection-head' }), contentOf(head));
+      if (element.getAttribute('type') === 'gloss') {
+        return [heading, el('dl', { class: 'gloss' }, childrenNamed(element, 'label').flatMap(label => {
+          const item = label.nextElementSibling && label.nextElementSibling.localName === 'item' ? label.nextElementSibling : null;
+          return [
+            el('dt', attrs(label), contentOf(label)),
+            item && el('dd', attrs(item), contentOf(item))
+          ];
+        }))];
+      }
+      const items = childrenNamed(element, 'item').map(render);
+      return [heading, element.getAttribute('rend') === 'numbered' ? el('ol', {}, items) : el('ul', { class: 'outline' }, items)];
+    },
+    item: element => el('li', attrs(element), [
+      element.hasAttribute('n') && [el('span', { class: 'item-num' }, `${element.getAttribute('n')}.`), ' '],
+      ...contentOf(element)
+    ]),
+    listPerson: entries,
+    listPlace: entries,
+    div: element => {
+      const type = element.getAttribute('type');
+      if (type === 'qa') {
+        return el('div', attrs(element, { class: 'qa' }), [number(element, 'para-num'), ...withoutHead(element)]);
+      }
+      if (type === 'question' || type === 'answer') {
+        return el('div', attrs(element, { class: type }), [
+          el('span', { class: 'qa-label' }, `${labels[type][0]}:`),
+          ' ',
+          ...childrenNamed(element, 'p').map(render)
+        ]);
+      }
+      const head = headOf(element);
+      return el('div', attrs(element, { class: `subsection ${type || ''}`.trim() }), [
+        head && el('h3', attrs(head, { class: 'subsection-head' }), contentOf(head)),
+        ...withoutHead(element)
+      ]);
+    }
+  };
+
+  // Names and terms link to their entry in the back matter
+  function entity(element) {
+    const ref = element.getAttribute('ref');
+    return ref ? el('a', { class: 'entity', href: link(ref) }, contentOf(element)) : contentOf(element);
+  }
+
+  // People and places, each with its note
+  function entries(element) {
+    return el('dl', { class: 'gloss' }, Array.from(element.children).flatMap(entry => {
+      const name = entry.firstElementChild;
+      const note = childrenNamed(entry, 'note')[0];
+      return [
+        el('dt', attrs(entry), name ? contentOf(name) : []),
+        note && el('dd', {}, contentOf(note))
+      ];
+    }));
+  }
+
+  function render(node) {
+    // Line breaks between elements only indent the TEI
+    if (node.nodeType === 3) return /^\s*\n\s*$/.test(node.textContent) ? null : node.textContent;
+    if (node.nodeType !== 1 || exclude.has(node.localName) || node.localName === 'head') return null;
+    const renderElement = elements[node.localName];
+    return renderElement ? renderElement(node) : contentOf(node);
+  }
+
+  return {
+    /**
+     * A section of the body or back matter, with its heading
+     * @param {Function} builder `el` of the page's document
+     * @param {Element} div
+     */
+    section(builder, div) {
+      el = builder;
+      const head = headOf(div);
+      return el('section', attrs(div, { class: `section ${div.getAttribute('type') || ''}`.trim() }), [
+        head && el('h1', { class: 'section-head' }, contentOf(head)),
+        ...withoutHead(div)
+      ]);
+    }
+  };
+}
+
+export {
+  INLINE_HTML,
+  textOf,
+  readPublication,
+  teiRenderer,
+  searchWords,
+  searchIndex,
+  renderSite
+};
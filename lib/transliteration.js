@@ -0,0 +1,75 @@
+/**
+ * The transliteration of Arabic and Persian used in Bahá'í texts: acute
+ * accents on long vowels, dots under emphatic consonants and underlined
+ * digraphs such as <u>Sh</u> and <u>Kh</u> for single letters. Transliterated
+ * words get a plain-ASCII regularized form, so that searching for
+ * "Baha'u'llah" finds "Bahá’u’lláh".
+ */
+
+/**
+ * Letter pairs the transliteration underlines to write a single letter,
+ * e.g. <u>sh</u> for ش and <u>dh</u> for ذ
+ */
+const DIGRAPHS = new Set(['ch', 'dh', 'gh', 'kh', 'sh', 'th', 'zh']);
+
+/**
+ * Marks of the transliteration once decomposed: the acute of a long vowel
+ * and the dot below an emphatic consonant
+ */
+const DIACRITICS = /[\u0301\u0323]/u;
+
+/**
+ * A word as the transliteration writes it: letters joined by ‘ayn, hamza,
+ * apostrophes and hyphens (Ma<u>sh</u>riqu’l-A<u>dh</u>kár), possibly
+ * starting with an ‘ayn (‘Akká). A possessive ’s is not part of the word.
+ */
+const WORD = /‘?[\p{L}\p{M}]+(?:[‘’'ʼ](?!s(?![\p{L}\p{M}]))[\p{L}\p{M}]+|[\u2010\u2011-][\p{L}\p{M}]+)*/gu;
+
+/**
+ * The end of text a word may run on from, and the start of text that may
+ * carry a word on, as WORD joins them
+ */
+const WORD_END = /[\p{L}\p{M}][‘’'ʼ\u2010\u2011-]?$/u;
+const WORD_START = /^(?:[‘’'ʼ](?!s(?![\p{L}\p{M}]))|[\u2010\u2011-])?[\p{L}\p{M}]/u;
+
+/**
+ * Whether underlined text is a transliteration digraph
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isDigraph(text) {
+  return DIGRAPHS.has(text.trim().toLowerCase());
+}
+
+/**
+ * Whether a word carries transliteration diacritics
+ * @param {string} word
+ * @returns {boolean}
+ */
+function hasDiacritics(word) {
+  return DIACRITICS.test(word.normalize('NFD'));
+}
+
+/**
+ * Plain-ASCII form of a transliterated word: diacritics dropped, ‘ayn and
+ * hamza written as apostrophes, e.g. "‘Abdu’l-Bahá" → "'Abdu'l-Baha"
+ * @param {string} word
+ * @returns {string}
+ */
+function regularize(word) {
+  return word
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[‘’ʼ]/g, "'")
+    .replace(/[\u2010\u2011]/g, '-');
+}
+
+export {
+  DIGRAPHS,
+  WORD,
+  WORD_END,
+  WORD_START,
+  isDigraph,
+  hasDiacritics,
+  regularize
+};
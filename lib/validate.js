@@ -0,0 +1,90 @@
+/**
+ * Offline validation of TEI output against the project's RelaxNG schema
+ */
+
+import { readFileSync } from 'fs';
+import { validateXML } from 'xmllint-wasm';
+
+/**
+ * RelaxNG schema for the customization schema/tei_aqdas.odd, written by hand
+ * (test/schema.test.js checks that the two agree)
+ */
+const SCHEMA_URL = new URL('../schema/tei_aqdas.rng', import.meta.url);
+
+/**
+ * Value of an attribute in the source text of a start tag
+ */
+function attributeValue(attrs, name) {
+  const match = attrs.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Find the element a validation error on a line refers to, and the nearest
+ * element at or above it that carries an xml:id, by scanning the start and
+ * end tags of well-formed XML
+ * @param {string} xml
+ * @param {number} line Line of the element's start tag
+ * @param {string|null} name Local name of the element, if known
+ * @returns {{ id: string|null, n: string|null }}
+ */
+function locateElement(xml, line, name) {
+  const tag = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[[\s\S]*?\]\]>|<(\/?)([^\s/>!?]+)([^>]*?)(\/?)>/g;
+  const stack = [];
+  let current = 1;
+  let last = 0;
+  let match;
+  while ((match = tag.exec(xml))) {
+    for (let i = xml.indexOf('\n', last); i !== -1 && i < match.index; i = xml.indexOf('\n', i + 1)) current++;
+    last = match.index;
+    if (current > line) break;
+    const [, close, tagName, attrs = '', selfClosing] = match;
+    if (!tagName) continue;
+    if (close) {
+      stack.pop();
+      continue;
+    }
+    const element = { name: tagName, id: attributeValue(attrs, 'xml:id'), n: attributeValue(attrs, 'n') };
+    if (current === line && (!name || tagName === name || tagName.endsWith(`:${name}`))) {
+      const owner = [...stack, element].reverse().find(el => el.id) || element;
+      return { id: owner.id, n: owner.n };
+    }
+    if (!selfClosing) stack.push(element);
+  }
+  return { id: null, n: null };
+}
+
+/**
+ * Validate TEI against the bundled RelaxNG schema. Runs offline: the schema
+ * is vendored in schema/ and xmllint is bundled as WebAssembly.
+ * @param {string} xml Well-formed TEI
+ * @param {object} [options]
+ * @param {string} [options.schema] RelaxNG schema to use instead of the bundled one
+ * @returns {Promise<{ valid: boolean, errors: Array<{ line: number|null, element: string|null, id: string|null, n: string|null, message: string }> }>}
+ *   Each error has the line of the offending element, its name, and the
+ *   xml:id and @n of the nearest element at or above it that has an xml:id
+ */
+async function validateTEI(xml, { schema = readFileSync(SCHEMA_URL, 'utf-8') } = {}) {
+  const result = await validateXML({
+    xml: { fileName: 'tei.xml', contents: xml },
+    schema: { fileName: 'schema.rng', contents: schema },
+    extension: 'relaxng'
+  });
+  const errors = result.errors.map(error => {
+    const line = error.loc ? error.loc.lineNumber : null;
+    const match = error.message.match(/^element (\S+): Relax-NG validity error : (.*)$/s);
+    const element = match ? match[1] : null;
+    const message = (match ? match[2] : error.message).trim();
+    return { line, element, ...(line ? locateElement(xml, line, element) : { id: null, n: null }), message };
+  });
+  // xmllint reports a schema or parse failure without itemized errors
+  if (!result.valid && !errors.length) {
+    errors.push({ line: null, element: null, id: null, n: null, message: result.rawOutput.trim() });
+  }
+  return { valid: result.valid, errors };
+}
+
+export {
+  SCHEMA_URL,
+  validateTEI
+};
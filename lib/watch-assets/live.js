@@ -0,0 +1,56 @@
+/*
+ * Page the tei-convert --serve server shows the output in (see lib/watch.js).
+ * Listens to the server's conversion events: when a conversion succeeds the
+ * output is reloaded in place; when one fails, or reports warnings, they are
+ * shown over it until the next conversion or until dismissed.
+ */
+(function () {
+  'use strict';
+
+  var frame = document.getElementById('page');
+  var overlay = document.getElementById('overlay');
+  var version = null;
+
+  // "line:column #id" of a diagnostic, as formatLocation() in lib/diagnostics.js
+  function location(entry) {
+    var where = entry.location || {};
+    return [where.line !== null && where.line !== undefined ? where.line + ':' + where.column : '', where.id ? '#' + where.id : '']
+      .filter(Boolean).join(' ');
+  }
+
+  function show(status) {
+    var list = document.getElementById('diagnostics');
+    var errors = document.getElementById('errors');
+    list.textContent = '';
+    status.diagnostics.forEach(function (entry) {
+      var item = document.createElement('li');
+      var code = document.createElement('code');
+      code.textContent = [entry.code, entry.item, location(entry)].filter(Boolean).join(' ');
+      item.append(entry.message + ' ', code);
+      list.append(item);
+    });
+    errors.textContent = status.errors;
+    errors.hidden = !status.errors;
+    document.getElementById('summary').textContent = status.ok
+      ? status.diagnostics.length + ' warning(s)'
+      : 'Conversion failed (exit code ' + status.code + '); showing the last output';
+    overlay.classList.toggle('warnings', status.ok);
+    overlay.hidden = status.ok && !status.diagnostics.length;
+  }
+
+  document.getElementById('dismiss').addEventListener('click', function () {
+    overlay.hidden = true;
+  });
+
+  var events = new EventSource('/__watch/events');
+  events.addEventListener('message', function (event) {
+    var status = JSON.parse(event.data);
+    if (!frame.getAttribute('src')) {
+      frame.src = status.page;
+    } else if (status.ok && status.version !== version) {
+      frame.contentWindow.location.reload();
+    }
+    version = status.version;
+    show(status);
+  });
+}());
@@ -0,0 +1,169 @@
+/**
+ * Watching the files a conversion depends on, and a local server that shows
+ * its output and reloads it live: the page at `/` displays the output in a
+ * frame, and follows the server's events to reload it after each conversion
+ * or to show why a conversion failed.
+ */
+
+import { existsSync, readFileSync, statSync, watch } from 'fs';
+import { createServer } from 'http';
+import { basename, dirname, extname, resolve, sep } from 'path';
+
+const ASSETS_URL = new URL('./watch-assets/', import.meta.url);
+
+/**
+ * Path under which the server's own files and events are served
+ */
+const WATCH_PATH = '/__watch/';
+
+/**
+ * Files of the live-reload page
+ */
+const ASSETS = {
+  'index.html': 'text/html; charset=utf-8',
+  'live.css': 'text/css; charset=utf-8',
+  'live.js': 'text/javascript; charset=utf-8'
+};
+
+/**
+ * Media types of the files the server serves, by extension; Markdown and
+ * NDJSON as plain text, which browsers show rather than download
+ */
+const MEDIA_TYPES = {
+  '.xml': 'application/xml; charset=utf-8',
+  '.xsl': 'text/xsl; charset=utf-8',
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.ndjson': 'text/plain; charset=utf-8',
+  '.md': 'text/plain; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg'
+};
+
+/**
+ * Call back when any of a set of files changes. Their directories are watched
+ * rather than the files themselves, so that files editors replace on saving
+ * are still followed; a burst of changes makes one call.
+ * @param {string[]} paths Files, and directories any file of which may change
+ * @param {(path: string) => void} onChange Called with the first path changed
+ * @param {object} [options]
+ * @param {number} [options.delay] Milliseconds to wait for more changes (default: 100)
+ * @returns {{ close: () => void }}
+ */
+function watchFiles(paths, onChange, { delay = 100 } = {}) {
+  // Names watched in each directory, or null for all of them
+  const directories = new Map();
+  for (const path of paths.map(path => resolve(path))) {
+    if (statSync(path).isDirectory()) {
+      directories.set(path, null);
+    } else if (directories.get(dirname(path)) !== null) {
+      directories.set(dirname(path), new Set([...(directories.get(dirname(path)) ?? []), basename(path)]));
+    }
+  }
+
+  let timer = null;
+  let changed = null;
+  const watchers = [...directories].map(([directory, names]) => watch(directory, (event, name) => {
+    if (!name || (names && !names.has(name))) return;
+    changed ??= resolve(directory, name);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const path = changed;
+      changed = null;
+      onChange(path);
+    }, delay);
+  }));
+  return {
+    close() {
+      clearTimeout(timer);
+      for (const watcher of watchers) watcher.close();
+    }
+  };
+}
+
+/**
+ * Start a server for the files of a directory, whose page at `/` shows one
+ * of them and reloads it when told to
+ * @param {object} options
+ * @param {string} options.root Directory served
+ * @param {string} options.page Path of the file shown, relative to the root
+ * @param {number} [options.port] Port to listen on (default: 8057)
+ * @param {string} [options.host] Address to listen on (default: 127.0.0.1)
+ * @returns {Promise<{ url: string, update: (status: object) => void, close: () => Promise<void> }>}
+ *   `update({ ok, code, errors, diagnostics })` tells the open pages how the
+ *   latest conversion went: they reload the page if it succeeded, and show
+ *   the exit code and error output of a failure, and the diagnostics, over it
+ */
+function liveServer({ root, page, port = 8057, host = '127.0.0.1' }) {
+  root = resolve(root);
+  const clients = new Set();
+  let status = { version: 0, ok: true, code: 0, page: `/${encodeURI(page)}`, errors: '', diagnostics: [] };
+  const send = res => res.write(`data: ${JSON.stringify(status)}\n\n`);
+
+  const server = createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' }).end();
+      return;
+    }
+    if (pathname === `${WATCH_PATH}events`) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store' });
+      res.write('retry: 1000\n\n');
+      send(res);
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+
+    const asset = pathname === '/' ? 'index.html' : pathname.startsWith(WATCH_PATH) && pathname.slice(WATCH_PATH.length);
+    let file = asset && Object.hasOwn(ASSETS, asset) ? new URL(asset, ASSETS_URL) : null;
+    let type = file && ASSETS[asset];
+    if (!file && !pathname.startsWith(WATCH_PATH)) {
+      let path = null;
+      try {
+        path = resolve(root, `.${decodeURIComponent(pathname)}`);
+      } catch {
+        // Malformed escapes name no file
+      }
+      if (path && path.startsWith(root + sep) && existsSync(path) && statSync(path).isFile()) {
+        file = path;
+        type = MEDIA_TYPES[extname(path).toLowerCase()] ?? 'application/octet-stream';
+      }
+    }
+    if (!file) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end(`Not found: ${pathname}\n`);
+      return;
+    }
+    const body = readFileSync(file);
+    res.writeHead(200, { 'Content-Type': type, 'Content-Length': body.length, 'Cache-Control': 'no-store' });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  });
+
+  return new Promise((resolvePromise, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      const address = server.address();
+      resolvePromise({
+        url: `http://${host.includes(':') ? `[${host}]` : host}:${address.port}/`,
+        update({ ok, code = 0, errors = '', diagnostics = [] }) {
+          status = { ...status, version: status.version + 1, ok, code, errors, diagnostics };
+          for (const res of clients) send(res);
+        },
+        close() {
+          for (const res of clients) res.end();
+          return new Promise(done => server.close(() => done()));
+        }
+      });
+    });
+  });
+}
+
+export {
+  watchFiles,
+  liveServer
+};
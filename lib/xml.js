@@ -0,0 +1,149 @@
+/**
+ * XML output helpers: namespace-aware element building, pretty-printing,
+ * serialization and a well-formedness check
+ */
+
+import { JSDOM } from 'jsdom';
+
+const TEI_NS = 'http://www.tei-c.org/ns/1.0';
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+const XI_NS = 'http://www.w3.org/2001/XInclude';
+
+let window = null;
+
+/**
+ * Shared window providing the DOM implementation and XMLSerializer
+ */
+function getWindow() {
+  if (!window) window = new JSDOM().window;
+  return window;
+}
+
+/**
+ * Create an empty XML document with a namespaced root element
+ * @param {string} namespace Namespace URI of the root element
+ * @param {string} rootName Qualified name of the root element
+ * @returns {Document}
+ */
+function createXMLDocument(namespace, rootName) {
+  return getWindow().document.implementation.createDocument(namespace, rootName, null);
+}
+
+/**
+ * Return an `el(name, attrs, children)` function creating elements in the
+ * namespace of the document's root element.
+ * Attributes whose value is null, undefined or false are left out; `xml:`
+ * attributes are put in the XML namespace, and other prefixed attributes in
+ * the namespace the root element declares for their prefix. Children may be strings, nodes,
+ * `{ name, attrs, children }` content objects or nested arrays of these;
+ * null, undefined and false children are skipped.
+ * @param {Document} doc
+ */
+function elementBuilder(doc) {
+  const namespace = doc.documentElement ? doc.documentElement.namespaceURI : null;
+
+  const append = (parent, child) => {
+    if (child === null || child === undefined || child === false) return;
+    if (Array.isArray(child)) {
+      for (const c of child) append(parent, c);
+    } else if (typeof child === 'string' || typeof child === 'number') {
+      parent.appendChild(doc.createTextNode(String(child)));
+    } else if (child.nodeType) {
+      parent.appendChild(child);
+    } else {
+      parent.appendChild(el(child.name, child.attrs, child.children));
+    }
+  };
+
+  function el(name, attrs = {}, children = []) {
+    const element = doc.createElementNS(namespace, name);
+    for (const [key, value] of Object.entries(attrs || {})) {
+      if (value === null || value === undefined || value === false) continue;
+      if (key.startsWith('xml:')) element.setAttributeNS(XML_NS, key, String(value));
+      else if (key.includes(':')) element.setAttributeNS(doc.documentElement.lookupNamespaceURI(key.split(':')[0]), key, String(value));
+      else element.setAttribute(key, String(value));
+    }
+    append(element, children);
+    return element;
+  }
+
+  return el;
+}
+
+/**
+ * Whether an element has element children only (no text, not even whitespace)
+ */
+function hasElementContent(element) {
+  return element.childNodes.length > 0 &&
+    Array.from(element.childNodes).every(child => child.nodeType === 1);
+}
+
+/**
+ * Pretty-print an element tree in place by adding indentation whitespace.
+ * Element-only content gets one child per line, unless all of the children
+ * are inline (phrase-level) elements, whose surrounding whitespace would
+ * change the text. Mixed content keeps its text untouched; only children that
+ * are themselves element-only containers (such as a nested list) are moved
+ * onto their own lines.
+ * @param {Element} element
+ * @param {object} [options]
+ * @param {Set<string>} [options.inline] Local names of inline elements
+ * @param {string} [options.unit] Indentation per level
+ * @param {number} [level] Nesting depth of `element`
+ */
+function indentXML(element, { inline = new Set(), unit = '  ' } = {}, level = 0) {
+  const doc = element.ownerDocument;
+  const inner = '\n' + unit.repeat(level + 1);
+  const outer = '\n' + unit.repeat(level);
+  const isBlock = node => hasElementContent(node) &&
+    !Array.from(node.childNodes).every(child => inline.has(child.localName));
+  const elementOnly = isBlock(element);
+  // Decide before recursing, which adds whitespace to the children
+  const breaks = Array.from(element.childNodes, child => child.nodeType === 1 && (elementOnly || isBlock(child)));
+
+  Array.from(element.childNodes).forEach((child, i) => {
+    if (child.nodeType !== 1) return;
+    indentXML(child, { inline, unit }, level + 1);
+    if (breaks[i]) element.insertBefore(doc.createTextNode(inner), child);
+  });
+  if (breaks[breaks.length - 1]) element.appendChild(doc.createTextNode(outer));
+}
+
+/**
+ * Serialize a document with an XML declaration, putting each top-level node
+ * (processing instructions, comments, the root element) on its own line
+ * @param {Document} doc
+ * @returns {string}
+ */
+function serializeXML(doc) {
+  const serializer = new (getWindow().XMLSerializer)();
+  const nodes = Array.from(doc.childNodes, node => serializer.serializeToString(node));
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${nodes.join('\n')}\n`;
+}
+
+/**
+ * Parse XML and throw if it is not well-formed
+ * @param {string} xml
+ * @throws {Error} Describing the first error, with its line and column
+ */
+function checkWellFormed(xml) {
+  try {
+    new JSDOM(xml, { contentType: 'application/xml' });
+  } catch (error) {
+    const match = String(error.message).match(/:(\d+):(\d+): (.*)$/s);
+    throw new Error(match
+      ? `Not well-formed XML at line ${match[1]}, column ${match[2]}: ${match[3]}`
+      : `Not well-formed XML: ${error.message}`);
+  }
+}
+
+export {
+  TEI_NS,
+  XML_NS,
+  XI_NS,
+  createXMLDocument,
+  elementBuilder,
+  indentXML,
+  serializeXML,
+  checkWellFormed
+};
@@ -0,0 +1,146 @@
+/**
+ * Reading and writing ZIP archives, as EPUB packages are: files stored or
+ * deflated, without encryption, ZIP64 or multiple disks
+ */
+
+import { crc32, deflateRawSync, inflateRawSync } from 'zlib';
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_DIRECTORY = 0x06054b50;
+
+const STORED = 0;
+const DEFLATED = 8;
+
+/**
+ * Flag of entries whose names are UTF-8
+ */
+const UTF8_NAMES = 0x0800;
+
+/**
+ * MS-DOS time and date of a date, in UTC
+ * @param {Date} date
+ * @returns {{ time: number, date: number }}
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | Math.floor(date.getUTCSeconds() / 2),
+    date: (Math.max(0, date.getUTCFullYear() - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate()
+  };
+}
+
+/**
+ * Write a ZIP archive. Entries are written in the order given, with the
+ * same modification date, so the same files always make the same archive.
+ * @param {Array<{ path: string, content: string|Buffer, store?: boolean }>} entries
+ *   Files, each stored as it is if `store` is set and deflated otherwise
+ * @param {object} [options]
+ * @param {Date} [options.date] Modification date of every entry (default: 1980-01-01)
+ * @returns {Buffer}
+ */
+function zip(entries, { date = new Date(Date.UTC(1980, 0, 1)) } = {}) {
+  const { time, date: day } = dosDateTime(date);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { path, content, store = false } of entries) {
+    const name = Buffer.from(path, 'utf-8');
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf-8');
+    const method = store ? STORED : DEFLATED;
+    const compressed = store ? data : deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_NAMES, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_NAMES, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(day, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const directorySize = centrals.reduce((size, buffer) => size + buffer.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directorySize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+/**
+ * Read a ZIP archive
+ * @param {Buffer} buffer
+ * @returns {Array<{ path: string, offset: number, stored: boolean, extra: number, content: Buffer }>}
+ *   Entries in the order of the central directory, each with the offset of its
+ *   local header, whether it is stored uncompressed, and the length of its
+ *   local extra field
+ * @throws {Error} If the archive is malformed, or an entry is compressed other than
+ *   by deflate or does not match its checksum
+ */
+function unzip(buffer) {
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new Error('not a ZIP archive (no end of central directory)');
+
+  const count = buffer.readUInt16LE(end + 10);
+  let at = buffer.readUInt32LE(end + 16);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (at + 46 > buffer.length || buffer.readUInt32LE(at) !== CENTRAL_HEADER) {
+      throw new Error(`malformed central directory entry ${i + 1}`);
+    }
+    const method = buffer.readUInt16LE(at + 10);
+    const crc = buffer.readUInt32LE(at + 16);
+    const size = buffer.readUInt32LE(at + 20);
+    const nameLength = buffer.readUInt16LE(at + 28);
+    const offset = buffer.readUInt32LE(at + 42);
+    const path = buffer.toString('utf-8', at + 46, at + 46 + nameLength);
+    at += 46 + nameLength + buffer.readUInt16LE(at + 30) + buffer.readUInt16LE(at + 32);
+
+    if (offset + 30 > buffer.length || buffer.readUInt32LE(offset) !== LOCAL_HEADER) {
+      throw new Error(`${path}: malformed local header`);
+    }
+    const extra = buffer.readUInt16LE(offset + 28);
+    const start = offset + 30 + buffer.readUInt16LE(offset + 26) + extra;
+    const data = buffer.subarray(start, start + size);
+    if (method !== STORED && method !== DEFLATED) throw new Error(`${path}: unsupported compression method ${method}`);
+    const content = method === STORED ? data : inflateRawSync(data);
+    if (crc32(content) !== crc) throw new Error(`${path}: checksum mismatch`);
+    entries.push({ path, offset, stored: method === STORED, extra, content });
+  }
+  return entries;
+}
+
+export {
+  zip,
+  unzip
+};
@@ -8,6 +8,12 @@
 
   <xsl:template match="/">
     <html>
+      <xsl:if test="tei:TEI/tei:text/@xml:lang">
+        <xsl:attribute name="lang"><xsl:value-of select="tei:TEI/tei:text/@xml:lang"/></xsl:attribute>
+      </xsl:if>
+      <xsl:if test="contains(concat(' ', tei:TEI/tei:text/@rendition, ' '), ' #rend-rtl ')">
+        <xsl:attribute name="dir">rtl</xsl:attribute>
+      </xsl:if>
       <head>
         <meta charset="UTF-8"/>
         <meta name="viewport" content="width=device-width, initial-scale=1.0"/>
@@ -68,7 +74,7 @@
             background: #f8f5f0;
             padding: 25px;
             margin: 30px 0;
-            border-left: 4px solid #8b7355;
+            border-inline-start: 4px solid #8b7355;
             border-radius: 4px;
           }
 
@@ -126,7 +132,7 @@
           .paragraph .para-num {
             color: #8b7355;
             font-weight: bold;
-            margin-right: 8px;
+            margin-inline-end: 8px;
             font-size: 0.9em;
             vertical-align: super;
           }
@@ -138,9 +144,64 @@
             margin-bottom: 20px;
           }
 
+          .qa {
+            margin: 25px 0;
+            text-align: justify;
+          }
+
+          .qa .answer {
+            margin-top: 8px;
+          }
+
+          .qa-label {
+            font-weight: bold;
+            color: #6c5b4a;
+          }
+
+          .qa-text {
+            display: inline;
+          }
+
+          .subsection-head {
+            font-size: 1.3em;
+            color: #8b7355;
+            margin: 30px 0 15px;
+            font-weight: 500;
+          }
+
+          .outline {
+            list-style: none;
+            margin: 10px 0 10px 1.5em;
+          }
+
+          .outline li {
+            margin: 6px 0;
+          }
+
+          .item-num {
+            color: #8b7355;
+            font-weight: bold;
+          }
+
+          .gloss dt {
+            font-weight: bold;
+            color: #6c5b4a;
+            margin-top: 12px;
+          }
+
+          .gloss dd {
+            margin-inline-start: 2em;
+          }
+
+          a.entity {
+            color: inherit;
+            text-decoration: none;
+            border-bottom: 1px dotted #8b7355;
+          }
+
           .note {
             background: #fffef8;
-            border-left: 3px solid #d4af37;
+            border-inline-start: 3px solid #d4af37;
             padding: 15px 20px;
             margin: 20px 0;
             font-size: 0.95em;
@@ -150,7 +211,14 @@
           .note .note-num {
             color: #d4af37;
             font-weight: bold;
-            margin-right: 8px;
+            margin-inline-end: 8px;
+          }
+
+          .note-call a,
+          .backlink {
+            color: #d4af37;
+            text-decoration: none;
+            font-size: 0.8em;
           }
 
           .hi-italic {
@@ -175,6 +243,41 @@
             font-size: 0.8em;
           }
 
+          .hi-uppercase {
+            text-transform: uppercase;
+          }
+
+          .digraph {
+            text-decoration: underline;
+          }
+
+          blockquote {
+            margin: 15px 0 15px 2em;
+          }
+
+          .note p {
+            margin: 8px 0;
+          }
+
+          .section-break {
+            text-align: center;
+            margin: 20px 0;
+            color: #8b7355;
+          }
+
+          .lg {
+            margin: 10px 0 10px 2em;
+          }
+
+          table.data {
+            border-collapse: collapse;
+            margin: 10px 0;
+          }
+
+          table.data td {
+            padding: 2px 10px;
+          }
+
           .ref {
             color: #3498db;
             text-decoration: none;
@@ -246,12 +349,12 @@
           <nav class="toc">
             <h2>Table of Contents</h2>
             <ul>
-              <xsl:for-each select="//tei:div">
+              <xsl:for-each select="//tei:body/tei:div | //tei:back/tei:div">
                 <li>
                   <a href="#{@type}">
                     <xsl:value-of select="tei:head"/>
                     <xsl:text> (</xsl:text>
-                    <xsl:value-of select="count(tei:p | tei:note)"/>
+                    <xsl:value-of select="count(tei:p | tei:quote/tei:p | tei:note | .//tei:item | tei:div[@type='qa'] | .//tei:person | .//tei:place)"/>
                     <xsl:text> items)</xsl:text>
                   </a>
                 </li>
@@ -261,10 +364,11 @@
 
           <!-- Process all sections -->
           <xsl:apply-templates select="//tei:body"/>
+          <xsl:apply-templates select="//tei:back/tei:div"/>
 
           <footer>
             <p>TEI XML to HTML transformation</p>
-            <p>Converted: <xsl:value-of select="//tei:sourceDesc/tei:p[contains(., 'Conversion date')]"/></p>
+            <p>Converted: <xsl:value-of select="//tei:revisionDesc/tei:change[1]/@when"/></p>
           </footer>
         </div>
       </body>
@@ -276,30 +380,201 @@
     <xsl:apply-templates select="tei:div"/>
   </xsl:template>
 
-  <!-- Template for sections -->
-  <xsl:template match="tei:div">
+  <!-- Template for sections, and the indexes of the back matter -->
+  <xsl:template match="tei:body/tei:div | tei:back/tei:div">
     <section class="section {@type}" id="{@type}">
       <h2 class="section-head"><xsl:value-of select="tei:head"/></h2>
-      <xsl:apply-templates select="tei:p | tei:note"/>
+      <xsl:apply-templates select="tei:p | tei:quote | tei:milestone | tei:note | tei:list | tei:listPerson | tei:listPlace | tei:div"/>
     </section>
   </xsl:template>
 
+  <!-- People and places, each with its note -->
+  <xsl:template match="tei:listPerson | tei:listPlace">
+    <dl class="gloss">
+      <xsl:for-each select="tei:person | tei:place">
+        <dt id="{@xml:id}"><xsl:apply-templates select="tei:persName/node() | tei:placeName/node()"/></dt>
+        <dd><xsl:apply-templates select="tei:note/node()"/></dd>
+      </xsl:for-each>
+    </dl>
+  </xsl:template>
+
+  <!-- Glossary terms are the targets of the terms in the text -->
+  <xsl:template match="tei:term[@xml:id]">
+    <dfn id="{@xml:id}"><xsl:apply-templates/></dfn>
+  </xsl:template>
+
+  <!-- Names and terms link to their entry in the back matter -->
+  <xsl:template match="tei:persName[@ref] | tei:placeName[@ref] | tei:term[@ref]">
+    <a class="entity" href="{@ref}"><xsl:apply-templates/></a>
+  </xsl:template>
+
+  <!-- Template for subsections (e.g. synopsis outlines) -->
+  <xsl:template match="tei:div">
+    <div class="subsection {@type}">
+      <h3 class="subsection-head"><xsl:value-of select="tei:head"/></h3>
+      <xsl:apply-templates select="tei:p | tei:quote | tei:milestone | tei:note | tei:list | tei:div"/>
+    </div>
+  </xsl:template>
+
+  <!-- Template for Question and Answer items -->
+  <xsl:template match="tei:div[@type='qa']">
+    <div class="qa" id="{@xml:id}">
+      <span class="para-num"><xsl:value-of select="@n"/></span>
+      <xsl:apply-templates select="tei:p | tei:div"/>
+    </div>
+  </xsl:template>
+
+  <xsl:template match="tei:div[@type='question' or @type='answer']">
+    <div class="{@type}" id="{@xml:id}">
+      <xsl:call-template name="rendition"/>
+      <span class="qa-label">
+        <xsl:choose>
+          <xsl:when test="@type = 'question'">Question:</xsl:when>
+          <xsl:otherwise>Answer:</xsl:otherwise>
+        </xsl:choose>
+      </span>
+      <xsl:text> </xsl:text>
+      <xsl:apply-templates select="tei:p"/>
+    </div>
+  </xsl:template>
+
+  <xsl:template match="tei:div[@type='qa']//tei:p">
+    <p class="qa-text"><xsl:apply-templates/></p>
+  </xsl:template>
+
+  <!-- Template for lists: gloss lists pair each label with the following item -->
+  <xsl:template match="tei:list[@type='gloss']">
+    <xsl:apply-templates select="tei:head"/>
+    <dl class="gloss">
+      <xsl:for-each select="tei:label">
+        <dt><xsl:apply-templates/></dt>
+        <dd><xsl:apply-templates select="following-sibling::tei:item[1]/node()"/></dd>
+      </xsl:for-each>
+    </dl>
+  </xsl:template>
+
+  <xsl:template match="tei:list">
+    <ul class="outline">
+      <xsl:apply-templates select="tei:item"/>
+    </ul>
+  </xsl:template>
+
+  <xsl:template match="tei:list[@rend='numbered']">
+    <ol>
+      <xsl:apply-templates select="tei:item"/>
+    </ol>
+  </xsl:template>
+
+  <xsl:template match="tei:list/tei:head">
+    <h3 class="subsection-head"><xsl:apply-templates/></h3>
+  </xsl:template>
+
+  <xsl:template match="tei:item">
+    <li id="{@xml:id}">
+      <xsl:if test="@n">
+        <span class="item-num"><xsl:value-of select="@n"/>.</span>
+        <xsl:text> </xsl:text>
+      </xsl:if>
+      <xsl:apply-templates/>
+    </li>
+  </xsl:template>
+
   <!-- Template for paragraphs -->
   <xsl:template match="tei:p">
-    <div class="paragraph">
+    <div class="paragraph" id="{@xml:id}">
+      <xsl:call-template name="rendition"/>
       <span class="para-num"><xsl:value-of select="@n"/></span>
       <xsl:apply-templates/>
     </div>
   </xsl:template>
 
+  <!-- Paragraphs of a note are unnumbered -->
+  <xsl:template match="tei:note//tei:p">
+    <p>
+      <xsl:call-template name="rendition"/>
+      <xsl:apply-templates/>
+    </p>
+  </xsl:template>
+
+  <!-- Block quotations, section breaks, verse and tables -->
+  <xsl:template match="tei:quote">
+    <blockquote>
+      <xsl:call-template name="rendition"/>
+      <xsl:apply-templates/>
+    </blockquote>
+  </xsl:template>
+
+  <xsl:template match="tei:milestone[@unit='section']">
+    <p class="section-break">* * *</p>
+  </xsl:template>
+
+  <xsl:template match="tei:lg">
+    <div class="lg"><xsl:apply-templates select="tei:l"/></div>
+  </xsl:template>
+
+  <xsl:template match="tei:l">
+    <div class="l"><xsl:apply-templates/></div>
+  </xsl:template>
+
+  <xsl:template match="tei:lb">
+    <br/>
+  </xsl:template>
+
+  <xsl:template match="tei:table">
+    <table class="data">
+      <xsl:for-each select="tei:row">
+        <tr>
+          <xsl:for-each select="tei:cell">
+            <td>
+              <xsl:call-template name="rendition"/>
+              <xsl:apply-templates/>
+            </td>
+          </xsl:for-each>
+        </tr>
+      </xsl:for-each>
+    </table>
+  </xsl:template>
+
+  <!-- The CSS of the <rendition> declarations an element's @rendition points at, as its style -->
+  <xsl:template name="rendition">
+    <xsl:if test="@rendition">
+      <xsl:attribute name="style">
+        <xsl:call-template name="rendition-css">
+          <xsl:with-param name="pointers" select="normalize-space(@rendition)"/>
+        </xsl:call-template>
+      </xsl:attribute>
+    </xsl:if>
+  </xsl:template>
+
+  <xsl:template name="rendition-css">
+    <xsl:param name="pointers"/>
+    <xsl:variable name="first" select="substring-before(concat($pointers, ' '), ' ')"/>
+    <xsl:value-of select="//tei:tagsDecl/tei:rendition[@xml:id = substring-after($first, '#')]"/>
+    <xsl:if test="contains($pointers, ' ')">
+      <xsl:text> </xsl:text>
+      <xsl:call-template name="rendition-css">
+        <xsl:with-param name="pointers" select="substring-after($pointers, ' ')"/>
+      </xsl:call-template>
+    </xsl:if>
+  </xsl:template>
+
   <!-- Template for notes -->
   <xsl:template match="tei:note">
-    <div class="note">
+    <div class="note" id="{@xml:id}">
       <span class="note-num">Note <xsl:value-of select="@n"/>:</span>
       <xsl:apply-templates/>
+      <xsl:if test="@target">
+        <xsl:text> </xsl:text>
+        <a class="backlink" href="{substring-before(concat(@target, ' '), ' ')}" title="Back to the text">↩</a>
+      </xsl:if>
     </div>
   </xsl:template>
 
+  <!-- Template for note calls -->
+  <xsl:template match="tei:ptr[@type='noteAnchor']">
+    <sup class="note-call"><a href="{@target}"><xsl:value-of select="@n"/></a></sup>
+  </xsl:template>
+
   <!-- Template for highlighted text (italic, bold, etc.) -->
   <xsl:template match="tei:hi">
     <span class="hi-{@rend}">
@@ -307,6 +582,17 @@
     </span>
   </xsl:template>
 
+  <!-- Transliterated words show their original spelling; the regularized one is kept for searching -->
+  <xsl:template match="tei:choice[tei:orig and tei:reg]">
+    <span class="translit" data-reg="{tei:reg}">
+      <xsl:apply-templates select="tei:orig/node()"/>
+    </span>
+  </xsl:template>
+
+  <xsl:template match="tei:seg[@type='digraph']">
+    <span class="digraph"><xsl:apply-templates/></span>
+  </xsl:template>
+
   <!-- Template for references/links -->
   <xsl:template match="tei:ref">
     <a href="{@target}" class="ref" target="_blank">
@@ -314,6 +600,13 @@
     </a>
   </xsl:template>
 
+  <!-- Internal cross-references stay in the same window -->
+  <xsl:template match="tei:ref[starts-with(@target, '#')]">
+    <a href="{@target}" class="ref">
+      <xsl:apply-templates/>
+    </a>
+  </xsl:template>
+
   <!-- Default template for text nodes -->
   <xsl:template match="text()">
     <xsl:value-of select="."/>
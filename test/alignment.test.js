@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { after, test } from 'node:test';
+import { align, convert } from '../convert-to-tei.js';
+
+const CLI = fileURLToPath(new URL('../bin/tei-convert.js', import.meta.url));
+const html = readFileSync(new URL('./fixtures/gleanings.xhtml', import.meta.url), 'utf-8');
+
+const directory = mkdtempSync(join(tmpdir(), 'tei-alignment-'));
+after(() => rmSync(directory, { recursive: true, force: true }));
+
+const english = convert(html, { profile: 'kitab-i-aqdas', date: '2024-03-03' }).xml;
+// The Persian edition has a paragraph the English one does not
+const persian = convert(html.replace('by Shoghi Effendi.</p>', 'by Shoghi Effendi.</p>\n<p>A note of the Persian edition.</p>'),
+  { profile: 'kitab-i-aqdas', metadata: { lang: 'fa' }, date: '2024-03-03' }).xml;
+
+test('the items editions have in common are linked by number', () => {
+  const { xml, links, unmatched, warnings } = align([
+    { xml: english, href: 'en/aqdas.xml' },
+    { xml: persian, href: 'fa/aqdas.xml' }
+  ], { date: '2024-03-03' });
+  assert.deepEqual(links, [
+    { id: 'pref-1', passage: 'pref.1', editions: [0, 1] },
+    { id: 'pref-2', passage: 'pref.2', editions: [0, 1] }
+  ]);
+  assert.deepEqual([...xml.matchAll(/<link n="([^"]+)" target="([^"]+)"\/>/g)].map(([, n, target]) => `${n}: ${target}`), [
+    'pref.1: en/aqdas.xml#pref-1 fa/aqdas.xml#pref-1',
+    'pref.2: en/aqdas.xml#pref-2 fa/aqdas.xml#pref-2'
+  ]);
+  assert.deepEqual(unmatched, [{ href: 'en/aqdas.xml', ids: [] }, { href: 'fa/aqdas.xml', ids: ['pref-3'] }]);
+  assert.deepEqual(warnings, ['fa/aqdas.xml: 1 item(s) in no other edition: pref-3']);
+  // Each edition is named by the URN of its own language
+  assert.deepEqual([...xml.matchAll(/<idno type="URN">([^<]+)<\/idno>/g)].map(match => match[1]), [
+    'urn:cts:bahai:bahaullah.aqdas.eng1992',
+    'urn:cts:bahai:bahaullah.aqdas.fas'
+  ]);
+  assert.throws(() => align([{ xml: english, href: 'en/aqdas.xml' }]), /at least two editions, got 1/);
+});
+
+test('align --strict fails on items in no other edition', async () => {
+  writeFileSync(join(directory, 'en.xml'), english);
+  writeFileSync(join(directory, 'fa.xml'), persian);
+  const output = join(directory, 'links.xml');
+  const { code, stderr } = await new Promise(resolve => {
+    execFile(process.execPath, [CLI, 'align', join(directory, 'en.xml'), join(directory, 'fa.xml'), '-o', output, '--date', '2024-03-03', '--strict'],
+      (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stderr }));
+  });
+  assert.equal(code, 8);
+  assert.match(stderr, /fa\.xml: 1 item\(s\) in no other edition: pref-3/);
+  // Links point at the editions relative to the links file
+  assert.match(readFileSync(output, 'utf-8'), /<link n="pref\.1" target="en\.xml#pref-1 fa\.xml#pref-1"\/>/);
+});
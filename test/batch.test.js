@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { after, test } from 'node:test';
+
+const CLI = fileURLToPath(new URL('../bin/tei-convert.js', import.meta.url));
+const FIXTURES = fileURLToPath(new URL('./fixtures/', import.meta.url));
+
+const directory = mkdtempSync(join(tmpdir(), 'tei-batch-'));
+after(() => rmSync(directory, { recursive: true, force: true }));
+
+/**
+ * Run a batch of the fixture sources, resolving to the exit code
+ */
+function batch(args, out = join(directory, 'out')) {
+  const manifest = join(directory, 'manifest.json');
+  writeFileSync(manifest, JSON.stringify({ title: 'Fixtures', documents: [join(FIXTURES, 'gleanings.xhtml')] }));
+  return new Promise(resolve => {
+    const child = execFile(process.execPath, [CLI, 'batch', manifest, '-o', out, '-q', '--jobs', '1', ...args], {
+      env: { ...process.env, SOURCE_DATE_EPOCH: '' }
+    });
+    child.on('exit', resolve);
+  });
+}
+
+test('a corpus is dated by its documents, not by the clock', async () => {
+  assert.equal(await batch([]), 0);
+  const index = JSON.parse(readFileSync(join(directory, 'out', 'index.json'), 'utf-8'));
+  assert.equal(index.date, '2024-03-03');
+  assert.match(readFileSync(join(directory, 'out', 'corpus.xml'), 'utf-8'), /<date>2024-03-03<\/date>/);
+});
+
+test('with --strict, a document with warnings fails and is not written', async () => {
+  const out = join(directory, 'strict');
+  assert.equal(await batch(['--strict'], out), 10);
+  // No bundled profile matches the fixture, which is a warning
+  assert.equal(existsSync(join(out, 'gleanings.xml')), false);
+  const index = JSON.parse(readFileSync(join(out, 'index.json'), 'utf-8'));
+  assert.equal(index.documents[0].status, 'failed');
+  assert.equal(index.corpus, null);
+});
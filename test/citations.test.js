@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { test } from 'node:test';
+import { citationResolver } from '../convert-to-tei.js';
+
+const CLI = fileURLToPath(new URL('../bin/tei-convert.js', import.meta.url));
+const TEXT = fileURLToPath(new URL('../kitab-i-aqdas.xml', import.meta.url));
+
+const { urn, resolve, cite } = citationResolver(readFileSync(TEXT, 'utf-8'));
+
+/**
+ * A resolved citation as "citation | passage | ids"
+ */
+function passage(citation) {
+  const resolved = resolve(citation);
+  return resolved && `${resolved.citation} | ${resolved.passage} | ${resolved.ids.join(' ')}`;
+}
+
+test('citations are read however readers write them', () => {
+  assert.equal(urn, 'urn:cts:bahai:bahaullah.aqdas.eng1992');
+  assert.equal(passage('K12'), 'K12 | par.12 | par-12');
+  assert.equal(passage('k 12'), 'K12 | par.12 | par-12');
+  assert.equal(passage('K۱۲'), 'K12 | par.12 | par-12');
+  assert.equal(passage('par.12'), 'K12 | par.12 | par-12');
+  assert.equal(passage('par-12'), 'K12 | par.12 | par-12');
+  assert.equal(passage(`${urn}:qa.3`), 'Q&A 3 | qa.3 | qa-3');
+  assert.equal(passage('fn 1.2'), 'fn 1.2 | fn.1.2 | fn-1-2');
+  assert.equal(passage('K9999'), null);
+});
+
+test('a range names every item of one level from its start to its end', () => {
+  const range = 'K12–15 | par.12-par.15 | par-12 par-13 par-14 par-15';
+  assert.equal(passage('K12–15'), range);
+  assert.equal(passage('K12-15'), range);
+  assert.equal(passage('par.12-par.15'), range);
+  assert.equal(passage(`${urn}:par.12-par.15`), range);
+  assert.equal(passage('note 3–note 5'), 'note 3–5 | note.3-note.5 | note-3 note-4 note-5');
+  assert.equal(passage('Synopsis 2.IV.A–C'), 'Synopsis 2.IV.A–C | syn.2.IV.A-syn.2.IV.C | syn-2-IV-A syn-2-IV-B syn-2-IV-C');
+  assert.equal(resolve('K12–13').urn, `${urn}:par.12-par.13`);
+  assert.throws(() => resolve('K15–12'), { name: 'RangeError', message: 'K15–12: the range ends before it starts' });
+  assert.throws(() => resolve('syn.2.IV-syn.2.IV.A'), { name: 'RangeError', message: /items of one level/ });
+});
+
+test('an item is cited by the citations of the item it is part of', () => {
+  assert.deepEqual(cite('qa-45-a'), { id: 'qa-45', citation: 'Q&A 45', passage: 'qa.45', urn: `${urn}:qa.45` });
+  assert.equal(cite('nowhere'), null);
+});
+
+test('cite prints the passages and fails on a citation that names none', async () => {
+  const run = citations => new Promise(resolve => {
+    execFile(process.execPath, [CLI, 'cite', TEXT, ...citations, '--format', 'json'], (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+  const found = await run(['K12–13']);
+  assert.equal(found.code, 0);
+  assert.deepEqual(JSON.parse(found.stdout).map(({ ids }) => ids), [['par-12', 'par-13']]);
+
+  const missing = await run(['K12', 'K9999']);
+  assert.equal(missing.code, 9);
+  assert.equal(JSON.parse(missing.stdout).length, 1);
+  assert.match(missing.stderr, /K9999: no such passage/);
+});
@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { compare, loadProfile } from '../convert-to-tei.js';
+
+const before = readFileSync(new URL('./fixtures/gleanings.xhtml', import.meta.url), 'utf-8');
+const after = before.replace('into English by', 'into English from the Persian and Arabic by');
+const aqdas = await loadProfile('kitab-i-aqdas');
+const profile = { ...aqdas, metadata: { ...aqdas.metadata, title: 'A title the source overrides' } };
+
+/**
+ * The totals of a comparison summary
+ */
+function totals({ altered, added, removed }) {
+  return { altered, added, removed };
+}
+
+/**
+ * The <title> of the apparatus
+ */
+function title(xml) {
+  return xml.match(/<title>([^<]*)<\/title>/)[1];
+}
+
+test('compare reports an altered item as an apparatus', () => {
+  const { xml, summary, report } = compare(before, after, { profile, date: '2024-03-03' });
+  assert.deepEqual(totals(summary), { altered: 1, added: 0, removed: 0 });
+  assert.match(xml, /<rdg wit="#A"><\/rdg><rdg wit="#B">from the Persian and Arabic<\/rdg>/);
+  assert.match(report, /pref-2 \(n 2\): altered/);
+});
+
+test('compare titles the apparatus from the merged metadata, as convert does', () => {
+  assert.equal(title(compare(before, after, { profile, date: '2024-03-03' }).xml), 'Comparison of editions of Gleanings from the Writings of Bahá’u’lláh');
+  const metadata = { title: 'Gleanings, two downloads' };
+  assert.equal(title(compare(before, after, { profile, metadata, date: '2024-03-03' }).xml), `Comparison of editions of ${metadata.title}`);
+});
+
+test('compare parses both editions with the given plugins', () => {
+  // Leave out the paragraph that differs
+  const plugins = [{ name: 'translator', preprocess: document => document.querySelector('p:nth-of-type(2)').remove() }];
+  const { summary } = compare(before, after, { profile, plugins, date: '2024-03-03' });
+  assert.deepEqual(totals(summary), { altered: 0, added: 0, removed: 0 });
+});
@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { after, test } from 'node:test';
+import { convert } from '../convert-to-tei.js';
+import { diagnosticsToJSON, diagnosticsToMarkdown } from '../lib/diagnostics.js';
+
+const CLI = fileURLToPath(new URL('../bin/tei-convert.js', import.meta.url));
+const SOURCE = fileURLToPath(new URL('./fixtures/gleanings.xhtml', import.meta.url));
+const html = readFileSync(SOURCE, 'utf-8');
+
+const directory = mkdtempSync(join(tmpdir(), 'tei-diagnostics-'));
+after(() => rmSync(directory, { recursive: true, force: true }));
+
+/**
+ * Convert the fixture with the CLI, resolving to the exit code
+ */
+function convertFile(args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, SOURCE, '-q', ...args], (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stderr });
+    });
+  });
+}
+
+test('a diagnostic names its code, the output item and where it is in the source', () => {
+  const linked = html.replace('by Shoghi Effendi.</p>',
+    'by Shoghi Effendi.</p>\n<p><a class="sf" id="300000003"></a>See <a href="#nowhere">elsewhere</a> for more.</p>');
+  const { xml, diagnostics, warnings } = convert(linked, { profile: 'kitab-i-aqdas', date: '2024-03-03' });
+  assert.deepEqual(warnings, ['Unresolved link to #nowhere in pref-3']);
+  assert.deepEqual(diagnostics.find(entry => entry.level === 'warning'), {
+    level: 'warning',
+    code: 'unresolved-link',
+    message: 'Unresolved link to #nowhere in pref-3',
+    item: 'pref-3',
+    location: { id: '300000003', line: 6, column: 4 }
+  });
+  // The link keeps its text but not its dangling target
+  assert.match(xml, /<p n="3" xml:id="pref-3">See elsewhere for more\.<\/p>/);
+
+  const report = JSON.parse(diagnosticsToJSON(diagnostics, { source: 'gleanings.xhtml', profile: 'kitab-i-aqdas' }));
+  assert.deepEqual(report.summary.codes['unresolved-link'], { level: 'warning', count: 1 });
+  assert.equal(report.summary.warnings, 1);
+  assert.equal(report.summary.info, diagnostics.length - 1);
+  assert.match(diagnosticsToMarkdown(diagnostics),
+    /\| `unresolved-link` \| pref-3 \| 6:4 #300000003 \| Unresolved link to #nowhere in pref-3 \|/);
+});
+
+test('--strict fails a conversion that reports warnings, still writing its output', async () => {
+  // No bundled profile matches the fixture, which is a warning
+  const output = join(directory, 'gleanings.xml');
+  const report = join(directory, 'diagnostics.json');
+  assert.deepEqual(await convertFile(['-o', output, '--diagnostics', report]), { code: 0, stderr: '' });
+  assert.deepEqual(JSON.parse(readFileSync(report, 'utf-8')).summary.codes['profile-fallback'], { level: 'warning', count: 1 });
+
+  rmSync(output);
+  const strict = await convertFile(['-o', output, '--strict']);
+  assert.equal(strict.code, 8);
+  assert.match(strict.stderr, /Failing because of 1 warning\(s\) \(--strict\)/);
+  assert.ok(existsSync(output));
+});
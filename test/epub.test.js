@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { after, test } from 'node:test';
+import { convert, exportTEI } from '../convert-to-tei.js';
+import { checkEpub } from '../lib/epub.js';
+import { unzip, zip } from '../lib/zip.js';
+
+const CLI = fileURLToPath(new URL('../bin/tei-convert.js', import.meta.url));
+const FIXTURES = new URL('./fixtures/', import.meta.url);
+
+const { xml } = convert(readFileSync(new URL('gleanings.xhtml', FIXTURES), 'utf-8'), { date: '2024-03-03' });
+const epub = exportTEI(xml, { format: 'epub' }).content;
+
+const directory = mkdtempSync(join(tmpdir(), 'tei-export-'));
+after(() => rmSync(directory, { recursive: true, force: true }));
+
+/**
+ * The EPUB with its files changed: `change` is given the archive's entries,
+ * as zip() takes them, and returns those to write
+ */
+function repack(change) {
+  const entries = unzip(epub).map(({ path, content, stored }) => ({ path, content, store: stored }));
+  return zip(change(entries));
+}
+
+/**
+ * Change the text of one file of an archive's entries
+ */
+function edit(entries, path, replace) {
+  return entries.map(entry => (entry.path === path ? { ...entry, content: replace(entry.content.toString('utf-8')) } : entry));
+}
+
+/**
+ * Assert that the check of an EPUB fails with an error containing `message`
+ */
+function assertInvalid(buffer, message) {
+  const { valid, errors } = checkEpub(buffer);
+  assert.equal(valid, false);
+  assert.ok(errors.some(error => error.includes(message)), `no error containing "${message}" in:\n${errors.join('\n')}`);
+}
+
+test('an exported EPUB passes the structural check', () => {
+  assert.deepEqual(checkEpub(epub), { valid: true, errors: [] });
+});
+
+test('an EPUB without a navigation document fails', () => {
+  const broken = repack(entries => edit(
+    entries.filter(entry => entry.path !== 'EPUB/nav.xhtml'),
+    'EPUB/package.opf',
+    opf => opf.replace(/\s*<item id="nav"[^>]*\/>/, '').replace(/\s*<itemref idref="nav"\/>/, '')
+  ));
+  assertInvalid(broken, 'exactly one item must be the navigation document');
+});
+
+test('a manifest item naming a missing file fails', () => {
+  const broken = repack(entries => edit(entries, 'EPUB/package.opf', opf => opf.replace('href="preface.xhtml"', 'href="prefaces.xhtml"')));
+  assertInvalid(broken, 'item "section-preface" names a missing file (prefaces.xhtml)');
+  assertInvalid(broken, 'EPUB/preface.xhtml: not listed in the manifest');
+});
+
+test('a mimetype that is not stored first fails', () => {
+  const last = repack(entries => [...entries.slice(1), entries[0]]);
+  assertInvalid(last, 'mimetype: must be the first file of the archive');
+
+  const deflated = repack(entries => entries.map(entry => ({ ...entry, store: false })));
+  assertInvalid(deflated, 'mimetype: must be stored uncompressed');
+});
+
+test('export writes a checked EPUB, and tells unreadable TEI from a failed export', async () => {
+  const output = join(directory, 'text.epub');
+  const exportFile = content => {
+    const input = join(directory, 'input.xml');
+    writeFileSync(input, content);
+    return new Promise(resolve => {
+      execFile(process.execPath, [CLI, 'export', input, '-o', output, '--format', 'epub', '-q'], (error, stdout, stderr) => {
+        resolve({ code: error ? error.code : 0, stderr });
+      });
+    });
+  };
+
+  assert.deepEqual(await exportFile(xml), { code: 0, stderr: '' });
+  assert.deepEqual(checkEpub(readFileSync(output)), { valid: true, errors: [] });
+
+  const malformed = await exportFile(xml.replace('</TEI>', ''));
+  assert.equal(malformed.code, 3);
+  assert.match(malformed.stderr, /^Cannot read TEI .*input\.xml: Not well-formed XML/);
+
+  const textless = await exportFile('<TEI xmlns="http://www.tei-c.org/ns/1.0"><teiHeader/></TEI>');
+  assert.equal(textless.code, 1);
+  assert.match(textless.stderr, /^Cannot export .*input\.xml: no TEI <text> element/);
+});
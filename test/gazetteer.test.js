@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { convert, loadProfile } from '../convert-to-tei.js';
+import { entityMatcher, lemmaTerm, normalizeGazetteer, withNoteTerms } from '../lib/gazetteer.js';
+
+const html = readFileSync(new URL('./fixtures/gleanings.xhtml', import.meta.url), 'utf-8');
+
+const gazetteer = normalizeGazetteer({
+  entries: [
+    { type: 'person', id: 'william-i', name: 'William I', forms: ['King of Berlin'], note: 'German Emperor' },
+    { type: 'place', id: 'akka', name: '‘Akká', note: 'Prison city' },
+    { type: 'term', id: 'house-of-justice', name: 'House of Justice', gloss: 'An elected council' },
+    { type: 'term', id: 'universal-house-of-justice', name: 'Universal House of Justice', gloss: 'The supreme council' }
+  ]
+});
+
+/**
+ * The names an entity matcher finds in text, as "text → entry id"
+ */
+function found(text) {
+  return entityMatcher(gazetteer.entries)(text).map(({ start, end, entry }) => `${text.slice(start, end)} → ${entry.id}`);
+}
+
+test('names are found as whole words, whatever their diacritics and apostrophes, the longest first', () => {
+  assert.deepEqual(found('From ’Akka and \'Akká the Universal House of Justice wrote to the House of Justice.'), [
+    '’Akka → place-akka',
+    '\'Akká → place-akka',
+    'Universal House of Justice → term-universal-house-of-justice',
+    'House of Justice → term-house-of-justice'
+  ]);
+  assert.deepEqual(found('‘Akkás and akká are other words.'), []);
+});
+
+test('a gazetteer is checked when loaded', () => {
+  assert.throws(() => normalizeGazetteer({ entries: [{ type: 'river', id: 'rhine', name: 'Rhine' }] }), /entries\[0\]: "type" must be one of/);
+  assert.throws(() => normalizeGazetteer({ entries: [{ type: 'place', id: 'rhine', name: 'Rhine' }, { type: 'place', id: 'rhine', name: 'Rhein' }] }),
+    /entries\[1\]: duplicate place id "rhine"/);
+});
+
+test('a note explains the entry it names or the term it quotes', () => {
+  assert.equal(lemmaTerm('payment of Zakát'), 'Zakát');
+  assert.equal(lemmaTerm('the Mother Book'), 'Mother Book');
+  assert.equal(lemmaTerm('O Land of Ṭá!'), null);
+  assert.equal(lemmaTerm('whoso desireth to pass over the sea'), null);
+
+  const entries = withNoteTerms(gazetteer.entries, [
+    { id: 'note-1', n: '1', lemma: 'O King of Berlin!' },
+    { id: 'note-2', n: '2', lemma: 'the Mother Book' },
+    { id: 'note-3', n: '3', lemma: 'whoso desireth to pass over the sea' }
+  ]);
+  assert.deepEqual(entries.find(entry => entry.id === 'person-william-i').notes, [{ id: 'note-1', n: '1' }]);
+  assert.deepEqual(entries.at(-1), {
+    type: 'term', id: 'term-mother-book', name: 'Mother Book', forms: ['Mother Book'], note: null, gloss: null, notes: [{ id: 'note-2', n: '2' }]
+  });
+  assert.equal(entries.length, gazetteer.entries.length + 1);
+  // The gazetteer's own entries are left as they were
+  assert.deepEqual(gazetteer.entries[0].notes, []);
+});
+
+test('a conversion tags the names of the profile\'s gazetteer and lists those it found', async () => {
+  const profile = { ...await loadProfile('kitab-i-aqdas'), gazetteer };
+  const source = html.replace('They were translated into English by Shoghi Effendi.',
+    'They reached the Universal House of Justice from ‘Akká, and <i>‘Ak</i>ká.');
+  const { xml } = convert(source, { profile, date: '2024-03-03' });
+  assert.match(xml, /<term ref="#term-universal-house-of-justice">Universal House of Justice<\/term> from <placeName ref="#place-akka"><choice><orig>‘Akká<\/orig><reg>'Akka<\/reg><\/choice><\/placeName>, and <hi rend="italic">‘Ak<\/hi>ká\./);
+  // Only the entries the text refers to are listed
+  const back = xml.match(/<back>[\s\S]*<\/back>/)[0];
+  assert.deepEqual([...back.matchAll(/xml:id="([^"]+)"/g)].map(match => match[1]), ['place-akka', 'term-universal-house-of-justice']);
+});
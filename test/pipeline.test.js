@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { DEFAULT_PLUGINS, convert } from '../convert-to-tei.js';
+import { createPipeline } from '../lib/pipeline.js';
+
+const FIXTURES = new URL('./fixtures/', import.meta.url);
+
+const { document } = new JSDOM('<p><span class="hb">Kitáb</span><span>Aqdas</span></p>').window;
+const [highlighted, plain] = document.querySelectorAll('span');
+
+/**
+ * A rule mapping elements matching `selector` to a string naming the rule
+ */
+function rule(selector, label) {
+  return { selector, map: () => label };
+}
+
+test('a plugin\'s element rules are tried in the order it lists them', () => {
+  const pipeline = createPipeline([
+    { name: 'spans', elements: [rule('span.hb', 'term'), rule('span', 'span')] }
+  ]);
+  assert.deepEqual(pipeline.mapElement(highlighted, {}), ['term']);
+  assert.deepEqual(pipeline.mapElement(plain, {}), ['span']);
+});
+
+test('the element rules of later plugins are tried first', () => {
+  const pipeline = createPipeline([
+    { name: 'spans', elements: [rule('span.hb', 'term'), rule('span', 'span')] },
+    { name: 'names', elements: [rule('span', 'name'), rule('span.hb', 'unused')] }
+  ]);
+  assert.deepEqual(pipeline.elements.map(({ plugin, selector }) => `${plugin} ${selector}`), [
+    'names span', 'names span.hb', 'spans span.hb', 'spans span'
+  ]);
+  assert.deepEqual(pipeline.mapElement(highlighted, {}), ['name']);
+});
+
+test('a plugin named like a default plugin replaces it', () => {
+  const html = readFileSync(new URL('gleanings.xhtml', FIXTURES), 'utf-8');
+  const divisions = plugins => [...convert(html, { date: '2024-03-03', plugins }).xml.matchAll(/<div type="([^"]+)" n="([^"]+)"/g)]
+    .map(match => match.slice(1).join(' '));
+  assert.deepEqual(divisions([]), ['preface pref']);
+
+  // Every navigation entry read as the main text, whatever its label
+  const navigation = {
+    name: 'navigation',
+    preprocess: (document, context) => {
+      const nav = document.querySelector('nav.gc');
+      const text = context.profile.sections.find(section => section.key === 'text');
+      context.navigation = {
+        nav,
+        entries: Array.from(nav.querySelectorAll('a[href^="#"]'), link => ({
+          id: link.getAttribute('href').slice(1),
+          label: link.textContent,
+          link,
+          section: text
+        }))
+      };
+    }
+  };
+  assert.deepEqual(createPipeline([...DEFAULT_PLUGINS, navigation]).plugins.map(plugin => plugin.name), DEFAULT_PLUGINS.map(plugin => plugin.name));
+  assert.deepEqual(divisions([navigation]), ['main-text par']);
+  // Without the body plugin, nothing fills the text
+  assert.deepEqual(divisions([{ name: 'body' }]), []);
+});
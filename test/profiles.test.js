@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { convert } from '../convert-to-tei.js';
+import { normalizeProfile } from '../lib/profiles.js';
+
+const FIXTURES = new URL('./fixtures/', import.meta.url);
+
+/**
+ * The <teiHeader> of converted TEI
+ */
+function teiHeader(xml) {
+  return new JSDOM(xml, { contentType: 'application/xml' }).window.document.querySelector('teiHeader');
+}
+
+test('a source no profile matches is described by its own metadata only', () => {
+  const html = readFileSync(new URL('gleanings.xhtml', FIXTURES), 'utf-8');
+  const result = convert(html, { sourceName: 'gleanings.xhtml' });
+  assert.equal(result.profile.id, 'generic');
+  assert.ok(result.warnings.some(warning => warning.startsWith('No bundled profile matches')));
+
+  const header = teiHeader(result.xml);
+  const texts = selector => [...header.querySelectorAll(selector)].map(element => element.textContent);
+  assert.deepEqual(texts('titleStmt > title'), ['Gleanings from the Writings of Bahá’u’lláh']);
+  assert.deepEqual(texts('titleStmt > author'), ['Bahá’u’lláh']);
+  assert.deepEqual(texts('titleStmt > respStmt'), []);
+  assert.deepEqual(texts('publicationStmt > idno'), ['gleanings-writings-bahaullah']);
+  assert.deepEqual(texts('publicationStmt > publisher, publicationStmt > date, publicationStmt > availability'), []);
+  assert.deepEqual(texts('keywords > term'), ['bahaullah', 'gleanings']);
+  assert.deepEqual([...header.querySelectorAll('revisionDesc > change')].map(change => change.getAttribute('when')), ['2024-03-03']);
+});
+
+test('a source\'s own metadata overrides the profile\'s', () => {
+  const html = readFileSync(new URL('gleanings.xhtml', FIXTURES), 'utf-8');
+  const { xml, metadata } = convert(html, { profile: 'kitab-i-aqdas', metadata: { author: 'Shoghi Effendi' } });
+  assert.equal(metadata.title, 'Gleanings from the Writings of Bahá’u’lláh');
+  assert.equal(metadata.author, 'Shoghi Effendi');
+  // Fields the source does not state still come from the profile
+  assert.equal(metadata.publisher, 'Bahá\'í World Centre');
+  assert.equal(teiHeader(xml).querySelector('titleStmt > title').textContent, 'Gleanings from the Writings of Bahá’u’lláh');
+});
+
+test('each edition gets the CTS URN of its language', () => {
+  const html = readFileSync(new URL('gleanings.xhtml', FIXTURES), 'utf-8');
+  const urn = metadata => {
+    const { xml, metadata: merged } = convert(html, { profile: 'kitab-i-aqdas', metadata });
+    assert.equal(teiHeader(xml).querySelector('idno[type="URN"]').textContent, merged.urn);
+    return merged.urn;
+  };
+  assert.equal(urn({}), 'urn:cts:bahai:bahaullah.aqdas.eng1992');
+  assert.equal(urn({ lang: 'fa' }), 'urn:cts:bahai:bahaullah.aqdas.fas');
+  assert.equal(urn({ lang: 'ar-EG' }), 'urn:cts:bahai:bahaullah.aqdas.ara');
+  assert.equal(urn({ lang: 'fa', urn: 'urn:cts:bahai:bahaullah.aqdas.fas2001' }), 'urn:cts:bahai:bahaullah.aqdas.fas2001');
+  assert.throws(
+    () => normalizeProfile({ id: 'broken', sections: [{ key: 'text', divType: 'main-text' }], metadata: { urn: { versions: { en: 'eng1' } } } }),
+    /"metadata.urn" must be a URN/
+  );
+});
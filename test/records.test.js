@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { OUTPUT_FORMATS, loadProfile, serializeSections } from '../convert-to-tei.js';
+
+const profile = await loadProfile('kitab-i-aqdas');
+
+/**
+ * One item of each kind of section the profile extracts, so that every
+ * section has something to carry
+ */
+function sampleSections() {
+  const text = words => [words];
+  return {
+    preface: [{ n: 1, id: 'pref-1', content: text('A preface paragraph.') }],
+    introduction: [{ n: 1, id: 'intro-1', content: text('An introduction paragraph.') }],
+    description: [{ n: 1, id: 'desc-1', content: text('A description paragraph.') }],
+    text: [{ n: 1, id: 'par-1', content: text('A paragraph of the text.') }],
+    supplementary: [{ n: 1, id: 'supp-1', content: text('A supplementary paragraph.') }],
+    questions: [{
+      n: 1,
+      id: 'qa-1',
+      parts: [
+        { type: 'question', paragraphs: [text('A question.')] },
+        { type: 'answer', paragraphs: [text('Its answer.')] }
+      ]
+    }],
+    synopsis: [{
+      n: 1,
+      id: 'syn-1',
+      content: text('Summary of Contents'),
+      items: [{ n: 'I', id: 'syn-1-I', content: text('An outline heading'), items: [{ n: 'A', id: 'syn-1-I-A', content: text('An outline entry'), items: [] }] }]
+    }],
+    notes: [{ n: 1, id: 'note-1', content: text('A note.') }],
+    glossary: [{ n: 1, id: 'gloss-1', label: 'Term', content: text('Its definition.') }],
+    keyPassages: [{ n: 1, id: 'key-1', label: ['KA'], content: text('An abbreviated source.') }],
+    footnotes: [{ n: 1, id: 'fn-1', content: text('Preface'), items: [{ n: 1, id: 'fn-1-1', content: text('A footnote.') }] }]
+  };
+}
+
+/**
+ * The xml:ids of the sample's items and outline entries; the groups of
+ * footnotes are only headings
+ */
+function sampleIds() {
+  const itemIds = item => [item.id, ...(item.items ?? []).flatMap(itemIds)];
+  return new Set(profile.sections.flatMap(section => sampleSections()[section.key].flatMap(item => (
+    section.extract === 'footnotes' ? item.items.map(footnote => footnote.id) : itemIds(item)
+  ))));
+}
+
+/**
+ * The heads of the sections a format's output carries, and the xml:ids of the items it carries
+ */
+function coverage(format, output) {
+  const heads = new Map(profile.sections.map(section => [section.divType, section.head ?? section.label]));
+  const ids = sampleIds();
+  switch (format) {
+    case 'json':
+    case 'ndjson': {
+      const records = format === 'json' ? JSON.parse(output).records : output.trim().split('\n').map(line => JSON.parse(line));
+      return {
+        sections: new Set(records.map(record => heads.get(record.section))),
+        ids: new Set(records.map(record => record.id).filter(id => ids.has(id)))
+      };
+    }
+    case 'md':
+      return {
+        sections: new Set([...output.matchAll(/^## (.+)$/gm)].map(match => match[1].replace(/\\/g, ''))),
+        ids: new Set([...output.matchAll(/<a id="([^"]+)">/g)].map(match => match[1]).filter(id => ids.has(id)))
+      };
+    case 'txt': {
+      const lines = output.split('\n');
+      const citations = new Set([...output.matchAll(/^\[([^\]]+)\]/gm)].map(match => match[1]));
+      const citationOf = new Map(profile.sections.flatMap(section => [...ids]
+        .filter(id => id.startsWith(`${section.idPrefix}-`))
+        .map(id => [section.cite.replace('{n}', id.slice(section.idPrefix.length + 1).replace(/-/g, '.')), id])));
+      return {
+        sections: new Set([...heads.values()].filter(head => lines.includes(head))),
+        ids: new Set([...citations].map(citation => citationOf.get(citation)).filter(Boolean))
+      };
+    }
+  }
+}
+
+test('every output format carries the same sections and items', () => {
+  const sections = sampleSections();
+  const expected = coverage('json', serializeSections(sections, { format: 'json', profile }));
+  assert.equal(expected.sections.size, profile.sections.length);
+  assert.deepEqual([...expected.ids].sort(), [...sampleIds()].sort());
+  for (const format of OUTPUT_FORMATS.filter(format => format !== 'tei')) {
+    const { sections: covered, ids } = coverage(format, serializeSections(sections, { format, profile }));
+    assert.deepEqual([...covered].sort(), [...expected.sections].sort(), `sections of ${format}`);
+    assert.deepEqual([...ids].sort(), [...expected.ids].sort(), `items of ${format}`);
+  }
+});
+
+test('outline and entry records keep their structure', () => {
+  const records = JSON.parse(serializeSections(sampleSections(), { format: 'json', profile })).records;
+  const byId = new Map(records.map(record => [record.id, record]));
+  assert.deepEqual(
+    ['syn-1', 'syn-1-I', 'syn-1-I-A'].map(id => ({ kind: byId.get(id).kind, level: byId.get(id).level, parent: byId.get(id).parent, citation: byId.get(id).citation })),
+    [
+      { kind: 'outline', level: 0, parent: undefined, citation: 'Synopsis 1' },
+      { kind: 'outline', level: 1, parent: 'syn-1', citation: 'Synopsis 1.I' },
+      { kind: 'outline', level: 2, parent: 'syn-1-I', citation: 'Synopsis 1.I.A' }
+    ]
+  );
+  assert.deepEqual([byId.get('gloss-1').label, byId.get('key-1').label], ['Term', 'KA']);
+  assert.equal(byId.get('key-1').kind, 'entry');
+});
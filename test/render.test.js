@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { after, test } from 'node:test';
+import { convert, render } from '../convert-to-tei.js';
+
+const CLI = fileURLToPath(new URL('../bin/tei-convert.js', import.meta.url));
+const FIXTURES = new URL('./fixtures/', import.meta.url);
+
+const { xml } = convert(readFileSync(new URL('gleanings.xhtml', FIXTURES), 'utf-8'), { date: '2024-03-03' });
+
+const directory = mkdtempSync(join(tmpdir(), 'tei-render-'));
+after(() => rmSync(directory, { recursive: true, force: true }));
+
+/**
+ * Render the TEI in `content` with the CLI, resolving to its exit code and
+ * standard error
+ */
+function renderFile(content) {
+  const input = join(directory, 'input.xml');
+  writeFileSync(input, content);
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, 'render', input, '-o', join(directory, 'site'), '-q'], (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stderr });
+    });
+  });
+}
+
+test('render writes a page per section, the search page and its index', () => {
+  const site = render(xml);
+  assert.deepEqual(site.pages, [
+    { path: 'preface.html', title: 'Preface', items: 2 },
+    { path: 'persons.html', title: 'People', items: 2 }
+  ]);
+  assert.deepEqual(site.files.map(file => file.path).sort(), [
+    '.nojekyll', 'index.html', 'persons.html', 'preface.html', 'search-index.js', 'search.html', 'search.js', 'style.css'
+  ]);
+  assert.equal(site.documents, 4);
+
+  const file = path => site.files.find(entry => entry.path === path).content;
+  // Items keep their xml:id, and names link to their entry on another page
+  assert.match(file('preface.html'), /<div id="pref-2" class="paragraph"><a class="para-num" href="#pref-2">2<\/a>/);
+  assert.match(file('preface.html'), /<a class="entity" href="persons.html#person-shoghi-effendi">Shoghi Effendi<\/a>/);
+  // Transliterations show their original spelling
+  assert.match(file('preface.html'), /<span class="translit" data-reg="Baha'u'llah">Bahá’u’lláh<\/span>/);
+  const index = JSON.parse(file('search-index.js').replace(/^window\.SEARCH_INDEX = /, '').replace(/;\s*$/, ''));
+  assert.deepEqual(index.documents.slice(0, 2).map(({ id, label }) => `${id} ${label}`), ['pref-1 Preface ¶1', 'pref-2 Preface ¶2']);
+});
+
+test('render writes the site, and tells unreadable TEI from a failed rendering', async () => {
+  assert.deepEqual(await renderFile(xml), { code: 0, stderr: '' });
+  assert.ok(existsSync(join(directory, 'site', 'preface.html')));
+
+  const malformed = await renderFile(xml.replace('</TEI>', ''));
+  assert.equal(malformed.code, 3);
+  assert.match(malformed.stderr, /^Cannot read TEI .*input\.xml: Not well-formed XML/);
+
+  const textless = await renderFile('<TEI xmlns="http://www.tei-c.org/ns/1.0"><teiHeader/></TEI>');
+  assert.equal(textless.code, 1);
+  assert.match(textless.stderr, /^Cannot render .*input\.xml: no TEI <text> element/);
+});
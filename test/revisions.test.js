@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { buildDate, convert } from '../convert-to-tei.js';
+import { formatIds } from '../lib/revisions.js';
+
+const html = readFileSync(new URL('./fixtures/gleanings.xhtml', import.meta.url), 'utf-8');
+
+/**
+ * The <change> entries of converted TEI, newest first, as "when: text"
+ */
+function changes(xml) {
+  return [...xml.matchAll(/<change when="([^"]+)">([^<]*)<\/change>/g)].map(([, when, text]) => `${when}: ${text}`);
+}
+
+test('a conversion is dated by --date, then SOURCE_DATE_EPOCH, then the source', () => {
+  const env = { SOURCE_DATE_EPOCH: '1700000000' };
+  assert.equal(buildDate({ date: '2024-05-01', env, lastModified: '2024-03-03T10:00:00Z' }), '2024-05-01');
+  assert.equal(buildDate({ env, lastModified: '2024-03-03T10:00:00Z' }), '2023-11-14');
+  assert.equal(buildDate({ env: {}, lastModified: '2024-03-03T10:00:00Z' }), '2024-03-03');
+  assert.throws(() => buildDate({ date: 'someday' }), TypeError);
+  assert.throws(() => buildDate({ env: { SOURCE_DATE_EPOCH: 'yesterday' } }), /SOURCE_DATE_EPOCH must be a number of seconds/);
+});
+
+test('a re-conversion records what changed since the previous output', () => {
+  const first = convert(html, { date: '2024-03-03' }).xml;
+  assert.deepEqual(changes(first), ['2024-03-03: Initial conversion from HTML to TEI']);
+
+  // Nothing changed: the history is kept as it is
+  assert.deepEqual(changes(convert(html, { date: '2024-04-01', previous: first }).xml), changes(first));
+
+  const edited = html
+    .replace('into English by', 'into English from the Persian and Arabic by')
+    .replace('by Shoghi Effendi.</p>', 'by Shoghi Effendi.</p>\n<p>A third paragraph of the preface.</p>');
+  const second = convert(edited, { date: '2024-04-01', previous: first }).xml;
+  assert.deepEqual(changes(second), [
+    '2024-04-01: Re-converted; altered pref-2; added pref-3',
+    '2024-03-03: Initial conversion from HTML to TEI'
+  ]);
+  const third = convert(html, { date: '2024-05-01', previous: second }).xml;
+  assert.equal(changes(third)[0], '2024-05-01: Re-converted; altered pref-2; removed pref-3');
+  assert.equal(changes(third).length, 3);
+});
+
+test('an unreadable previous output starts a new history with a warning', () => {
+  const { xml, warnings } = convert(html, { date: '2024-04-01', previous: '<TEI' });
+  assert.deepEqual(changes(xml), ['2024-04-01: Initial conversion from HTML to TEI']);
+  assert.ok(warnings.some(warning => warning.startsWith('Previous output not readable')));
+});
+
+test('runs of ids are folded in a change description', () => {
+  assert.equal(formatIds(['par-3', 'par-4', 'par-5', 'par-7', 'qa-1', 'qa-2', 'syn-2-IV']), 'par-3–5, par-7, qa-1–2, syn-2-IV');
+});
@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { JSDOM } from 'jsdom';
+
+const SCHEMA = new URL('../schema/', import.meta.url);
+
+/**
+ * A schema file as an XML document
+ */
+function schema(name) {
+  return new JSDOM(readFileSync(new URL(name, SCHEMA), 'utf-8'), { contentType: 'application/xml' }).window.document;
+}
+
+const odd = schema('tei_aqdas.odd');
+const rng = schema('tei_aqdas.rng');
+
+/**
+ * Attributes TEI P5 itself requires or closes, which the ODD keeps without
+ * declaring them
+ */
+const TEI_ATTRIBUTES = [
+  'cRefPattern/@matchPattern required',
+  'cRefPattern/@replacementPattern required',
+  'citeStructure/@match required',
+  'citeStructure/@use required',
+  'language/@ident required',
+  'variantEncoding/@location required: internal|external',
+  'variantEncoding/@method required: location-referenced|double-end-point|parallel-segmentation'
+];
+
+/**
+ * An attribute declaration as the tests compare them, e.g. "hi/@rend required: italic|bold"
+ */
+function declaration(element, attribute, required, values) {
+  return `${element}/@${attribute} ${required ? 'required' : 'optional'}${values.length ? `: ${values.join('|')}` : ''}`;
+}
+
+/**
+ * The TEI elements of the RelaxNG schema, each with the attributes declared
+ * on it (not those of the classes it refers to)
+ */
+function rngElements() {
+  const elements = Array.from(rng.getElementsByTagName('element')).filter(element => element.hasAttribute('name') && !element.hasAttribute('ns'));
+  return elements.map(element => ({
+    name: element.getAttribute('name'),
+    attributes: Array.from(element.getElementsByTagName('attribute'))
+      .filter(attribute => attribute.parentElement.closest('element') === element)
+      .map(attribute => ({
+        name: attribute.getAttribute('name'),
+        required: !attribute.parentElement.closest('optional, zeroOrMore, element')?.matches('optional, zeroOrMore'),
+        values: Array.from(attribute.getElementsByTagName('value'), value => value.textContent)
+      }))
+  }));
+}
+
+test('the ODD and the RelaxNG schema admit the same elements', () => {
+  const included = Array.from(odd.querySelectorAll('moduleRef[include]')).flatMap(module => module.getAttribute('include').split(/\s+/));
+  assert.deepEqual([...new Set(rngElements().map(element => element.name))].sort(), [...new Set(included)].sort());
+});
+
+test('the ODD and the RelaxNG schema require and close the same attributes', () => {
+  const declared = Array.from(odd.querySelectorAll('elementSpec attDef'), attDef => declaration(
+    attDef.closest('elementSpec').getAttribute('ident'),
+    attDef.getAttribute('ident'),
+    attDef.getAttribute('usage') === 'req',
+    Array.from(attDef.querySelectorAll('valList[type="closed"] valItem'), item => item.getAttribute('ident'))
+  ));
+  const constrained = rngElements().flatMap(element => element.attributes
+    .filter(attribute => attribute.required || attribute.values.length)
+    .map(attribute => declaration(element.name, attribute.name, attribute.required, attribute.values)));
+  assert.deepEqual(constrained.sort(), [...declared, ...TEI_ATTRIBUTES].sort());
+});
+
+test('the ODD and the RelaxNG schema admit the same elements of other namespaces', () => {
+  const required = Array.from(odd.querySelectorAll('anyElement[require]'), any => `any element of ${any.getAttribute('require')}`);
+  const admitted = Array.from(rng.querySelectorAll('nsName[ns], element[ns]'), pattern => (pattern.localName === 'nsName'
+    ? `any element of ${pattern.getAttribute('ns')}`
+    : `${pattern.getAttribute('name')} of ${pattern.getAttribute('ns')}`));
+  assert.deepEqual([...new Set(admitted)].sort(), [...new Set(required)].sort());
+});
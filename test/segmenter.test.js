@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { getBundledProfile } from '../lib/profiles.js';
+import { legacyAnchor, navigationEntries, sectionSelector, segmentDocument } from '../lib/segmenter.js';
+
+const html = readFileSync(new URL('../The Kitáb-i-Aqdas.xhtml', import.meta.url), 'utf-8');
+const profile = getBundledProfile('kitab-i-aqdas');
+
+/**
+ * The elements of a section as the segmentation before the single pass
+ * gathered them: walking the document from the section's nav target to the
+ * next one, testing every element against the section's selector
+ */
+function walkSection(document, startId, endId, selector) {
+  const start = document.querySelector(`a[id="${startId}"]`);
+  if (!start) return [];
+  const end = endId ? document.querySelector(`a[id="${endId}"]`) : null;
+  const walker = document.createTreeWalker(document, 1);
+  walker.currentNode = start;
+  const elements = [];
+  for (let node = walker.nextNode(); node && node !== end; node = walker.nextNode()) {
+    if (node.matches(selector)) elements.push(node);
+  }
+  return elements;
+}
+
+test('one pass gathers the elements of every section as a walk per section did', () => {
+  const { document } = new JSDOM(html).window;
+  const entries = navigationEntries(document.querySelector('nav.gc'), profile);
+  const { ranges } = segmentDocument(document, {
+    anchor: legacyAnchor(profile),
+    targets: entries.map(({ id, section }) => ({ id, select: section ? sectionSelector(section) : null }))
+  });
+  assert.ok(entries.filter(entry => entry.section).length > 1);
+  for (const [i, entry] of entries.entries()) {
+    const expected = entry.section ? walkSection(document, entry.id, entries[i + 1]?.id, sectionSelector(entry.section)) : [];
+    assert.ok(ranges[i].elements.length === expected.length && ranges[i].elements.every((element, j) => element === expected[j]),
+      `#${entry.id}: ${ranges[i].elements.length} elements gathered, ${expected.length} by a walk`);
+  }
+});
+
+test('one pass finds the legacy anchors a query for named elements did, each once', () => {
+  const { document } = new JSDOM(`<body>
+    <p><a name="pref1"></a>A preface.</p>
+    <p><a name="par1"></a>One <a name="par2"></a>and two.</p>
+    <p id="par3">Three.</p>
+    <p><a name="par2"></a>Two again. <a name="top"></a></p>
+  </body>`).window;
+  const matchAnchor = legacyAnchor(profile);
+  const { items } = segmentDocument(document, { anchor: matchAnchor });
+
+  const names = new Set();
+  const anchors = Array.from(document.querySelectorAll('a[name], *[id], *[name]')).filter(element => {
+    const name = (element.getAttribute('name') || element.getAttribute('id') || '').trim();
+    if (!name || names.has(name) || !matchAnchor(name)) return false;
+    names.add(name);
+    return true;
+  });
+  assert.deepEqual(items.map(item => item.el), anchors);
+  assert.deepEqual(items.map(({ name, n }) => `${name} ${n}`), ['pref1 1', 'par1 1', 'par2 2', 'par3 3']);
+  // An item runs to the next anchor; a repeated name ends it
+  assert.deepEqual(items.map(item => item.nodes.map(node => node.textContent).join('').trim()), ['A preface.', 'One', 'and two.', 'Three.']);
+});
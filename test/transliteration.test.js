@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { convert } from '../convert-to-tei.js';
+import { hasDiacritics, isDigraph, regularize } from '../lib/transliteration.js';
+
+const html = readFileSync(new URL('./fixtures/gleanings.xhtml', import.meta.url), 'utf-8');
+
+/**
+ * The second paragraph of the preface, converted from the given markup
+ */
+function converted(markup) {
+  const { xml } = convert(html.replace('They were translated into English by Shoghi Effendi.', markup), { date: '2024-03-03' });
+  return xml.match(/<p n="2" xml:id="pref-2">([\s\S]*?)<\/p>/)[1];
+}
+
+test('transliterated words are regularized to plain ASCII', () => {
+  assert.equal(regularize('‘Abdu’l-Bahá'), "'Abdu'l-Baha");
+  assert.equal(regularize('Ṭihrán'), 'Tihran');
+  assert.equal(regularize('Bahá’u’lláh'.normalize('NFD')), "Baha'u'llah");
+  assert.ok(hasDiacritics('Ṭihrán'));
+  assert.ok(!hasDiacritics('Tihran'));
+  assert.ok(isDigraph(' Sh '));
+  assert.ok(!isDigraph('S'));
+});
+
+test('a word with a digraph or a diacritic is a choice of its spelling and a regularization', () => {
+  assert.equal(converted('The <u>Sh</u>ay<u>kh</u> of Ṭabarsí.'),
+    'The <choice><orig><seg type="digraph" rend="underline">Sh</seg>ay<seg type="digraph" rend="underline">kh</seg></orig><reg>Shaykh</reg></choice>'
+    + ' of <choice><orig>Ṭabarsí</orig><reg>Tabarsi</reg></choice>.');
+  // Words run across ‘ayn, hamza and hyphens, but not a possessive
+  assert.equal(converted('The Ḥaẓíratu’l-<u>Dh</u>ikr of ‘I<u>sh</u>qábád’s plain.'),
+    'The <choice><orig>Ḥaẓíratu’l-<seg type="digraph" rend="underline">Dh</seg>ikr</orig><reg>Haziratu\'l-Dhikr</reg></choice>'
+    + ' of <choice><orig>‘I<seg type="digraph" rend="underline">sh</seg>qábád</orig><reg>\'Ishqabad</reg></choice>’s plain.');
+  // Underlining that is not a digraph stays as it is
+  assert.equal(converted('An <u>underlined</u> word.'), 'An <hi rend="underline">underlined</hi> word.');
+});
+
+test('a word split by other markup is left as it is', () => {
+  assert.equal(converted('<i>Bah</i>á and <i>Ṭih</i>rán and ‘Ak<b>ká</b>.'),
+    '<hi rend="italic">Bah</hi>á and <hi rend="italic">Ṭih</hi>rán and ‘Ak<hi rend="bold">ká</hi>.');
+  // A whole word in markup is still marked
+  assert.equal(converted('<i>Tabríz</i>’s gardens.'), '<hi rend="italic"><choice><orig>Tabríz</orig><reg>Tabriz</reg></choice></hi>’s gardens.');
+});
@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { execFileSync, spawn } from 'node:child_process';
+import { copyFileSync, existsSync, mkdtempSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { after, test } from 'node:test';
+
+const CLI = fileURLToPath(new URL('../bin/tei-convert.js', import.meta.url));
+const FIXTURES = fileURLToPath(new URL('./fixtures/', import.meta.url));
+
+const directory = mkdtempSync(join(tmpdir(), 'tei-watch-'));
+after(() => rmSync(directory, { recursive: true, force: true }));
+
+/**
+ * Resolve once `ready()` holds, checking every 100 ms; reject after `timeout` ms
+ */
+function waitFor(ready, what, timeout = 30000) {
+  const start = Date.now();
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      if (ready()) resolve();
+      else if (Date.now() - start > timeout) reject(new Error(`Timed out waiting for ${what}`));
+      else setTimeout(check, 100);
+    };
+    check();
+  });
+}
+
+test('watching rebuilds into one revision entry, removes a failed output and cleans up on SIGTERM', async () => {
+  const source = join(directory, 'gleanings.xhtml');
+  const output = join(directory, 'gleanings.xml');
+  const report = join(directory, 'diagnostics.md');
+  copyFileSync(join(FIXTURES, 'gleanings.xhtml'), source);
+  const env = { ...process.env, SOURCE_DATE_EPOCH: '' };
+  execFileSync(process.execPath, [CLI, source, '-o', output, '-q'], { env });
+
+  const child = spawn(process.execPath, [CLI, source, '-o', output, '--watch', '--diagnostics', report], { env });
+  let log = '';
+  child.stdout.on('data', chunk => { log += chunk; });
+  child.stderr.on('data', chunk => { log += chunk; });
+  const exited = new Promise(resolve => child.on('exit', (code, signal) => resolve({ code, signal })));
+  const conversions = () => log.match(/Converted to/g)?.length ?? 0;
+  try {
+    await waitFor(() => conversions() === 1, 'the first conversion');
+    assert.match(readFileSync(report, 'utf-8'), /^# Conversion diagnostics/);
+
+    for (const [i, wording] of ['himself', 'in English'].entries()) {
+      writeFileSync(source, readFileSync(source, 'utf-8').replace('by Shoghi Effendi', `by Shoghi Effendi ${wording}`));
+      await waitFor(() => conversions() === i + 2, `conversion ${i + 2}`);
+    }
+    const changes = [...readFileSync(output, 'utf-8').matchAll(/<change when="[^"]+">([^<]*)<\/change>/g)].map(match => match[1]);
+    assert.equal(changes.length, 2);
+    assert.equal(changes[1], 'Initial conversion from HTML to TEI');
+
+    rmSync(source);
+    await waitFor(() => /Conversion failed/.test(log), 'the failed conversion');
+    assert.equal(existsSync(output), false);
+  } finally {
+    child.kill('SIGTERM');
+  }
+  assert.deepEqual(await exited, { code: 0, signal: null });
+  assert.deepEqual(readdirSync(tmpdir()).filter(name => name.startsWith(`tei-convert-watch-${child.pid}`)), []);
+});